@@ -0,0 +1,342 @@
+const axios = require('axios');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+const { UnsafeUrlError, assertSafeUrl, httpAgent, httpsAgent } = require('./url-safety');
+const { getCache } = require('./cache');
+
+const log = createLogger('article-fetcher');
+
+// Full-text fetching limits (fullText.* in config.js)
+const { timeoutMs: FETCH_TIMEOUT_MS, maxBytes: MAX_DOWNLOAD_BYTES, maxChars: MAX_TEXT_CHARS } = getConfig().fullText;
+const MAX_CONCURRENT_FETCHES = 4;
+const MAX_SOURCE_REDIRECTS = 5;
+
+// Extracted text is cached in the 'full_text' namespace (cache.ttlMinutes.full_text);
+// failures for a shorter time so they are retried
+const FAILURE_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Quiet jsdom's CSS/script warnings
+const virtualConsole = new VirtualConsole();
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; NewsFactChecker/2.0)',
+  Accept: 'text/html,application/xhtml+xml'
+};
+
+// schema.org types whose JSON-LD describes the article itself
+const ARTICLE_TYPES = new Set([
+  'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BackgroundNewsArticle',
+  'OpinionNewsArticle', 'ReviewNewsArticle', 'LiveBlogPosting', 'BlogPosting', 'Report', 'ScholarlyArticle'
+]);
+
+/**
+ * A submitted URL that could not be turned into article text. `status` is the
+ * HTTP status the API answers with.
+ */
+class ArticleFetchError extends Error {
+  constructor(message, code, status = 502) {
+    super(message);
+    this.name = 'ArticleFetchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Whether the optional full-text stage is switched on
+ */
+function isFullTextEnabled() {
+  return getConfig().fullText.enabled;
+}
+
+/**
+ * Collapse whitespace while keeping paragraph breaks
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Convert Readability's cleaned HTML to text, keeping block elements as paragraphs
+ */
+function htmlToText(html) {
+  const withBreaks = String(html || '')
+    .replace(/<\/(p|h[1-6]|li|blockquote|div|section|tr|figcaption)>|<br\s*\/?>/gi, '$&\n\n');
+  return JSDOM.fragment(`<div>${withBreaks}</div>`).textContent;
+}
+
+/**
+ * Run Readability over a parsed document (it modifies the document)
+ */
+function parseArticle(document) {
+  const article = new Readability(document).parse();
+  if (!article || !article.textContent) {
+    return null;
+  }
+
+  return {
+    title: article.title || '',
+    byline: article.byline || null,
+    siteName: article.siteName || null,
+    publishedTime: article.publishedTime || null,
+    excerpt: article.excerpt || '',
+    text: normalizeText(htmlToText(article.content)).slice(0, MAX_TEXT_CHARS)
+  };
+}
+
+/**
+ * Readability-style main-content extraction from an HTML document
+ */
+function extractArticle(html, url) {
+  const dom = new JSDOM(html, { url, virtualConsole });
+
+  try {
+    return parseArticle(dom.window.document);
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * ISO timestamp for a date string, or null if it doesn't parse
+ */
+function toIsoDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Names from a schema.org author/publisher value (string, Person or a list)
+ */
+function schemaNames(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map(item => (typeof item === 'string' ? item : item?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+}
+
+/**
+ * First JSON-LD node describing an article, looking inside lists and @graph
+ */
+function findJsonLdArticle(document) {
+  const nodes = [];
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      log.debug('Skipping unparseable JSON-LD block', { error });
+    }
+  });
+
+  return nodes.find(node => {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(type => ARTICLE_TYPES.has(type));
+  }) || null;
+}
+
+/**
+ * Title, authors, dates and publisher from JSON-LD, falling back to
+ * OpenGraph/article meta tags. Run before parseArticle, which strips the page.
+ */
+function extractPageMetadata(document) {
+  const meta = name => {
+    const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    const content = element?.getAttribute('content');
+    return content && content.trim() ? content.trim() : null;
+  };
+  const jsonLd = findJsonLdArticle(document) || {};
+  const jsonLdType = Array.isArray(jsonLd['@type']) ? jsonLd['@type'][0] : jsonLd['@type'];
+
+  // article:author is often a profile URL rather than a name
+  const metaAuthor = [meta('author'), meta('article:author')].find(value => value && !/^https?:\/\//i.test(value));
+  const authors = schemaNames(jsonLd.author);
+
+  return {
+    title: jsonLd.headline || meta('og:title') || meta('twitter:title') || null,
+    authors: authors.length > 0 ? authors : (metaAuthor ? [metaAuthor] : []),
+    published_at: toIsoDate(jsonLd.datePublished) || toIsoDate(meta('article:published_time')) || toIsoDate(meta('date')),
+    modified_at: toIsoDate(jsonLd.dateModified) || toIsoDate(meta('article:modified_time')) || toIsoDate(meta('og:updated_time')),
+    site_name: schemaNames(jsonLd.publisher)[0] || meta('og:site_name') || null,
+    description: jsonLd.description || meta('og:description') || meta('description') || null,
+    canonical_url: document.querySelector('link[rel="canonical"]')?.href || meta('og:url') || null,
+    schema_type: jsonLdType || null
+  };
+}
+
+/**
+ * Download a page through the SSRF-checked agents within the size and time
+ * limits, following redirects one hop at a time so each target is checked
+ * too. Resolves to { url, html } for the final URL.
+ */
+async function downloadPage(startUrl, { timeoutMs, maxBytes, maxRedirects }) {
+  let url = assertSafeUrl(startUrl);
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    let response;
+    try {
+      response = await axios.get(url.href, {
+        responseType: 'text',
+        timeout: timeoutMs,
+        maxContentLength: maxBytes,
+        maxRedirects: 0,
+        proxy: false, // The address checks must see the real destination
+        httpAgent,
+        httpsAgent,
+        headers: REQUEST_HEADERS,
+        validateStatus: status => status >= 200 && status < 400
+      });
+    } catch (error) {
+      if (error instanceof UnsafeUrlError || error.cause instanceof UnsafeUrlError) {
+        throw error.cause instanceof UnsafeUrlError ? error.cause : error;
+      }
+      const reason = error.response ? `the page returned HTTP ${error.response.status}` : error.message;
+      throw new ArticleFetchError(`Could not fetch ${url.href}: ${reason}`, 'fetch_failed');
+    }
+
+    if (response.status < 300) {
+      const contentType = response.headers['content-type'] || '';
+      if (contentType && !/html|xml/i.test(contentType)) {
+        throw new ArticleFetchError(`${url.href} is not a web page (${contentType})`, 'unsupported_content_type', 422);
+      }
+      return { url: url.href, html: response.data };
+    }
+
+    const location = response.headers.location;
+    if (!location) {
+      throw new ArticleFetchError(`${url.href} redirected without a Location header`, 'fetch_failed');
+    }
+    url = assertSafeUrl(new URL(location, url).href);
+  }
+
+  throw new ArticleFetchError(`More than ${maxRedirects} redirects from ${startUrl}`, 'too_many_redirects');
+}
+
+/**
+ * Download a URL submitted for analysis
+ */
+function downloadSubmittedPage(submittedUrl) {
+  return downloadPage(submittedUrl, getConfig().urlAnalysis);
+}
+
+/**
+ * Download an evidence source's page. Source URLs come from feeds and search
+ * results, so they get the same address checks as submitted ones.
+ */
+function downloadSourcePage(url) {
+  return downloadPage(url, { timeoutMs: FETCH_TIMEOUT_MS, maxBytes: MAX_DOWNLOAD_BYTES, maxRedirects: MAX_SOURCE_REDIRECTS });
+}
+
+/**
+ * Fetch a submitted article URL and extract its text and metadata for
+ * analysis. Throws UnsafeUrlError for URLs that fail the SSRF checks and
+ * ArticleFetchError when no article can be read from the page.
+ */
+async function fetchArticleFromUrl(submittedUrl) {
+  const page = await downloadSubmittedPage(submittedUrl);
+  const dom = new JSDOM(page.html, { url: page.url, virtualConsole });
+
+  try {
+    const document = dom.window.document;
+    const metadata = extractPageMetadata(document);
+    const article = parseArticle(document);
+    const minTextChars = getConfig().urlAnalysis.minTextChars;
+
+    if (!article || article.text.length < minTextChars) {
+      throw new ArticleFetchError(`No article text found at ${page.url}`, 'no_article_content', 422);
+    }
+    log.info('Fetched submitted article', { url: page.url, chars: article.text.length });
+
+    return {
+      url: String(submittedUrl),
+      final_url: page.url,
+      canonical_url: metadata.canonical_url,
+      title: metadata.title || article.title || null,
+      authors: metadata.authors.length > 0 ? metadata.authors : (article.byline ? [article.byline] : []),
+      published_at: metadata.published_at || toIsoDate(article.publishedTime),
+      modified_at: metadata.modified_at,
+      site_name: metadata.site_name || article.siteName,
+      description: metadata.description || article.excerpt || null,
+      schema_type: metadata.schema_type,
+      text_length: article.text.length,
+      text: article.text
+    };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * Fetch a source URL and return its cleaned body text (or null on failure)
+ */
+async function fetchArticleText(url) {
+  const cache = getCache();
+  const cached = cache.get('full_text', url);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let result = null;
+  try {
+    const page = await downloadSourcePage(url);
+    result = extractArticle(page.html, page.url);
+    if (result) {
+      log.debug('Fetched full text', { url, chars: result.text.length });
+    } else {
+      log.info('No article content found', { url });
+    }
+  } catch (error) {
+    log.warn('Full-text fetch failed', { url, error });
+  }
+
+  cache.set('full_text', url, result, result ? {} : { ttl: FAILURE_CACHE_TTL });
+  return result;
+}
+
+/**
+ * Attach `fullText` to each source whose page could be fetched.
+ * Mock sources point at example.com and are skipped.
+ */
+async function enrichSourcesWithFullText(sources) {
+  const fetchable = sources.filter(source =>
+    source.url && /^https?:\/\//i.test(source.url) && source.provider !== 'mock'
+  );
+
+  for (let i = 0; i < fetchable.length; i += MAX_CONCURRENT_FETCHES) {
+    const batch = fetchable.slice(i, i + MAX_CONCURRENT_FETCHES);
+    await Promise.all(batch.map(async source => {
+      const article = await fetchArticleText(source.url);
+      if (article && article.text.length > (source.content || '').length) {
+        source.fullText = article.text;
+      }
+    }));
+  }
+
+  return sources;
+}
+
+module.exports = {
+  ArticleFetchError,
+  isFullTextEnabled,
+  extractArticle,
+  extractPageMetadata,
+  fetchArticleFromUrl,
+  fetchArticleText,
+  enrichSourcesWithFullText
+};
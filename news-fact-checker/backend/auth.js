@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+const metrics = require('./metrics');
+
+/**
+ * API clients, per-client rate limits and daily analysis quotas, and the
+ * browser origin allow-list.
+ *
+ * Clients live in API_CLIENTS_PATH (default data/clients.json, not committed)
+ * and are managed with `npm run api-key`. Only a SHA-256 of each key is
+ * stored. Requests authenticate with `Authorization: Bearer <key>` or
+ * `X-API-Key: <key>`. With AUTH_ENABLED=auto (the default) keys are required
+ * as soon as one client exists, revoked or not, so revoking the last key
+ * does not open the API; until then requests are anonymous and limited per
+ * IP address.
+ */
+
+const BACKEND_ROOT = __dirname;
+const DEFAULT_CLIENTS_PATH = path.join(BACKEND_ROOT, 'data', 'clients.json');
+
+const RELOAD_CHECK_MS = 5000;
+const MINUTE_MS = 60 * 1000;
+const MAX_TRACKED_CLIENTS = 10000; // Anonymous clients are tracked per IP
+
+const DEFAULT_RATE_LIMIT = getConfig().limits.rateLimitPerMinute;
+const DEFAULT_DAILY_QUOTA = getConfig().limits.dailyAnalysisQuota;
+
+const log = createLogger('auth');
+
+let clients = null;
+let loadedMtime = 0;
+let lastChecked = 0;
+
+const minuteWindows = new Map(); // client id -> { start, count }
+const dailyCounts = new Map(); // client id -> { day, count }
+
+function getClientsPath() {
+  return process.env.API_CLIENTS_PATH
+    ? path.resolve(BACKEND_ROOT, process.env.API_CLIENTS_PATH)
+    : DEFAULT_CLIENTS_PATH;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * New random API key; the caller stores only its hash
+ */
+function generateKey() {
+  return `fc_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Clients file contents ({ clients: [] } when it doesn't exist yet)
+ */
+function readClientsFile(filePath = getClientsPath()) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { clients: Array.isArray(data.clients) ? data.clients : [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { clients: [] };
+    throw new Error(`Could not read API clients from ${filePath}: ${error.message}`);
+  }
+}
+
+function writeClientsFile(data, filePath = getClientsPath()) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Configured clients by key hash, revoked ones included, reloaded when the
+ * file changes
+ */
+function getClients() {
+  if (clients && Date.now() - lastChecked < RELOAD_CHECK_MS) {
+    return clients;
+  }
+  lastChecked = Date.now();
+
+  const filePath = getClientsPath();
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    mtime = 0;
+  }
+
+  if (!clients || mtime !== loadedMtime) {
+    try {
+      const byHash = new Map();
+      readClientsFile(filePath).clients
+        .filter(client => client.id && client.key_sha256)
+        .forEach(client => byHash.set(client.key_sha256, client));
+      clients = byHash;
+      if (mtime) log.info('Loaded API clients', { clients: clients.size, path: filePath });
+    } catch (error) {
+      // Keep the previous clients if an edit broke the file
+      log.error('Ignoring invalid API clients file', { path: filePath, error });
+      clients = clients || new Map();
+    }
+    loadedMtime = mtime;
+  }
+
+  return clients;
+}
+
+/**
+ * Whether requests need an API key
+ */
+function isAuthEnabled() {
+  const setting = (process.env.AUTH_ENABLED || 'auto').toLowerCase();
+  if (setting === 'true') return true;
+  if (setting === 'false') return false;
+  return getClients().size > 0;
+}
+
+function extractKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  return req.get('X-API-Key') || null;
+}
+
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: message, code });
+}
+
+/**
+ * Identify the caller as `req.client` ({ id, name, rateLimit, dailyQuota,
+ * anonymous }), rejecting missing or unknown keys when auth is enabled
+ */
+function authenticate(req, res, next) {
+  const key = extractKey(req);
+  const configured = key ? getClients().get(hashKey(key)) : null;
+  const client = configured && !configured.disabled ? configured : null;
+
+  if (client) {
+    req.client = {
+      id: client.id,
+      name: client.name || client.id,
+      rateLimit: client.rate_limit_per_minute || DEFAULT_RATE_LIMIT,
+      dailyQuota: client.daily_quota || DEFAULT_DAILY_QUOTA,
+      anonymous: false
+    };
+    return next();
+  }
+
+  if (isAuthEnabled()) {
+    return key
+      ? sendError(res, 401, 'invalid_api_key', 'Invalid or revoked API key')
+      : sendError(res, 401, 'missing_api_key', 'An API key is required (Authorization: Bearer <key> or X-API-Key header)');
+  }
+
+  req.client = {
+    id: `ip:${req.ip}`,
+    name: 'anonymous',
+    rateLimit: DEFAULT_RATE_LIMIT,
+    dailyQuota: DEFAULT_DAILY_QUOTA,
+    anonymous: true
+  };
+  next();
+}
+
+/**
+ * Drop counters for windows that are over, so per-IP entries don't pile up
+ */
+function pruneCounters(now, today) {
+  if (minuteWindows.size > MAX_TRACKED_CLIENTS) {
+    for (const [id, window] of minuteWindows) {
+      if (now - window.start >= MINUTE_MS) minuteWindows.delete(id);
+    }
+  }
+  if (dailyCounts.size > MAX_TRACKED_CLIENTS) {
+    for (const [id, count] of dailyCounts) {
+      if (count.day !== today) dailyCounts.delete(id);
+    }
+  }
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Per-client requests-per-minute limit (fixed one-minute windows)
+ */
+function rateLimit(req, res, next) {
+  const now = Date.now();
+  pruneCounters(now, currentDay());
+
+  const { id, rateLimit: limit } = req.client;
+  let window = minuteWindows.get(id);
+  if (!window || now - window.start >= MINUTE_MS) {
+    window = { start: now, count: 0 };
+    minuteWindows.set(id, window);
+  }
+
+  const resetSeconds = Math.ceil((window.start + MINUTE_MS - now) / 1000);
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Reset', String(resetSeconds));
+
+  if (window.count >= limit) {
+    res.set('X-RateLimit-Remaining', '0');
+    res.set('Retry-After', String(resetSeconds));
+    metrics.rateLimitEvents.inc({ reason: 'rate_limited' });
+    log.warn('Rate limit exceeded', { client: id, limit });
+    return sendError(res, 429, 'rate_limited', `Rate limit of ${limit} requests per minute exceeded`);
+  }
+
+  window.count++;
+  res.set('X-RateLimit-Remaining', String(limit - window.count));
+  next();
+}
+
+/**
+ * Per-client daily quota on requests that start an analysis (and so spend
+ * NewsAPI and Hugging Face calls). Resets at midnight UTC. A request that
+ * starts several analyses (a batch) sets req.analysisCount first and is
+ * charged for all of them, or rejected if they don't all fit.
+ */
+function analysisQuota(req, res, next) {
+  const today = currentDay();
+  const { id, dailyQuota: quota } = req.client;
+  const cost = req.analysisCount || 1;
+  let usage = dailyCounts.get(id);
+  if (!usage || usage.day !== today) {
+    usage = { day: today, count: 0 };
+    dailyCounts.set(id, usage);
+  }
+
+  res.set('X-Quota-Limit', String(quota));
+  if (usage.count + cost > quota) {
+    const remaining = Math.max(0, quota - usage.count);
+    res.set('X-Quota-Remaining', String(remaining));
+    res.set('Retry-After', String(Math.ceil((nextUtcMidnight() - Date.now()) / 1000)));
+    metrics.rateLimitEvents.inc({ reason: 'quota_exceeded' });
+    log.warn('Daily quota exceeded', { client: id, quota, requested: cost });
+    const message = remaining === 0
+      ? `Daily quota of ${quota} analyses used up; resets at ${nextUtcMidnight().toISOString()}`
+      : `This request needs ${cost} analyses but only ${remaining} of the daily quota of ${quota} are left; resets at ${nextUtcMidnight().toISOString()}`;
+    return sendError(res, 429, 'quota_exceeded', message);
+  }
+
+  usage.count += cost;
+  res.set('X-Quota-Remaining', String(quota - usage.count));
+  next();
+}
+
+/**
+ * The caller's limits and what is left of them
+ */
+function describeUsage(client) {
+  const now = Date.now();
+  const window = minuteWindows.get(client.id);
+  const inWindow = window && now - window.start < MINUTE_MS ? window.count : 0;
+  const usage = dailyCounts.get(client.id);
+  const usedToday = usage && usage.day === currentDay() ? usage.count : 0;
+
+  return {
+    client_id: client.anonymous ? null : client.id,
+    name: client.name,
+    anonymous: client.anonymous,
+    rate_limit: { per_minute: client.rateLimit, remaining: Math.max(0, client.rateLimit - inWindow) },
+    daily_quota: { limit: client.dailyQuota, used: usedToday, remaining: Math.max(0, client.dailyQuota - usedToday), resets_at: nextUtcMidnight().toISOString() }
+  };
+}
+
+/**
+ * Allowed browser origins from ALLOWED_ORIGINS (comma separated, `*` as a
+ * wildcard, e.g. chrome-extension://abcdef...). Defaults to any extension.
+ */
+function getAllowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || 'chrome-extension://*')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+}
+
+function isOriginAllowed(origin) {
+  return getAllowedOrigins().some(pattern => {
+    if (pattern === '*') return true;
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*')}$`);
+    return regex.test(origin);
+  });
+}
+
+/**
+ * Reject browser requests from origins outside the allow-list. Requests
+ * without an Origin header (curl, server-to-server) still need an API key.
+ */
+function checkOrigin(req, res, next) {
+  const origin = req.get('Origin');
+  if (origin && !isOriginAllowed(origin)) {
+    return sendError(res, 403, 'origin_not_allowed', `Origin ${origin} is not allowed`);
+  }
+  next();
+}
+
+/**
+ * Auth settings for /api-status
+ */
+function getStatus() {
+  return {
+    enabled: isAuthEnabled(),
+    clients: [...getClients().values()].filter(client => !client.disabled).length,
+    revoked_clients: [...getClients().values()].filter(client => client.disabled).length,
+    allowed_origins: getAllowedOrigins(),
+    default_rate_limit_per_minute: DEFAULT_RATE_LIMIT,
+    default_daily_quota: DEFAULT_DAILY_QUOTA
+  };
+}
+
+module.exports = {
+  hashKey,
+  generateKey,
+  getClientsPath,
+  readClientsFile,
+  writeClientsFile,
+  authenticate,
+  rateLimit,
+  analysisQuota,
+  describeUsage,
+  isOriginAllowed,
+  checkOrigin,
+  getStatus
+};
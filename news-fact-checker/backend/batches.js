@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const { createLogger, runWithContext } = require('./logger');
+const { getConfig } = require('./config');
+const { assertSafeUrl } = require('./url-safety');
+const { normalizeClaim } = require('./claim-results');
+
+/**
+ * In-memory store for batch analyses: many URLs or texts submitted at once.
+ *
+ * Items from every batch share one FIFO queue worked by at most
+ * batches.maxConcurrentItems analyses at a time, so a large audit can't
+ * starve interactive requests. Each item's state is tracked separately; a
+ * batch is complete once every item has completed or failed, and can then be
+ * exported with one row per claim (see claimRows). Finished batches are kept
+ * for batches.retentionMinutes.
+ */
+
+const log = createLogger('batches');
+
+/**
+ * Validate submitted batch items. Each is a URL string, { url } (fetched
+ * server-side) or { text } (optionally with a url and title for reference),
+ * and may carry the caller's own `id`. Returns { items, problems }.
+ */
+function normalizeBatchItems(input) {
+  const { maxItems } = getConfig().batches;
+  if (!Array.isArray(input) || input.length === 0) {
+    return { items: [], problems: ['items must be a non-empty array'] };
+  }
+  if (input.length > maxItems) {
+    return { items: [], problems: [`A batch may have at most ${maxItems} items (got ${input.length})`] };
+  }
+
+  const problems = [];
+  const items = input.map((raw, index) => {
+    const entry = typeof raw === 'string' ? { url: raw } : raw;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`items[${index}] must be a URL or an object with url or text`);
+      return null;
+    }
+
+    const { id, url, text, title } = entry;
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      problems.push(`items[${index}].text must be a non-empty string`);
+      return null;
+    }
+    if (!text) {
+      if (typeof url !== 'string' || !url) {
+        problems.push(`items[${index}] needs a url or text`);
+        return null;
+      }
+      try {
+        assertSafeUrl(url);
+      } catch (error) {
+        problems.push(`items[${index}].url: ${error.message}`);
+        return null;
+      }
+    }
+
+    return {
+      index,
+      id: id === undefined || id === null ? null : String(id),
+      url: typeof url === 'string' ? url : null,
+      title: typeof title === 'string' ? title : null,
+      text: text || null
+    };
+  });
+
+  return { items: problems.length > 0 ? [] : items, problems };
+}
+
+/**
+ * Export rows: one per claim, plus one row for each item that produced no
+ * claims or failed, so every submitted item appears in the export
+ */
+function claimRows(batch) {
+  const rows = [];
+  batch.items.forEach(item => {
+    const article = item.article || {};
+    const base = {
+      batch_id: batch.id,
+      item_index: item.index,
+      item_id: item.id,
+      item_status: item.status,
+      url: article.final_url || item.url,
+      title: article.title || item.title,
+      published_at: article.published_at || null,
+      credibility_score: item.result?.credibility_score ?? null
+    };
+    const claims = item.result?.claims || [];
+
+    if (claims.length === 0) {
+      rows.push({
+        ...base,
+        claim_index: null,
+        claim: null,
+        verdict: null,
+        claim_type: null,
+        subjectivity: null,
+        confidence: null,
+        support: null,
+        contradiction: null,
+        verdict_source: null,
+        stale_evidence: null,
+        fact_check: null,
+        quote_check: null,
+        sources: [],
+        error: item.error
+      });
+      return;
+    }
+
+    claims.map(normalizeClaim).forEach((claim, claimIndex) => {
+      rows.push({
+        ...base,
+        claim_index: claimIndex,
+        claim: claim.text,
+        verdict: claim.verdict,
+        claim_type: claim.claim_type,
+        subjectivity: claim.subjectivity,
+        confidence: claim.confidence,
+        support: claim.support,
+        contradiction: claim.contradiction,
+        verdict_source: claim.verdict_source,
+        stale_evidence: claim.stale_evidence,
+        fact_check: claim.fact_check,
+        quote_check: claim.quote_check,
+        sources: claim.sources,
+        error: null
+      });
+    });
+  });
+  return rows;
+}
+
+// CSV layout of claimRows; a matched fact-check and a quote check get their
+// own columns and sources are flattened to "Publisher <url> (stance)"
+const CSV_COLUMNS = [
+  'batch_id', 'item_index', 'item_id', 'item_status', 'url', 'title', 'published_at', 'credibility_score',
+  'claim_index', 'claim', 'claim_type', 'subjectivity', 'verdict', 'verdict_source', 'confidence', 'support',
+  'contradiction', 'stale_evidence'
+].map(key => ({ header: key, value: row => row[key] })).concat([
+  { header: 'quote_speaker', value: row => row.quote_check?.speaker },
+  { header: 'quote_status', value: row => row.quote_check?.status },
+  { header: 'quote_attributed_to', value: row => row.quote_check?.attributed_to },
+  { header: 'fact_check_rating', value: row => row.fact_check?.rating.alternate_name },
+  { header: 'fact_check_publisher', value: row => row.fact_check?.publisher?.name },
+  { header: 'fact_check_url', value: row => row.fact_check?.url },
+  { header: 'source_count', value: row => row.sources.length },
+  {
+    header: 'sources',
+    value: row => row.sources
+      .map(source => `${source.publisher || source.title || 'Unknown'} <${source.url || ''}> (${source.stance})`)
+      .join('; ')
+  },
+  { header: 'error', value: row => row.error }
+]);
+
+class BatchStore {
+  constructor() {
+    this.batches = new Map();
+    this.queue = []; // { batch, item } waiting to run, oldest first
+    this.active = 0;
+  }
+
+  /**
+   * Create a batch and queue its items. `analyzeItem(item)` resolves to
+   * { article, result } for one item; `owner` is the API client allowed to
+   * read the batch.
+   */
+  create(items, analyzeItem, { owner = null } = {}) {
+    this.prune();
+
+    const now = new Date().toISOString();
+    const batch = {
+      id: crypto.randomUUID(),
+      owner,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      analyzeItem,
+      items: items.map(item => ({
+        ...item,
+        status: 'queued',
+        startedAt: null,
+        finishedAt: null,
+        article: null,
+        result: null,
+        error: null
+      }))
+    };
+    this.batches.set(batch.id, batch);
+
+    batch.items.forEach(item => this.queue.push({ batch, item }));
+    setImmediate(() => this.pump());
+    return batch;
+  }
+
+  /**
+   * Start queued items while there is capacity
+   */
+  pump() {
+    const { maxConcurrentItems } = getConfig().batches;
+    while (this.active < maxConcurrentItems && this.queue.length > 0) {
+      const { batch, item } = this.queue.shift();
+      this.active++;
+      runWithContext({ batch_id: batch.id, batch_item: item.index }, () => this.runItem(batch, item))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  async runItem(batch, item) {
+    item.status = 'running';
+    item.startedAt = new Date().toISOString();
+    batch.status = 'running';
+    batch.updatedAt = item.startedAt;
+
+    try {
+      const { article, result } = await batch.analyzeItem(item);
+      item.article = article;
+      item.result = result;
+      item.status = 'completed';
+    } catch (error) {
+      log.warn('Batch item failed', { error });
+      item.error = error.message;
+      item.status = 'failed';
+    }
+
+    item.finishedAt = new Date().toISOString();
+    batch.updatedAt = item.finishedAt;
+    if (batch.items.every(entry => entry.status === 'completed' || entry.status === 'failed')) {
+      batch.status = 'completed';
+      batch.finishedAt = item.finishedAt;
+      log.info('Batch finished', {
+        items: batch.items.length,
+        failed: batch.items.filter(entry => entry.status === 'failed').length
+      });
+    }
+  }
+
+  get(id) {
+    return this.batches.get(id);
+  }
+
+  isFinished(batch) {
+    return batch.status === 'completed';
+  }
+
+  /**
+   * Public view of a batch: overall progress and each item's state
+   */
+  describe(batch) {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    batch.items.forEach(item => { counts[item.status]++; });
+
+    return {
+      id: batch.id,
+      status: batch.status,
+      created_at: batch.createdAt,
+      updated_at: batch.updatedAt,
+      finished_at: batch.finishedAt,
+      progress: { total: batch.items.length, ...counts },
+      items: batch.items.map(item => ({
+        index: item.index,
+        id: item.id,
+        status: item.status,
+        url: item.article?.final_url || item.url,
+        title: item.article?.title || item.title,
+        started_at: item.startedAt,
+        finished_at: item.finishedAt,
+        claims: item.result ? item.result.claims.length : null,
+        credibility_score: item.result?.credibility_score ?? null,
+        error: item.error
+      }))
+    };
+  }
+
+  /**
+   * Drop finished batches past their retention time, then the oldest
+   * finished batches if the store is still over batches.maxBatches
+   */
+  prune() {
+    const { retentionMinutes, maxBatches } = getConfig().batches;
+    const cutoff = Date.now() - retentionMinutes * 60 * 1000;
+    for (const [id, batch] of this.batches) {
+      if (batch.finishedAt && Date.parse(batch.finishedAt) < cutoff) {
+        this.batches.delete(id);
+      }
+    }
+
+    for (const [id, batch] of this.batches) {
+      if (this.batches.size < maxBatches) break;
+      if (this.isFinished(batch)) {
+        this.batches.delete(id);
+      }
+    }
+  }
+
+  getStats() {
+    const items = { queued: 0, running: 0, completed: 0, failed: 0 };
+    let running = 0;
+    this.batches.forEach(batch => {
+      if (!this.isFinished(batch)) running++;
+      batch.items.forEach(item => { items[item.status]++; });
+    });
+    return { total: this.batches.size, running, items };
+  }
+}
+
+module.exports = {
+  BatchStore,
+  normalizeBatchItems,
+  claimRows,
+  CSV_COLUMNS
+};
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { getConfig } = require('./config');
+
+/**
+ * Persistent cache shared by NLI scoring, news search, page classification
+ * and source full-text extraction.
+ *
+ * Entries live in a SQLite file (CACHE_DB_PATH, default .cache/cache.sqlite)
+ * so paid-for HF and NewsAPI results survive restarts. Each namespace has its
+ * own TTL, entry limit and byte limit; when a limit is exceeded the least
+ * recently used entries are evicted. If SQLite cannot be opened the same API
+ * is served from memory.
+ */
+
+const BACKEND_ROOT = __dirname;
+const DEFAULT_DB_PATH = path.join(BACKEND_ROOT, '.cache', 'cache.sqlite');
+
+const log = createLogger('cache');
+
+const MINUTE = 60 * 1000;
+
+// Per-namespace limits; TTLs come from cache.ttlMinutes in config.js
+const NAMESPACE_DEFAULTS = {
+  nli: { maxEntries: 20000, maxBytes: 20 * 1024 * 1024 },
+  search: { maxEntries: 2000, maxBytes: 50 * 1024 * 1024 },
+  page_type: { maxEntries: 5000, maxBytes: 5 * 1024 * 1024 },
+  full_text: { maxEntries: 2000, maxBytes: 50 * 1024 * 1024 }
+};
+const FALLBACK_NAMESPACE = { ttl: 30 * MINUTE, maxEntries: 1000, maxBytes: 10 * 1024 * 1024 };
+
+/**
+ * Resolve TTL and limits for a namespace
+ */
+function namespaceConfig(namespace) {
+  const defaults = NAMESPACE_DEFAULTS[namespace];
+  if (!defaults) return FALLBACK_NAMESPACE;
+  return {
+    ...defaults,
+    ttl: getConfig().cache.ttlMinutes[namespace] * MINUTE
+  };
+}
+
+/**
+ * Keys can be long (evidence text); store a digest instead
+ */
+function hashKey(key) {
+  return crypto.createHash('sha1').update(String(key)).digest('hex');
+}
+
+/**
+ * Hit/miss/eviction counters per namespace
+ */
+class CacheStats {
+  constructor() {
+    this.byNamespace = {};
+  }
+
+  bump(namespace, field, amount = 1) {
+    if (!this.byNamespace[namespace]) {
+      this.byNamespace[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+    }
+    this.byNamespace[namespace][field] += amount;
+  }
+
+  snapshot(entryCounts) {
+    const namespaces = new Set([...Object.keys(this.byNamespace), ...Object.keys(entryCounts)]);
+    const result = {};
+    namespaces.forEach(namespace => {
+      const counters = this.byNamespace[namespace] || { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+      const lookups = counters.hits + counters.misses;
+      result[namespace] = {
+        ...counters,
+        hit_rate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null,
+        entries: entryCounts[namespace]?.entries || 0,
+        bytes: entryCounts[namespace]?.bytes || 0,
+        ttl_minutes: namespaceConfig(namespace).ttl / MINUTE
+      };
+    });
+    return result;
+  }
+}
+
+/**
+ * SQLite-backed store
+ */
+class SqliteCache {
+  constructor(filePath) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.backend = 'sqlite';
+    this.filePath = filePath;
+    this.stats = new CacheStats();
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_accessed INTEGER NOT NULL,
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE INDEX IF NOT EXISTS cache_entries_lru ON cache_entries (namespace, last_accessed);
+      CREATE INDEX IF NOT EXISTS cache_entries_expiry ON cache_entries (expires_at);
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value, expires_at FROM cache_entries WHERE namespace = ? AND key = ?'),
+      touch: this.db.prepare('UPDATE cache_entries SET last_accessed = ? WHERE namespace = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO cache_entries (namespace, key, value, size, created_at, expires_at, last_accessed)
+        VALUES (@namespace, @key, @value, @size, @now, @expires, @now)
+        ON CONFLICT (namespace, key) DO UPDATE SET
+          value = excluded.value, size = excluded.size, created_at = excluded.created_at,
+          expires_at = excluded.expires_at, last_accessed = excluded.last_accessed
+      `),
+      delete: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?'),
+      usage: this.db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM cache_entries WHERE namespace = ?'),
+      usageAll: this.db.prepare('SELECT namespace, COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM cache_entries GROUP BY namespace'),
+      oldest: this.db.prepare('SELECT key, size FROM cache_entries WHERE namespace = ? ORDER BY last_accessed ASC LIMIT ?'),
+      purgeExpired: this.db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?'),
+      clearNamespace: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ?')
+    };
+
+    this.purgeExpired();
+  }
+
+  get(namespace, key) {
+    const hashed = hashKey(key);
+    const row = this.statements.get.get(namespace, hashed);
+    const now = Date.now();
+
+    if (!row) {
+      this.stats.bump(namespace, 'misses');
+      return undefined;
+    }
+    if (row.expires_at <= now) {
+      this.statements.delete.run(namespace, hashed);
+      this.stats.bump(namespace, 'expired');
+      this.stats.bump(namespace, 'misses');
+      return undefined;
+    }
+
+    this.statements.touch.run(now, namespace, hashed);
+    this.stats.bump(namespace, 'hits');
+    return JSON.parse(row.value);
+  }
+
+  set(namespace, key, value, { ttl } = {}) {
+    const config = namespaceConfig(namespace);
+    const serialized = JSON.stringify(value === undefined ? null : value);
+    const now = Date.now();
+
+    this.statements.set.run({
+      namespace,
+      key: hashKey(key),
+      value: serialized,
+      size: Buffer.byteLength(serialized),
+      now,
+      expires: now + (ttl || config.ttl)
+    });
+    this.stats.bump(namespace, 'sets');
+    this.enforceLimits(namespace, config);
+  }
+
+  delete(namespace, key) {
+    return this.statements.delete.run(namespace, hashKey(key)).changes > 0;
+  }
+
+  /**
+   * Evict least recently used entries until the namespace is within its limits
+   */
+  enforceLimits(namespace, config = namespaceConfig(namespace)) {
+    let { entries, bytes } = this.statements.usage.get(namespace);
+    if (entries <= config.maxEntries && bytes <= config.maxBytes) return;
+
+    const evict = this.db.transaction(() => {
+      while (entries > config.maxEntries || bytes > config.maxBytes) {
+        const batch = this.statements.oldest.all(namespace, Math.max(entries - config.maxEntries, 10));
+        if (batch.length === 0) break;
+        for (const row of batch) {
+          this.statements.delete.run(namespace, row.key);
+          entries--;
+          bytes -= row.size;
+          this.stats.bump(namespace, 'evictions');
+          if (entries <= config.maxEntries && bytes <= config.maxBytes) break;
+        }
+      }
+    });
+    evict();
+  }
+
+  purgeExpired() {
+    return this.statements.purgeExpired.run(Date.now()).changes;
+  }
+
+  clear(namespace) {
+    if (namespace) {
+      this.statements.clearNamespace.run(namespace);
+    } else {
+      this.db.exec('DELETE FROM cache_entries');
+    }
+  }
+
+  getStats() {
+    const usage = {};
+    this.statements.usageAll.all().forEach(row => {
+      usage[row.namespace] = { entries: row.entries, bytes: row.bytes };
+    });
+    return {
+      backend: this.backend,
+      path: this.filePath,
+      namespaces: this.stats.snapshot(usage)
+    };
+  }
+}
+
+/**
+ * In-memory store with the same interface, used when SQLite is unavailable.
+ * Map insertion order doubles as LRU order (entries are re-inserted on access).
+ */
+class MemoryCache {
+  constructor() {
+    this.backend = 'memory';
+    this.stats = new CacheStats();
+    this.namespaces = new Map();
+  }
+
+  _store(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, { entries: new Map(), bytes: 0 });
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  get(namespace, key) {
+    const store = this._store(namespace);
+    const hashed = hashKey(key);
+    const entry = store.entries.get(hashed);
+
+    if (!entry) {
+      this.stats.bump(namespace, 'misses');
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(namespace, key);
+      this.stats.bump(namespace, 'expired');
+      this.stats.bump(namespace, 'misses');
+      return undefined;
+    }
+
+    store.entries.delete(hashed);
+    store.entries.set(hashed, entry);
+    this.stats.bump(namespace, 'hits');
+    return JSON.parse(entry.value);
+  }
+
+  set(namespace, key, value, { ttl } = {}) {
+    const config = namespaceConfig(namespace);
+    const store = this._store(namespace);
+    const hashed = hashKey(key);
+    const serialized = JSON.stringify(value === undefined ? null : value);
+
+    this.delete(namespace, key);
+    store.entries.set(hashed, {
+      value: serialized,
+      size: Buffer.byteLength(serialized),
+      expiresAt: Date.now() + (ttl || config.ttl)
+    });
+    store.bytes += Buffer.byteLength(serialized);
+    this.stats.bump(namespace, 'sets');
+
+    while (store.entries.size > config.maxEntries || store.bytes > config.maxBytes) {
+      const [oldestKey, oldest] = store.entries.entries().next().value;
+      store.entries.delete(oldestKey);
+      store.bytes -= oldest.size;
+      this.stats.bump(namespace, 'evictions');
+    }
+  }
+
+  delete(namespace, key) {
+    const store = this._store(namespace);
+    const hashed = hashKey(key);
+    const entry = store.entries.get(hashed);
+    if (!entry) return false;
+    store.entries.delete(hashed);
+    store.bytes -= entry.size;
+    return true;
+  }
+
+  purgeExpired() {
+    let removed = 0;
+    const now = Date.now();
+    this.namespaces.forEach(store => {
+      store.entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now) {
+          store.entries.delete(key);
+          store.bytes -= entry.size;
+          removed++;
+        }
+      });
+    });
+    return removed;
+  }
+
+  clear(namespace) {
+    if (namespace) {
+      this.namespaces.delete(namespace);
+    } else {
+      this.namespaces.clear();
+    }
+  }
+
+  getStats() {
+    const usage = {};
+    this.namespaces.forEach((store, namespace) => {
+      usage[namespace] = { entries: store.entries.size, bytes: store.bytes };
+    });
+    return {
+      backend: this.backend,
+      namespaces: this.stats.snapshot(usage)
+    };
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Shared cache instance (SQLite unless CACHE_BACKEND=memory or SQLite fails to open)
+ */
+function getCache() {
+  if (sharedCache) return sharedCache;
+
+  // Recording and replaying need every request to actually go out (or be
+  // served from the recordings), not be answered by an earlier run's cache
+  const recording = ['record', 'replay'].includes((process.env.RECORDING_MODE || '').toLowerCase());
+  if (recording) {
+    log.info('Using an in-memory cache while recording or replaying', { recording_mode: process.env.RECORDING_MODE });
+  }
+
+  if (process.env.CACHE_BACKEND !== 'memory' && !recording) {
+    const dbPath = process.env.CACHE_DB_PATH
+      ? path.resolve(BACKEND_ROOT, process.env.CACHE_DB_PATH)
+      : DEFAULT_DB_PATH;
+    try {
+      sharedCache = new SqliteCache(dbPath);
+      return sharedCache;
+    } catch (error) {
+      log.warn('Could not open SQLite cache, using in-memory cache', { path: dbPath, error });
+    }
+  }
+
+  sharedCache = new MemoryCache();
+  return sharedCache;
+}
+
+module.exports = {
+  getCache,
+  SqliteCache,
+  MemoryCache
+};
@@ -0,0 +1,59 @@
+/**
+ * Reading claim results for exports.
+ *
+ * Claims come in two shapes: the /analyze response (verdict, support and
+ * contradiction as fixed-point strings) and the pipeline's own objects sent
+ * in claim_result and complete events (consensus, entail_score,
+ * contra_score). normalizeClaim reads either.
+ */
+
+/**
+ * Sources a claim was checked against, one per URL, with the stance of its
+ * strongest counted passage
+ */
+function claimSources(claim) {
+  const byUrl = new Map();
+  (claim.evidence || []).filter(entry => entry.counted).forEach(entry => {
+    const key = entry.source.url || entry.source.title;
+    if (!byUrl.has(key)) {
+      byUrl.set(key, {
+        publisher: entry.source.publisher || null,
+        title: entry.source.title || null,
+        url: entry.source.url || null,
+        credibility_tier: entry.source.credibility_tier || null,
+        stance: entry.stance
+      });
+    }
+  });
+  return [...byUrl.values()];
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || Number.isNaN(number) ? null : number;
+}
+
+/**
+ * The fields exports need from a claim of either shape
+ */
+function normalizeClaim(claim) {
+  return {
+    text: claim.text,
+    verdict: claim.verdict || claim.consensus || null,
+    claim_type: claim.claim_type || 'factual',
+    subjectivity: claim.subjectivity ? claim.subjectivity.score : null,
+    confidence: toNumber(claim.confidence ?? claim.confidence_score),
+    support: toNumber(claim.support ?? claim.entail_score),
+    contradiction: toNumber(claim.contradiction ?? claim.contra_score),
+    verdict_source: claim.verdict_source || 'automated',
+    stale_evidence: claim.temporal_check ? claim.temporal_check.stale_evidence : null,
+    fact_check: claim.fact_check || null,
+    quote_check: claim.quote_check || null,
+    sources: claimSources(claim)
+  };
+}
+
+module.exports = {
+  claimSources,
+  normalizeClaim
+};
@@ -0,0 +1,155 @@
+const { getConfig } = require('./config');
+const { normalizeClaim } = require('./claim-results');
+
+/**
+ * schema.org ClaimReview export (https://schema.org/ClaimReview), the format
+ * search engines and fact-check aggregators ingest.
+ *
+ * Verdicts map onto a 1-5 reviewRating scale (1 = false, 3 = mixed,
+ * 5 = true). insufficient_evidence has no place on that scale, so it is
+ * exported with the alternateName only. Every review is marked as automated:
+ * the rating explanation says so and `keywords` carries "automated fact
+ * check", since schema.org has no dedicated property for it.
+ */
+
+const RATING_SCALE = { worstRating: 1, bestRating: 5 };
+
+// alternateName matches the labels the extension shows (formatVerdict)
+const VERDICT_RATINGS = {
+  strongly_supported: { ratingValue: 5, alternateName: 'Strongly Supported' },
+  supported: { ratingValue: 4, alternateName: 'Supported' },
+  weakly_supported: { ratingValue: 4, alternateName: 'Weakly Supported' },
+  contested: { ratingValue: 3, alternateName: 'Contested' },
+  weakly_refuted: { ratingValue: 2, alternateName: 'Weakly Refuted' },
+  likely_false: { ratingValue: 2, alternateName: 'Likely False' },
+  refuted: { ratingValue: 1, alternateName: 'Refuted' },
+  insufficient_evidence: { ratingValue: null, alternateName: 'Insufficient Evidence' }
+};
+
+const AUTOMATED_KEYWORD = 'automated fact check';
+
+function reviewAuthor() {
+  const { authorName, authorUrl } = getConfig().claimReview;
+  return { '@type': 'Organization', name: authorName, ...(authorUrl ? { url: authorUrl } : {}) };
+}
+
+/**
+ * Why the claim got its rating, always marked as automated
+ */
+function ratingExplanation(claim) {
+  if (claim.verdict_source === 'fact_check') {
+    const { publisher, rating } = claim.fact_check;
+    return `Automated match to an existing fact-check by ${publisher?.name || 'another publisher'}` +
+      `${rating.alternate_name ? `, rated "${rating.alternate_name}"` : ''}; not reviewed by a person.`;
+  }
+
+  if (claim.quote_check) {
+    const { speaker, status, attributed_to: attributedTo, counts } = claim.quote_check;
+    const found = {
+      verbatim: `found verbatim in ${counts.verbatim} news source(s)`,
+      paraphrased: 'found only paraphrased in news sources',
+      misattributed: `credited to ${attributedTo} in news sources`,
+      not_found: 'not found in news sources'
+    }[status];
+    return `Automated quote check, not reviewed by a person: the quote${speaker ? ` attributed to ${speaker}` : ''} was ${found}.`;
+  }
+
+  const supporting = claim.sources.filter(source => source.stance === 'supports').length;
+  const contradicting = claim.sources.filter(source => source.stance === 'contradicts').length;
+  const scores = claim.support !== null && claim.contradiction !== null
+    ? ` Support ${claim.support.toFixed(2)}, contradiction ${claim.contradiction.toFixed(2)}.`
+    : '';
+  return `Automated assessment, not reviewed by a person: compared against ${claim.sources.length} news source(s), ` +
+    `${supporting} supporting and ${contradicting} contradicting.${scores}`;
+}
+
+function reviewRating(claim) {
+  const rating = VERDICT_RATINGS[claim.verdict] || VERDICT_RATINGS.insufficient_evidence;
+  return {
+    '@type': 'Rating',
+    ...(rating.ratingValue !== null ? { ratingValue: rating.ratingValue, ...RATING_SCALE } : {}),
+    alternateName: rating.alternateName,
+    ratingExplanation: ratingExplanation(claim)
+  };
+}
+
+/**
+ * The reviewed article, as the claim's appearance
+ */
+function describeAppearance(article) {
+  const appearance = { '@type': 'CreativeWork', url: article.url };
+  if (article.title) appearance.headline = article.title;
+  if (article.published_at) appearance.datePublished = article.published_at;
+  if (article.authors && article.authors.length > 0) {
+    appearance.author = article.authors.map(name => ({ '@type': 'Person', name }));
+  }
+  if (article.site_name) appearance.publisher = { '@type': 'Organization', name: article.site_name };
+  return appearance;
+}
+
+/**
+ * Sources the verdict rests on: a matched fact-check, then the sources that
+ * took a side, or every counted source when none did
+ */
+function describeSources(claim) {
+  const decisive = claim.sources.filter(source => source.stance !== 'neutral');
+  const sources = (decisive.length > 0 ? decisive : claim.sources)
+    .filter(source => source.url)
+    .map(source => ({
+      '@type': 'CreativeWork',
+      url: source.url,
+      ...(source.title ? { name: source.title } : {}),
+      ...(source.publisher ? { publisher: { '@type': 'Organization', name: source.publisher } } : {})
+    }));
+
+  if (claim.fact_check) {
+    const { url, publisher } = claim.fact_check;
+    sources.unshift({
+      '@type': 'ClaimReview',
+      url,
+      ...(publisher?.name ? { author: { '@type': 'Organization', name: publisher.name } } : {})
+    });
+  }
+  return sources;
+}
+
+/**
+ * ClaimReview objects for an analysis: one per claim. `result` is an
+ * /analyze response or a `complete` event's data (or anything with
+ * `claims`); `article` is { url, title?, published_at?, authors?, site_name? }
+ * with `url` the page the claims appeared on.
+ */
+function buildClaimReviews(result, article, { now = new Date() } = {}) {
+  const datePublished = now.toISOString().slice(0, 10);
+  const author = reviewAuthor();
+  const appearance = describeAppearance(article);
+
+  return (result.claims || []).map(normalizeClaim).map(claim => {
+    const review = {
+      '@context': 'https://schema.org',
+      '@type': 'ClaimReview',
+      datePublished,
+      claimReviewed: claim.text,
+      author,
+      reviewRating: reviewRating(claim),
+      itemReviewed: {
+        '@type': 'Claim',
+        appearance,
+        // A quote's claimant is the person quoted, not the page
+        ...(claim.quote_check?.speaker ? { author: { '@type': 'Person', name: claim.quote_check.speaker } } : {}),
+        ...(article.published_at ? { datePublished: article.published_at } : {})
+      },
+      keywords: AUTOMATED_KEYWORD
+    };
+
+    const sources = describeSources(claim);
+    if (sources.length > 0) review.isBasedOn = sources;
+    return review;
+  });
+}
+
+module.exports = {
+  RATING_SCALE,
+  VERDICT_RATINGS,
+  buildClaimReviews
+};
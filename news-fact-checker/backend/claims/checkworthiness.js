@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const natural = require('natural');
+const { scoreSubjectivity } = require('./subjectivity');
+const { createLogger } = require('../logger');
+
+/**
+ * Check-worthiness of a sentence: does it state something evidence can
+ * confirm or refute?
+ *
+ * The hand-tuned score adds up weighted cues (figures, dates, attribution,
+ * comparisons, named entities) and stays the fallback. A model trained with
+ * `npm run train-checkworthiness` on labeled sentences replaces it with a
+ * probability: a naive Bayes (or logistic regression) classifier from
+ * `natural` over the same cues, the subjectivity cue types and the
+ * sentence's stemmed words and word pairs. The model file is read once at
+ * startup from CHECKWORTHINESS_MODEL_PATH.
+ */
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const MODEL_PATH = path.resolve(BACKEND_ROOT, process.env.CHECKWORTHINESS_MODEL_PATH || 'models/checkworthiness.json');
+const MODEL_VERSION = 1;
+
+const POSITIVE = 'check_worthy';
+const NEGATIVE = 'not_check_worthy';
+const ALGORITHMS = ['bayes', 'logistic'];
+
+// Cues of the hand-tuned score, in the order they are added up
+const CUES = [
+  // Statistics and numbers
+  { name: 'percent', weight: 2.0, pattern: /\b\d+(\.\d+)?%/ },
+  { name: 'currency', weight: 1.8, pattern: /\$[\d,]+(\.\d+)?[BMK]?/ },
+  { name: 'large_number', weight: 1.5, pattern: /\b\d{1,3}(,\d{3})+/ },
+  // Temporal specificity
+  { name: 'year', weight: 1.5, pattern: /\b(20\d{2}|19\d{2})\b/ },
+  { name: 'month_day', weight: 1.8, pattern: /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}/i },
+  // Attribution and sources
+  { name: 'according_to', weight: 1.5, pattern: /according to [\w\s]+/i },
+  { name: 'study', weight: 1.5, pattern: /\bstudy\s+(by|from|conducted)/i },
+  { name: 'research', weight: 1.5, pattern: /\bresearch(ers?)?\s+(show|found|indicate)/i },
+  { name: 'report', weight: 1.5, pattern: /\breport(s|ed)?\s+(by|from|that)/i },
+  { name: 'survey', weight: 1.5, pattern: /\bsurvey\s+(of|by|shows)/i },
+  { name: 'data', weight: 1.5, pattern: /\bdata\s+(from|shows|indicates)/i },
+  // Comparative claims
+  { name: 'comparative', weight: 1.2, pattern: /\b(more|less|fewer|greater|higher|lower)\s+than\b/i },
+  { name: 'change_by_number', weight: 1.5, pattern: /\b(increased?|decreased?|rose|fell|jumped|dropped)\s+by?\s+\d+/i }
+];
+const CAUSAL = { name: 'causal', weight: 1.0, pattern: /\b(caused?|leads?\s+to|results?\s+in|because\s+of)\b/i };
+const PROPER_NOUN = /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g;
+const VAGUE_TERMS = ['some', 'many', 'several', 'various', 'certain'];
+
+const log = createLogger('checkworthiness');
+
+let model = null;
+let modelError = null;
+
+/**
+ * Cues of the hand-tuned score found in a sentence, each with the weight it
+ * adds (`count` for proper nouns)
+ */
+function findCues(sentence) {
+  const cues = CUES.filter(cue => cue.pattern.test(sentence)).map(({ name, weight }) => ({ name, weight }));
+
+  // Named entities (proper nouns)
+  const properNouns = (sentence.match(PROPER_NOUN) || []).length;
+  cues.push({ name: 'proper_nouns', weight: Math.min(properNouns * 0.3, 1.5), count: properNouns });
+
+  if (CAUSAL.pattern.test(sentence)) cues.push({ name: CAUSAL.name, weight: CAUSAL.weight });
+
+  // Length and complexity factor
+  const wordCount = sentence.split(/\s+/).length;
+  if (wordCount >= 15 && wordCount <= 40) cues.push({ name: 'mid_length', weight: 0.5 });
+
+  // Penalize vague language
+  const lowerSentence = sentence.toLowerCase();
+  VAGUE_TERMS.forEach(term => {
+    if (lowerSentence.includes(term)) cues.push({ name: 'vague', weight: -0.3 });
+  });
+
+  return cues;
+}
+
+/**
+ * Hand-tuned check-worthiness score (0 and up, unbounded)
+ */
+function scoreFactualClaim(sentence) {
+  const score = findCues(sentence).reduce((sum, cue) => sum + cue.weight, 0);
+  return Math.max(score, 0);
+}
+
+function words(sentence) {
+  return String(sentence || '').toLowerCase().match(/[\p{L}\p{N}$%.,']+/gu) || [];
+}
+
+function normalizeWord(word) {
+  const bare = word.replace(/^[.,']+|[.,']+$/g, '');
+  if (/\d/.test(bare)) return bare.endsWith('%') ? '<pct>' : '<num>';
+  return natural.PorterStemmer.stem(bare);
+}
+
+/**
+ * What the model sees of a sentence: the hand-tuned cues, the subjectivity
+ * cue types, and stemmed words and word pairs (numbers collapsed, stop
+ * words kept since "should" or "I think" say a lot here)
+ */
+function featureTokens(sentence) {
+  const text = String(sentence || '');
+  const tokens = findCues(text).map(cue => (cue.name === 'proper_nouns'
+    ? `cue:proper_nouns:${Math.min(cue.count, 5)}`
+    : `cue:${cue.name}`));
+  scoreSubjectivity(text).cues.forEach(cue => tokens.push(`subj:${cue.type}`));
+
+  const stems = words(text).map(normalizeWord).filter(Boolean);
+  stems.forEach((stem, i) => {
+    tokens.push(`w:${stem}`);
+    if (i > 0) tokens.push(`b:${stems[i - 1]}_${stem}`);
+  });
+
+  return [...new Set(tokens)];
+}
+
+function newClassifier(algorithm) {
+  return algorithm === 'logistic' ? new natural.LogisticRegressionClassifier() : new natural.BayesClassifier();
+}
+
+/**
+ * Labeled sentence from a training file line: `{ text, label }` with label
+ * check_worthy / not_check_worthy (or true / false, 1 / 0)
+ */
+function normalizeExample(example) {
+  const text = String(example?.text || '').trim();
+  const label = example?.label;
+  if (!text) throw new Error('example has no text');
+  if (label === POSITIVE || label === true || label === 1) return { text, label: POSITIVE };
+  if (label === NEGATIVE || label === false || label === 0) return { text, label: NEGATIVE };
+  throw new Error(`unknown label ${JSON.stringify(label)} (expected ${POSITIVE} or ${NEGATIVE})`);
+}
+
+/**
+ * Train a classifier on labeled sentences and return the model to save.
+ * Tokens seen fewer than `minCount` times are dropped; they only memorize
+ * the sentence they came from.
+ */
+function trainModel(examples, { algorithm = 'bayes', minCount = 2 } = {}) {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown algorithm "${algorithm}" (expected ${ALGORITHMS.join(' or ')})`);
+  }
+  const labeled = examples.map(normalizeExample);
+  const counts = { [POSITIVE]: 0, [NEGATIVE]: 0 };
+  labeled.forEach(example => {
+    counts[example.label]++;
+  });
+  if (counts[POSITIVE] === 0 || counts[NEGATIVE] === 0) {
+    throw new Error(`Training needs sentences of both labels (got ${counts[POSITIVE]} ${POSITIVE}, ${counts[NEGATIVE]} ${NEGATIVE})`);
+  }
+
+  const classifier = newClassifier(algorithm);
+  labeled.forEach(({ text, label }) => classifier.addDocument(featureTokens(text), label));
+  Object.entries(classifier.features).forEach(([token, count]) => {
+    if (count < minCount) delete classifier.features[token];
+  });
+  classifier.train();
+
+  // The training documents are only needed to retrain
+  const { docs, ...state } = JSON.parse(JSON.stringify(classifier));
+  return {
+    version: MODEL_VERSION,
+    algorithm,
+    trained_at: new Date().toISOString(),
+    examples: counts,
+    features: Object.keys(classifier.features).length,
+    min_count: minCount,
+    classifier: { ...state, docs: [] }
+  };
+}
+
+/**
+ * Classifier ready to use from a saved (or freshly trained) model
+ */
+function restoreModel(saved) {
+  if (!saved || saved.version !== MODEL_VERSION || !ALGORITHMS.includes(saved.algorithm) || !saved.classifier) {
+    throw new Error(`not a version ${MODEL_VERSION} check-worthiness model`);
+  }
+  const Classifier = saved.algorithm === 'logistic' ? natural.LogisticRegressionClassifier : natural.BayesClassifier;
+  return {
+    ...saved,
+    classifier: Classifier.restore(JSON.parse(JSON.stringify(saved.classifier)))
+  };
+}
+
+/**
+ * Probability that a sentence is check-worthy under a restored model, or
+ * null when the classifier gives no usable answer
+ */
+function predictProbability(restored, sentence) {
+  const values = Object.fromEntries(restored.classifier.getClassifications(featureTokens(sentence))
+    .map(({ label, value }) => [label, value]));
+  const positive = values[POSITIVE] || 0;
+  const total = positive + (values[NEGATIVE] || 0);
+  return total > 0 && Number.isFinite(total) ? positive / total : null;
+}
+
+/**
+ * Read the model file; without one (or with a broken one) the hand-tuned
+ * score is used
+ */
+function loadModel(filePath = MODEL_PATH) {
+  model = null;
+  modelError = null;
+  if (!fs.existsSync(filePath)) return getStatus();
+
+  try {
+    model = { ...restoreModel(JSON.parse(fs.readFileSync(filePath, 'utf8'))), path: filePath };
+    log.info('Check-worthiness model loaded', { path: filePath, algorithm: model.algorithm, features: model.features });
+  } catch (error) {
+    modelError = error;
+    log.warn('Check-worthiness model not usable, using the hand-tuned score', { path: filePath, error: error.message });
+  }
+  return getStatus();
+}
+
+/**
+ * Check-worthiness of a sentence as { score, method }: the loaded model's
+ * probability (0-1) unless `useModel` is off, else the hand-tuned score
+ */
+function scoreCheckWorthiness(sentence, { useModel = true } = {}) {
+  if (useModel && model) {
+    const probability = predictProbability(model, sentence);
+    if (probability !== null) return { score: probability, method: 'model' };
+  }
+  return { score: scoreFactualClaim(sentence), method: 'heuristic' };
+}
+
+function getStatus() {
+  return {
+    path: model ? model.path : MODEL_PATH,
+    loaded: !!model,
+    algorithm: model ? model.algorithm : null,
+    trained_at: model ? model.trained_at : null,
+    examples: model ? model.examples : null,
+    features: model ? model.features : null,
+    error: modelError ? modelError.message : null
+  };
+}
+
+module.exports = {
+  MODEL_PATH,
+  POSITIVE,
+  NEGATIVE,
+  ALGORITHMS,
+  scoreFactualClaim,
+  featureTokens,
+  normalizeExample,
+  trainModel,
+  restoreModel,
+  predictProbability,
+  loadModel,
+  scoreCheckWorthiness,
+  getStatus
+};
@@ -0,0 +1,242 @@
+const nlp = require('compromise');
+
+/**
+ * Rewrite a claim sentence into a self-contained statement using the article
+ * text before it.
+ *
+ * "He said the agency cut its budget by 20%" becomes "Michael Regan said the
+ * Environmental Protection Agency cut its budget by 20%": personal pronouns
+ * are resolved to the most recent person of matching gender, "it"/"its" and
+ * definite descriptions ("the agency", "the company") to the most recent
+ * organization, "the city"/"the country" to the most recent place, and
+ * surname-only references ("Mr. Regan") to the full name. Mentions that
+ * already have an antecedent inside the sentence are left alone.
+ */
+
+const ORG_NOUNS = [
+  'agency', 'company', 'firm', 'bank', 'department', 'ministry', 'government',
+  'administration', 'organization', 'organisation', 'group', 'union', 'board',
+  'commission', 'committee', 'council', 'court', 'university', 'institute',
+  'bureau', 'corporation', 'office', 'party', 'association', 'authority',
+  'fund', 'regulator', 'retailer', 'automaker', 'carmaker', 'network', 'startup'
+];
+const PLACE_NOUNS = ['city', 'country', 'state', 'province', 'region', 'county', 'town', 'nation'];
+
+const PERSON_PRONOUNS = {
+  he: { gender: 'male', form: 'subject' },
+  him: { gender: 'male', form: 'object' },
+  his: { gender: 'male', form: 'possessive' },
+  she: { gender: 'female', form: 'subject' },
+  her: { gender: 'female', form: null }, // object or possessive, decided by the next word
+  it: { type: 'organization', form: 'subject' },
+  its: { type: 'organization', form: 'possessive' }
+};
+
+const MENTION_PATTERN = new RegExp(
+  `\\b(?:(${Object.keys(PERSON_PRONOUNS).join('|')})|the\\s+(${[...ORG_NOUNS, ...PLACE_NOUNS].join('|')}))\\b`,
+  'gi'
+);
+
+// Dummy "it" ("It is estimated that ...", "It will take years") has no antecedent
+const AFTER_DUMMY_IT = /^\s*(?:is|was|'s|will|would|has|had|seems|seemed|appears|appeared|remains|may|might|could|should|can|must|takes|took|became|becomes)\b/i;
+
+// Words after "her" that mean it is an object pronoun ("told her that ...")
+const AFTER_OBJECT_HER = /^\s*(?:$|[,.;:!?]|(?:to|and|or|that|in|on|at|for|with|by|from|as|of|about|after|before)\b)/i;
+
+const ABBREVIATION_END = /\b(?:Inc|Corp|Co|Ltd|Jr|Sr|St)\.$/;
+
+const MALE_HONORIFICS = /^(mr|sir|lord)\.?$/i;
+const FEMALE_HONORIFICS = /^(mrs|ms|miss|madam|dame|lady)\.?$/i;
+
+/**
+ * Drop trailing punctuation, keeping the period of abbreviations ("Apple Inc.")
+ */
+function trimPunctuation(text) {
+  const trimmed = text.replace(/[,;:]+$/, '');
+  return ABBREVIATION_END.test(trimmed) ? trimmed : trimmed.replace(/\.+$/, '');
+}
+
+/**
+ * People, organizations and places in a text, with offsets and (for people)
+ * gender and a canonical full name
+ */
+function findEntities(text) {
+  const doc = nlp(text);
+  const entities = [];
+
+  doc.people().json({ offset: true }).forEach(match => {
+    const terms = match.terms;
+    const names = terms.filter(term => !term.tags.includes('Honorific'));
+    if (names.length === 0) return;
+
+    const honorific = terms.find(term => term.tags.includes('Honorific'));
+    let gender = null;
+    if (terms.some(term => term.tags.includes('MaleName')) || (honorific && MALE_HONORIFICS.test(honorific.text))) {
+      gender = 'male';
+    } else if (terms.some(term => term.tags.includes('FemaleName')) || (honorific && FEMALE_HONORIFICS.test(honorific.text))) {
+      gender = 'female';
+    }
+
+    entities.push({
+      type: 'person',
+      text: trimPunctuation(match.text),
+      name: names.map(term => trimPunctuation(term.text)).join(' '),
+      lastName: names[names.length - 1].text.replace(/[^\w'-]/g, ''),
+      gender,
+      start: match.offset.start,
+      end: match.offset.start + trimPunctuation(match.text).length
+    });
+  });
+
+  [['organization', doc.organizations()], ['place', doc.places()]].forEach(([type, matches]) => {
+    matches.json({ offset: true }).forEach(match => {
+      const name = trimPunctuation(match.text).replace(/'s$/, '');
+      // Keep the article when the text uses one ("the Environmental Protection Agency")
+      const withArticle = /\bthe\s+$/i.test(text.slice(Math.max(0, match.offset.start - 4), match.offset.start));
+      entities.push({
+        type,
+        text: name,
+        name: withArticle ? `the ${name}` : name,
+        start: match.offset.start,
+        end: match.offset.start + name.length
+      });
+    });
+  });
+
+  return entities.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Fill in full names and genders for later references to the same person
+ * ("Michael Regan" ... "Mr. Regan")
+ */
+function linkPeople(entities) {
+  const byLastName = new Map();
+  entities.filter(entity => entity.type === 'person').forEach(person => {
+    const earlier = byLastName.get(person.lastName);
+    if (earlier && earlier.name.split(' ').length > person.name.split(' ').length) {
+      person.fullName = earlier.fullName;
+      person.gender = person.gender || earlier.gender;
+    } else {
+      person.fullName = person.name;
+      byLastName.set(person.lastName, person);
+    }
+    if (earlier && !earlier.gender) earlier.gender = person.gender;
+  });
+}
+
+function nameWords(entity) {
+  return entity.text.toLowerCase().split(/\s+/);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Most recent entity before `position` that can be the antecedent of a mention
+ */
+function findAntecedent(entities, position, { type, gender, noun }) {
+  const candidates = entities
+    .filter(entity => entity.end <= position && entity.type === type)
+    .filter(entity => !gender || !entity.gender || entity.gender === gender);
+  if (candidates.length === 0) return null;
+
+  if (!noun) return candidates[candidates.length - 1];
+
+  // "the agency" prefers an organization whose name contains "Agency", and
+  // never resolves to one whose name says it is something else ("... Bank")
+  const named = candidates.filter(entity => nameWords(entity).includes(noun));
+  if (named.length > 0) return named[named.length - 1];
+
+  const compatible = candidates.filter(entity =>
+    !nameWords(entity).some(word => ORG_NOUNS.includes(word) || PLACE_NOUNS.includes(word))
+  );
+  return compatible.length > 0 ? compatible[compatible.length - 1] : null;
+}
+
+/**
+ * Resolve references in `sentence` against the preceding `contextSentences`.
+ * Returns the rewritten text and the replacements that were made.
+ */
+function resolveCoreferences(sentence, contextSentences = []) {
+  const context = contextSentences.join(' ');
+  const offset = context ? context.length + 1 : 0;
+  const fullText = context ? `${context} ${sentence}` : sentence;
+
+  const entities = findEntities(fullText);
+  linkPeople(entities);
+
+  const edits = [];
+
+  // Surname-only or honorific references to someone named in full earlier
+  entities
+    .filter(entity => entity.type === 'person' && entity.start >= offset && entity.fullName !== entity.name)
+    .forEach(person => {
+      edits.push({
+        start: person.start - offset,
+        end: person.end - offset,
+        mention: person.text,
+        replacement: person.fullName
+      });
+    });
+
+  for (const match of sentence.matchAll(MENTION_PATTERN)) {
+    const [mention, pronoun, noun] = match;
+    const position = offset + match.index;
+    const atStart = match.index === 0;
+    let antecedent = null;
+    let form = 'subject';
+
+    if (pronoun) {
+      const spec = PERSON_PRONOUNS[pronoun.toLowerCase()];
+      const type = spec.type || 'person';
+      const rest = sentence.slice(match.index + mention.length);
+      form = spec.form || (AFTER_OBJECT_HER.test(rest) ? 'object' : 'possessive');
+      if (pronoun.toLowerCase() === 'it' && AFTER_DUMMY_IT.test(rest)) continue;
+
+      // The sentence already names who this refers to
+      if (findAntecedent(entities.filter(entity => entity.start >= offset), position, { type, gender: spec.gender })) continue;
+      if (type === 'organization' && new RegExp(`\\bthe\\s+(?:${ORG_NOUNS.join('|')})\\b`, 'i').test(sentence.slice(0, match.index))) continue;
+
+      antecedent = findAntecedent(entities, position, { type, gender: spec.gender });
+    } else {
+      const lowerNoun = noun.toLowerCase();
+      const type = PLACE_NOUNS.includes(lowerNoun) ? 'place' : 'organization';
+      if (findAntecedent(entities.filter(entity => entity.start >= offset), position, { type })) continue;
+
+      antecedent = findAntecedent(entities, position, { type, noun: lowerNoun });
+    }
+
+    if (!antecedent) continue;
+
+    const name = antecedent.fullName || antecedent.name;
+    let replacement = form === 'possessive' ? `${name}'s` : name;
+    if (atStart) replacement = capitalize(replacement);
+
+    edits.push({ start: match.index, end: match.index + mention.length, mention, replacement });
+  }
+
+  if (edits.length === 0) {
+    return { text: sentence, replacements: [] };
+  }
+
+  // Apply right to left so earlier offsets stay valid
+  let text = sentence;
+  edits
+    .sort((a, b) => b.start - a.start)
+    .forEach(edit => {
+      text = text.slice(0, edit.start) + edit.replacement + text.slice(edit.end);
+    });
+
+  return {
+    text,
+    replacements: edits
+      .sort((a, b) => a.start - b.start)
+      .map(edit => ({ mention: edit.mention, antecedent: edit.replacement }))
+  };
+}
+
+module.exports = {
+  resolveCoreferences
+};
@@ -0,0 +1,206 @@
+const nlp = require('compromise');
+
+/**
+ * Split compound sentences into atomic sub-claims.
+ *
+ * "Unemployment fell to 3.5% in May while wages rose 4%" holds two facts that
+ * can be true or false independently. The sentence is cut at clause
+ * boundaries (semicolons, commas and conjunctions); pieces that are not
+ * clauses on their own (list items, "between X and Y", appositives,
+ * relative clauses) are glued back onto their neighbour, and clauses that
+ * share the first clause's subject ("... and remained there in June") get it
+ * copied in.
+ */
+
+// Candidate boundaries; the separator is captured so pieces can be rejoined verbatim
+const BOUNDARY_PATTERN = /(\s*;\s*|,?\s+(?:while|whereas|but|and|although|though)\s+|,\s+)/i;
+
+// A piece starting with one of these depends on the previous clause
+const DEPENDENT_OPENERS = /^(which|who|whom|whose|that|where|when|as|after|before|because|since|including|compared|than|from|to|with|according)\b/i;
+
+// Don't split ranges like "between 2019 and 2021"
+const RANGE_BEFORE_AND = /\bbetween\s+\S+(?:\s+\S+)?$/i;
+
+const MIN_SUBCLAIM_WORDS = 3;
+
+// compromise mis-tags some words that are common in economic claims
+// ("wages rose" as two nouns, "imports fell" as two verbs)
+const TAG_FIXES = {
+  rose: 'PastTense',
+  employs: 'PresentTense',
+  imports: 'Plural',
+  exports: 'Plural',
+  wages: 'Plural',
+  sales: 'Plural',
+  prices: 'Plural',
+  profits: 'Plural',
+  earnings: 'Plural',
+  shares: 'Plural'
+};
+
+/**
+ * Tag a sentence once so pieces are judged in context; returns terms with
+ * character offsets
+ */
+function tagTerms(text) {
+  const doc = nlp(text);
+  Object.entries(TAG_FIXES).forEach(([word, tag]) => doc.match(word).tag(tag));
+
+  return doc.json({ offset: true }).flatMap(sentence =>
+    sentence.terms.map(term => ({
+      text: term.text,
+      start: term.offset.start,
+      tags: new Set(term.tags)
+    }))
+  );
+}
+
+function termsBetween(terms, start, end) {
+  return terms.filter(term => term.start >= start && term.start < end);
+}
+
+/**
+ * Whether a piece of a sentence can stand as its own clause
+ */
+function isIndependentClause(piece, terms) {
+  if (DEPENDENT_OPENERS.test(piece) || terms.length === 0) return false;
+  if (!terms.some(term => term.tags.has('Verb'))) return false;
+
+  // Participle phrases ("rising 4% on the year") modify the previous clause
+  return !terms[0].tags.has('Gerund');
+}
+
+/**
+ * Whether a clause starts with its verb, i.e. relies on an earlier subject
+ */
+function lacksSubject(terms) {
+  const [first, second] = terms;
+  if (!first || !first.tags.has('Verb') || first.tags.has('Gerund')) return false;
+  return first.tags.has('Auxiliary') || !second || !second.tags.has('Verb');
+}
+
+/**
+ * Everything before the first verb of a clause, or '' when there is none. In
+ * reported speech ("Officials said that the figures were ...") the subject
+ * shared by later clauses is the one after "that"; if that can't be found
+ * the speaker is not a stand-in for it.
+ */
+function subjectOf(clause) {
+  const reported = clause.match(/\bthat\s+(.+)$/i);
+  if (reported) {
+    return subjectOf(reported[1]);
+  }
+
+  const terms = tagTerms(clause);
+  const verbIndex = terms.findIndex(term => term.tags.has('Verb'));
+  return verbIndex > 0 ? clause.slice(0, terms[verbIndex].start).trim() : '';
+}
+
+function finishSentence(text) {
+  const trimmed = text.trim().replace(/[,;:]+$/, '').replace(/[.!?]+$/, '');
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1) + '.';
+}
+
+/**
+ * Split "X, which/who ..., rest" into "X rest" and "X ..."
+ */
+function splitRelativeClause(sentence) {
+  const match = sentence.match(/^(.+?),\s+(?:which|who)\s+((?:[^,]|,(?=\d))+),\s+(.+)$/i);
+  if (!match) return null;
+
+  const [, head, relative, rest] = match;
+  const terms = tagTerms(sentence);
+  const relativeStart = sentence.indexOf(relative, head.length);
+  const restStart = sentence.lastIndexOf(rest);
+  if (!lacksSubject(termsBetween(terms, relativeStart, relativeStart + relative.length)) ||
+      !lacksSubject(termsBetween(terms, restStart, sentence.length))) {
+    return null;
+  }
+
+  return [`${head} ${rest}`, `${head} ${relative}`];
+}
+
+/**
+ * Cut a sentence at clause boundaries, rejoining pieces that are not clauses.
+ * Each clause keeps its character range so subjects can be checked in context.
+ */
+function splitClauses(sentence) {
+  const terms = tagTerms(sentence);
+  const parts = sentence.split(BOUNDARY_PATTERN);
+  const clauses = [];
+  let pending = null; // leading pieces waiting for a clause to attach to
+  let offset = 0;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const separator = i > 0 ? parts[i - 1] : '';
+    offset += separator.length;
+    const piece = { start: offset, end: offset + parts[i].length };
+    offset = piece.end;
+
+    const previous = clauses.length > 0 ? clauses[clauses.length - 1] : null;
+    const isRange = /\band\b/i.test(separator) && previous &&
+      RANGE_BEFORE_AND.test(sentence.slice(previous.start, previous.end));
+
+    if (pending) {
+      pending.end = piece.end;
+    }
+    const candidate = pending || piece;
+    const candidateText = sentence.slice(candidate.start, candidate.end).trim();
+    const independent = !isRange && candidateText &&
+      isIndependentClause(candidateText, termsBetween(terms, candidate.start, candidate.end));
+
+    if (independent) {
+      clauses.push(candidate);
+      pending = null;
+    } else if (previous && !pending) {
+      previous.end = piece.end;
+    } else {
+      pending = candidate;
+    }
+  }
+
+  if (pending) {
+    if (clauses.length > 0) {
+      clauses[clauses.length - 1].end = pending.end;
+    } else {
+      clauses.push(pending);
+    }
+  }
+
+  return clauses.map(clause => ({
+    text: sentence.slice(clause.start, clause.end).trim(),
+    terms: termsBetween(terms, clause.start, clause.end)
+  }));
+}
+
+/**
+ * Atomic sub-claims of a sentence. Returns `[sentence]` when it holds a
+ * single fact (or can't be split into parts that are each worth checking).
+ */
+function decomposeClaim(sentence) {
+  const text = String(sentence || '').trim().replace(/[.!?]+$/, '');
+  if (!text || /\brespectively\b/i.test(text)) {
+    return [sentence];
+  }
+
+  const pieces = splitRelativeClause(text) || [text];
+  const clauses = pieces.flatMap(splitClauses);
+
+  // A clause that relies on a subject nobody can name is not a claim on its own
+  const subject = subjectOf(clauses[0].text);
+  const borrowing = clauses.slice(1).some(clause => lacksSubject(clause.terms));
+  if (borrowing && !subject) {
+    return [sentence];
+  }
+
+  const subClaims = clauses
+    .map((clause, index) => (index > 0 && lacksSubject(clause.terms) ? `${subject} ${clause.text}` : clause.text))
+    .filter(clause => clause.split(/\s+/).length >= MIN_SUBCLAIM_WORDS)
+    .map(finishSentence);
+
+  return subClaims.length >= 2 ? subClaims : [sentence];
+}
+
+module.exports = {
+  decomposeClaim
+};
@@ -0,0 +1,96 @@
+/**
+ * Graded subjectivity of a sentence.
+ *
+ * Each sentence gets a 0-1 score from weighted cues: opinion phrases ("I
+ * think", "in my view"), normative modals ("should"), loaded and evaluative
+ * words, intensifiers, hedges and rhetorical punctuation push it up;
+ * attribution ("according to", "reportedly") and figures pull it down, so a
+ * sourced fact that happens to contain "could" is not mistaken for opinion.
+ * The weights are summed and squashed with 1 - e^-x, so one hedge barely
+ * registers and several strong cues approach 1.
+ */
+
+// Most specific first; a later cue never counts text an earlier one matched
+const CUES = [
+  { type: 'opinion_phrase', weight: 0.6, pattern: /\b(?:i|we)\s+(?:(?:really|truly|strongly)\s+)?(?:think|believe|feel|suspect|reckon|doubt)\b/gi },
+  { type: 'opinion_phrase', weight: 0.6, pattern: /\b(?:in|from)\s+(?:my|our)\s+(?:view|opinion|experience)\b|\bit(?:\s+is|'s)\s+(?:clear|obvious|undeniable)\s+that\b/gi },
+  { type: 'attribution', weight: -0.3, pattern: /\baccording\s+to\b|\b(?:said|says|told|reported|announced|stated|confirmed|estimated)\b/gi },
+  { type: 'attribution', weight: -0.2, pattern: /\b(?:reportedly|allegedly|officially)\b/gi },
+  { type: 'belief', weight: 0.3, pattern: /\b(?:believes?|believed|thinks?|feels?|opinion|convinced)\b/gi },
+  { type: 'normative', weight: 0.35, pattern: /\b(?:should(?:n't)?|ought\s+to)\b/gi },
+  { type: 'normative', weight: 0.2, pattern: /\b(?:must|needs?\s+to)\b/gi },
+  {
+    type: 'loaded',
+    weight: 0.3,
+    pattern: /\b(?:disgraceful|outrageous|shameful|shocking|disastrous|disaster|catastrophic|reckless|ridiculous|absurd|pathetic|terrible|horrible|awful|appalling|brilliant|amazing|fantastic|incredible|stunning|corrupt|radical|extremist|insane|crazy|stupid|evil|heroic|so-called|sham|hoax|scandalous|failed|despicable)\b/gi
+  },
+  { type: 'intensifier', weight: 0.15, pattern: /\b(?:clearly|obviously|undeniably|absolutely|totally|utterly|extremely|incredibly|truly|really|simply|completely|deeply)\b/gi },
+  { type: 'superlative', weight: 0.15, pattern: /\b(?:best|worst|greatest|finest|ever)\b/gi },
+  // "may" is a hedge only in lower case; "May" is usually the month
+  { type: 'hedge', weight: 0.2, pattern: /\bmay\b(?!\s+\d)|\b(?:might|could|perhaps|possibly|probably|likely|unlikely|seems?|seemed|appears?|apparently|arguably|supposedly|presumably|suggests?)\b/g },
+  { type: 'hedge', weight: 0.2, pattern: /\b(?:Might|Could|Perhaps|Possibly|Probably|Likely|Seemingly|Apparently|Arguably|Supposedly|Presumably)\b/g },
+  { type: 'rhetorical', weight: 0.25, pattern: /!+|\?\s*$/g },
+  { type: 'figure', weight: -0.2, max: 1, pattern: /\d+(?:[.,]\d+)*%?/g }
+];
+
+// Each cue type counts this often at most (figures once: a number in an
+// opinion does not make it less of one)
+const MAX_PER_TYPE = 3;
+
+/**
+ * Score one sentence: `{ score, cues }` with each cue's text, type and weight
+ */
+function scoreSubjectivity(sentence) {
+  const text = String(sentence || '');
+  const covered = [];
+  const isCovered = (start, end) => covered.some(([from, to]) => start < to && end > from);
+  const perType = {};
+  const cues = [];
+
+  CUES.forEach(({ type, weight, pattern, max = MAX_PER_TYPE }) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (isCovered(start, end) || (perType[type] || 0) >= max) continue;
+      covered.push([start, end]);
+      perType[type] = (perType[type] || 0) + 1;
+      cues.push({ cue: match[0].toLowerCase(), type, weight });
+    }
+  });
+
+  const total = cues.reduce((sum, cue) => sum + cue.weight, 0);
+  return {
+    score: Number((1 - Math.exp(-Math.max(0, total))).toFixed(3)),
+    cues
+  };
+}
+
+/**
+ * Page-level summary over the scored sentences: how many reach the
+ * threshold (the opinion ratio), the mean score and which cue types fired
+ */
+function summarizeSubjectivity(scores, threshold) {
+  const opinionSentences = scores.filter(result => result.score >= threshold).length;
+  const cueCounts = {};
+  scores.forEach(result => {
+    result.cues.filter(cue => cue.weight > 0).forEach(cue => {
+      cueCounts[cue.type] = (cueCounts[cue.type] || 0) + 1;
+    });
+  });
+
+  return {
+    threshold,
+    sentences: scores.length,
+    opinion_sentences: opinionSentences,
+    opinion_ratio: scores.length > 0 ? Number((opinionSentences / scores.length).toFixed(3)) : 0,
+    mean_score: scores.length > 0
+      ? Number((scores.reduce((sum, result) => sum + result.score, 0) / scores.length).toFixed(3))
+      : 0,
+    cue_counts: cueCounts
+  };
+}
+
+module.exports = {
+  scoreSubjectivity,
+  summarizeSubjectivity
+};
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Central configuration for the analysis pipeline and server limits.
+ *
+ * Every setting is declared once in SCHEMA with its type, bounds and default.
+ * Values come from the defaults, then the JSON file at CONFIG_PATH (default
+ * config.json, optional), then environment variables, and everything is
+ * validated together when the config is first loaded so a bad value stops
+ * the server at startup instead of surfacing mid-analysis. Credentials and
+ * data file locations (indexes, archives, client keys) stay in the environment.
+ *
+ * Settings with a `request` name may also be overridden per analysis through
+ * the request's `options` object; `requestMode: 'lower'` ones may only be
+ * lowered (less work), never raised above the configured value.
+ */
+
+const BACKEND_ROOT = __dirname;
+const DEFAULT_CONFIG_PATH = path.join(BACKEND_ROOT, 'config.json');
+
+const SCHEMA = {
+  // Server
+  'server.port': { type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT', description: 'HTTP port' },
+  'server.maxBodySize': { type: 'string', default: '1mb', pattern: /^\d+(b|kb|mb)$/i, env: 'MAX_BODY_SIZE', description: 'Largest accepted request body, e.g. 1mb' },
+  'server.httpTimeoutMs': { type: 'integer', default: 8000, min: 100, max: 120000, env: 'HTTP_TIMEOUT_MS', description: 'Default timeout for outgoing HTTP requests' },
+
+  // Claim extraction
+  'extraction.maxTextChars': { type: 'integer', default: 10000, min: 500, max: 200000, env: 'EXTRACTION_MAX_TEXT_CHARS', description: 'Characters of article text scanned for claims' },
+  'extraction.minSentenceLength': { type: 'integer', default: 40, min: 1, max: 1000, description: 'Shortest sentence considered a claim' },
+  'extraction.maxSentenceLength': { type: 'integer', default: 400, min: 10, max: 5000, description: 'Longest sentence considered a claim' },
+  'extraction.minClaimScore': { type: 'number', default: 0.4, min: 0, max: 1, env: 'MIN_CLAIM_SCORE', request: 'min_claim_score', description: 'Hand-tuned check-worthiness score a sentence needs to be checked (used when no trained model scores it)' },
+  'extraction.checkWorthinessModel': { type: 'boolean', default: true, env: 'CHECKWORTHINESS_MODEL', request: 'checkworthiness_model', description: 'Score check-worthiness with the trained classifier when a model file is loaded (see claims/checkworthiness.js); the hand-tuned score otherwise' },
+  'extraction.minCheckWorthiness': { type: 'number', default: 0.5, min: 0, max: 1, env: 'MIN_CHECK_WORTHINESS', request: 'min_check_worthiness', description: 'Probability of being check-worthy a sentence needs when the trained classifier scores it' },
+  'extraction.maxClaims': { type: 'integer', default: 10, min: 1, max: 50, env: 'MAX_CLAIMS', request: 'max_claims', requestMode: 'lower', description: 'Claims checked per article' },
+  'extraction.corefContextSentences': { type: 'integer', default: 6, min: 0, max: 50, description: 'Preceding sentences searched for pronoun antecedents' },
+  'extraction.subjectivityThreshold': { type: 'number', default: 0.5, min: 0, max: 1, env: 'SUBJECTIVITY_THRESHOLD', request: 'subjectivity_threshold', description: 'Subjectivity score (see claims/subjectivity.js) from which a sentence counts as opinion' },
+  'extraction.subjectivityMode': { type: 'enum', values: ['filter', 'flag'], default: 'filter', env: 'SUBJECTIVITY_MODE', request: 'subjectivity_mode', description: 'Leave opinion sentences out of claim extraction, or keep them as claims flagged as subjective' },
+
+  // Evidence search
+  'search.maxQueries': { type: 'integer', default: 5, min: 1, max: 20, env: 'MAX_SEARCH_QUERIES', request: 'max_queries', requestMode: 'lower', description: 'Search queries per article' },
+  'search.queriesPerClaim': { type: 'integer', default: 3, min: 1, max: 10, description: 'Search queries built from each claim' },
+  'search.maxSources': { type: 'integer', default: 12, min: 1, max: 100, env: 'MAX_SOURCES', request: 'max_sources', requestMode: 'lower', description: 'Sources kept per article' },
+  'search.queryDelayMs': { type: 'integer', default: 200, min: 0, max: 10000, description: 'Pause between queries to stay under provider rate limits' },
+  'search.providers': { type: 'string', default: 'newsapi', pattern: /^[\w-]+(\s*,\s*[\w-]+)*$/, env: 'EVIDENCE_PROVIDERS', description: 'Evidence providers searched, comma separated (see providers/index.js)' },
+
+  // Local RSS/Atom index (see rss/ingest.js)
+  'rss.maxDocuments': { type: 'integer', default: 5000, min: 1, max: 1000000, env: 'RSS_INDEX_MAX_DOCS', description: 'Articles kept in the RSS index; the oldest are dropped first' },
+  'rss.refreshMinutes': { type: 'number', default: 0, min: 0, env: 'RSS_REFRESH_MINUTES', description: 'Re-ingest the configured feeds this often while the server runs (0 = only via npm run ingest-feeds)' },
+
+  // Full-text evidence
+  'fullText.enabled': { type: 'boolean', default: false, env: 'FETCH_FULL_TEXT', request: 'full_text', requestMode: 'lower', description: 'Fetch and extract the full article behind each source' },
+  'fullText.timeoutMs': { type: 'integer', default: 5000, min: 100, max: 60000, env: 'FULL_TEXT_TIMEOUT_MS', description: 'Timeout per source download' },
+  'fullText.maxBytes': { type: 'integer', default: 2 * 1024 * 1024, min: 1024, max: 50 * 1024 * 1024, env: 'FULL_TEXT_MAX_BYTES', description: 'Largest source page downloaded' },
+  'fullText.maxChars': { type: 'integer', default: 20000, min: 100, max: 500000, env: 'FULL_TEXT_MAX_CHARS', description: 'Characters of extracted article text kept' },
+
+  // URL analysis (POST /analyze-url)
+  'urlAnalysis.timeoutMs': { type: 'integer', default: 10000, min: 100, max: 60000, env: 'URL_FETCH_TIMEOUT_MS', description: 'Timeout per download of a submitted URL (each redirect hop)' },
+  'urlAnalysis.maxBytes': { type: 'integer', default: 5 * 1024 * 1024, min: 1024, max: 50 * 1024 * 1024, env: 'URL_FETCH_MAX_BYTES', description: 'Largest submitted page downloaded' },
+  'urlAnalysis.maxRedirects': { type: 'integer', default: 5, min: 0, max: 10, description: 'Redirects followed for a submitted URL' },
+  'urlAnalysis.minTextChars': { type: 'integer', default: 200, min: 0, max: 10000, description: 'Shortest extracted article text that is analyzed' },
+  'urlAnalysis.allowPrivateHosts': { type: 'boolean', default: false, env: 'URL_FETCH_ALLOW_PRIVATE', description: 'Allow submitted URLs on private, loopback and link-local addresses (development only)' },
+
+  // NLI scoring
+  'nli.backend': { type: 'enum', values: ['huggingface', 'local', 'heuristic'], default: null, env: 'NLI_BACKEND', description: 'NLI scorer; unset means huggingface when HF_TOKEN is set, else heuristic' },
+  'nli.hfModel': { type: 'string', default: 'facebook/bart-large-mnli', env: 'HF_ZERO_SHOT_MODEL', description: 'Hugging Face zero-shot model for NLI and page classification' },
+  'nli.timeoutMs': { type: 'integer', default: 5000, min: 100, max: 120000, env: 'NLI_TIMEOUT_MS', description: 'Timeout per Hugging Face NLI call' },
+  'nli.maxEvidenceChars': { type: 'integer', default: 500, min: 50, max: 5000, description: 'Evidence window sent to NLI' },
+  'nli.maxClaimChars': { type: 'integer', default: 200, min: 20, max: 2000, description: 'Claim characters sent to NLI' },
+  'nli.maxConcurrent': { type: 'integer', default: 3, min: 1, max: 32, env: 'MAX_CONCURRENT_NLI', description: 'NLI calls in flight per claim' },
+
+  // On-device NLI (NLI_BACKEND=local, see nli/local-model.js)
+  'localNli.model': { type: 'string', default: 'Xenova/nli-deberta-v3-xsmall', env: 'LOCAL_NLI_MODEL', description: 'Model id, looked up under localNli.modelDir' },
+  'localNli.modelDir': { type: 'string', default: 'models', env: 'LOCAL_MODEL_DIR', description: 'Directory laid out like the Hugging Face hub (<dir>/<model id>/...), relative to the backend' },
+  'localNli.dtype': { type: 'enum', values: ['fp32', 'fp16', 'q8', 'int8', 'uint8', 'q4', 'q4f16', 'bnb4'], default: 'q8', env: 'LOCAL_NLI_DTYPE', description: 'Weights variant loaded (onnx/model_<dtype>.onnx)' },
+  'localNli.batchSize': { type: 'integer', default: 8, min: 1, max: 256, env: 'LOCAL_NLI_BATCH_SIZE', description: 'Pairs scored per forward pass' },
+  'localNli.threads': { type: 'integer', default: 0, min: 0, max: 256, env: 'LOCAL_NLI_THREADS', description: 'ONNX Runtime threads (0 lets it decide)' },
+  'localNli.allowDownload': { type: 'boolean', default: false, env: 'LOCAL_MODEL_ALLOW_DOWNLOAD', description: 'Download the model from the Hugging Face hub when it is not in localNli.modelDir' },
+
+  // Page classification
+  'classification.timeoutMs': { type: 'integer', default: 3000, min: 100, max: 120000, env: 'CLASSIFICATION_TIMEOUT_MS', description: 'Timeout for Hugging Face page classification' },
+  'classification.maxChars': { type: 'integer', default: 4000, min: 100, max: 50000, description: 'Characters of page text classified (Hugging Face)' },
+  'classification.localMaxChars': { type: 'integer', default: 2000, min: 100, max: 50000, description: 'Characters of page text classified (local model)' },
+
+  // Claim verification
+  'verification.maxPassages': { type: 'integer', default: 8, min: 1, max: 50, env: 'MAX_NLI_PASSAGES', request: 'max_passages', requestMode: 'lower', description: 'Top-ranked evidence passages scored per claim' },
+  'verification.maxConcurrentClaims': { type: 'integer', default: 2, min: 1, max: 16, description: 'Claims verified in parallel' },
+  'verification.relevanceThreshold': { type: 'number', default: 0.3, min: 0, max: 1, description: 'Relevance a source needs to be listed under a claim' },
+
+  // Temporal validity of evidence (see verifiers/temporal.js)
+  'temporal.enabled': { type: 'boolean', default: true, env: 'TEMPORAL_CHECKS', request: 'temporal_checks', requestMode: 'lower', description: 'Compare the period a claim is about with the dates of its evidence' },
+  'temporal.graceDays': { type: 'integer', default: 180, min: 0, max: 3650, env: 'TEMPORAL_GRACE_DAYS', description: 'Days after a claim\'s period during which sources still count as in the window' },
+  'temporal.outOfWindowWeight': { type: 'number', default: 0.5, min: 0, max: 1, description: 'Weight factor for evidence about other periods' },
+  'temporal.staleWeight': { type: 'number', default: 0.25, min: 0, max: 1, description: 'Weight factor for evidence published before the claim\'s period' },
+  'temporal.capStaleVerdicts': { type: 'boolean', default: true, env: 'TEMPORAL_CAP_STALE_VERDICTS', description: 'Weaken verdicts that rest only on stale or out-of-window evidence to weakly_*' },
+
+  // Direct quotes checked for wording and speaker (see verifiers/quotes.js)
+  'quotes.enabled': { type: 'boolean', default: true, env: 'QUOTE_CHECKS', request: 'quote_checks', requestMode: 'lower', description: 'Treat attributed direct quotes as their own claim type and check their wording and speaker' },
+  'quotes.minWords': { type: 'integer', default: 4, min: 1, max: 50, description: 'Words a quoted span needs to count as a quote rather than a scare quote' },
+  'quotes.paraphraseThreshold': { type: 'number', default: 0.6, min: 0, max: 1, env: 'QUOTE_PARAPHRASE_THRESHOLD', description: 'Similarity of evidence wording to the quote that counts as a paraphrase' },
+
+  // Matching claims against the fact-check archive (see factchecks/matcher.js)
+  'factChecks.enabled': { type: 'boolean', default: true, env: 'FACT_CHECK_MATCHING', request: 'fact_checks', requestMode: 'lower', description: 'Look up each claim in the local fact-check archive' },
+  'factChecks.mode': { type: 'enum', values: ['alongside', 'replace'], default: 'alongside', env: 'FACT_CHECK_MODE', request: 'fact_check_mode', description: 'Show a matched fact-check next to the automated verdict, or use its rating instead of running NLI' },
+  'factChecks.maxCandidates': { type: 'integer', default: 3, min: 1, max: 20, description: 'Archived claims compared with each extracted claim' },
+  'factChecks.candidateThreshold': { type: 'number', default: 0.3, min: 0, max: 1, description: 'Fuzzy similarity a candidate needs before its meaning is compared' },
+  'factChecks.fuzzyThreshold': { type: 'number', default: 0.85, min: 0, max: 1, env: 'FACT_CHECK_FUZZY_THRESHOLD', description: 'Fuzzy similarity that counts as a match on its own' },
+  'factChecks.semanticThreshold': { type: 'number', default: 0.75, min: 0, max: 1, env: 'FACT_CHECK_SEMANTIC_THRESHOLD', description: 'Mutual entailment that counts as a match' },
+
+  // Consensus thresholds on credibility-weighted average entail/contra scores.
+  // Tune with `npm run evaluate -- --grid` (see scripts/evaluate.js).
+  'consensus.minScores': { type: 'integer', default: 2, min: 1, max: 50, description: 'Valid scores needed before any determination' },
+  'consensus.strong': { type: 'number', default: 0.35, min: 0, max: 1, description: 'Signal needed for strongly_supported / refuted...' },
+  'consensus.strongOpposing': { type: 'number', default: 0.15, min: 0, max: 1, description: '...with at most this much from the other side' },
+  'consensus.moderate': { type: 'number', default: 0.25, min: 0, max: 1, description: 'Signal needed for supported / likely_false' },
+  'consensus.moderateOpposing': { type: 'number', default: 0.20, min: 0, max: 1, description: 'Opposing signal allowed for supported / likely_false' },
+  'consensus.dominanceRatio': { type: 'number', default: 1.5, min: 1, max: 100, description: 'One side this many times the other is a clear winner' },
+  'consensus.dominanceFloor': { type: 'number', default: 0.15, min: 0, max: 1, description: 'Signal the dominant side needs' },
+  'consensus.contestedMargin': { type: 'number', default: 0.1, min: 0, max: 1, description: 'Scores this close are contested' },
+  'consensus.weakFloor': { type: 'number', default: 0.1, min: 0, max: 1, description: 'Below this there is no signal either way' },
+
+  // Result cache TTLs
+  'cache.ttlMinutes.nli': { type: 'number', default: 7 * 24 * 60, min: 0.01, env: 'CACHE_TTL_NLI_MINUTES', description: 'How long NLI scores are cached' },
+  'cache.ttlMinutes.search': { type: 'number', default: 6 * 60, min: 0.01, env: 'CACHE_TTL_SEARCH_MINUTES', description: 'How long search results are cached' },
+  'cache.ttlMinutes.page_type': { type: 'number', default: 7 * 24 * 60, min: 0.01, env: 'CACHE_TTL_PAGE_TYPE_MINUTES', description: 'How long page classifications are cached' },
+  'cache.ttlMinutes.full_text': { type: 'number', default: 6 * 60, min: 0.01, env: 'CACHE_TTL_FULL_TEXT_MINUTES', description: 'How long text extracted from source pages is cached' },
+
+  // Background jobs
+  'jobs.retentionMinutes': { type: 'number', default: 30, min: 0.1, env: 'JOB_RETENTION_MINUTES', description: 'How long finished jobs stay readable' },
+  'jobs.maxJobs': { type: 'integer', default: 200, min: 1, max: 100000, env: 'MAX_JOBS', description: 'Jobs held in memory' },
+
+  // Batch analysis (see batches.js)
+  'batches.maxItems': { type: 'integer', default: 100, min: 1, max: 1000, env: 'BATCH_MAX_ITEMS', description: 'URLs or texts accepted per batch' },
+  'batches.maxConcurrentItems': { type: 'integer', default: 2, min: 1, max: 16, env: 'BATCH_CONCURRENCY', description: 'Batch items analyzed at once, across all batches' },
+  'batches.retentionMinutes': { type: 'number', default: 24 * 60, min: 1, env: 'BATCH_RETENTION_MINUTES', description: 'How long finished batches stay downloadable' },
+  'batches.maxBatches': { type: 'integer', default: 50, min: 1, max: 10000, description: 'Batches held in memory' },
+
+  // ClaimReview export (see claim-review.js)
+  'claimReview.authorName': { type: 'string', default: 'News Fact Checker', env: 'CLAIMREVIEW_AUTHOR_NAME', description: 'Organization named as the author of exported ClaimReviews' },
+  'claimReview.authorUrl': { type: 'string', default: null, pattern: /^https?:\/\/\S+$/i, env: 'CLAIMREVIEW_AUTHOR_URL', description: 'Website of that organization' },
+
+  // Client limits (see auth.js)
+  'limits.rateLimitPerMinute': { type: 'integer', default: 60, min: 1, env: 'RATE_LIMIT_PER_MINUTE', description: 'Requests per minute per client, unless set on the client' },
+  'limits.dailyAnalysisQuota': { type: 'integer', default: 500, min: 1, env: 'DAILY_ANALYSIS_QUOTA', description: 'Analyses per client per UTC day, unless set on the client' }
+};
+
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+class ConfigError extends Error {
+  constructor(problems, heading = 'Invalid configuration') {
+    super(`${heading}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.code = 'ERR_INVALID_CONFIG';
+    this.problems = problems;
+  }
+}
+
+let loaded = null;
+
+function getConfigPath() {
+  return process.env.CONFIG_PATH
+    ? path.resolve(BACKEND_ROOT, process.env.CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH;
+}
+
+/**
+ * Parse an environment string into the setting's type (environment values
+ * are always strings; file values arrive already typed)
+ */
+function parseEnvValue(spec, raw) {
+  const value = raw.trim();
+  if (spec.type === 'integer' || spec.type === 'number') {
+    return value === '' ? NaN : Number(value);
+  }
+  if (spec.type === 'enum') {
+    return value.toLowerCase();
+  }
+  if (spec.type === 'boolean') {
+    return value.toLowerCase() in BOOLEAN_STRINGS ? BOOLEAN_STRINGS[value.toLowerCase()] : value;
+  }
+  return value;
+}
+
+/**
+ * Problem with a value for a setting, or null when it is valid
+ */
+function checkValue(key, spec, value) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+      if (spec.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+      if (spec.min !== undefined && value < spec.min) return `${key} must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${key} must be at most ${spec.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'enum':
+      return value === null || spec.values.includes(value) ? null : `${key} must be one of ${spec.values.join(', ')}`;
+    default:
+      if (value === null && spec.default === null) return null; // Optional setting left unset
+      if (typeof value !== 'string' || value === '') return `${key} must be a non-empty string`;
+      if (spec.pattern && !spec.pattern.test(value)) return `${key} has an invalid format ("${value}")`;
+      return null;
+  }
+}
+
+/**
+ * Dotted keys of a nested object's leaves
+ */
+function flatten(object, prefix = '') {
+  return Object.entries(object).reduce((flat, [name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(key in SCHEMA)) {
+      Object.assign(flat, flatten(value, key));
+    } else {
+      flat[key] = value;
+    }
+    return flat;
+  }, {});
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+  parent[last] = value;
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+function readConfigFile(filePath, required) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    throw new ConfigError([`Could not read ${filePath}: ${error.message}`]);
+  }
+}
+
+/**
+ * Resolve and validate every setting. Throws a ConfigError listing all
+ * problems at once.
+ */
+function loadConfig() {
+  const filePath = getConfigPath();
+  const fileValues = readConfigFile(filePath, !!process.env.CONFIG_PATH);
+  const flatFile = fileValues ? flatten(fileValues) : {};
+
+  const problems = Object.keys(flatFile)
+    .filter(key => !(key in SCHEMA))
+    .map(key => `Unknown setting ${key} in ${filePath}`);
+
+  const values = {};
+  const sources = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    let value = spec.default;
+    let source = 'default';
+    if (key in flatFile) {
+      value = flatFile[key];
+      source = 'file';
+    }
+    const envValue = spec.env ? process.env[spec.env] : undefined;
+    if (envValue !== undefined && envValue.trim() !== '') {
+      value = parseEnvValue(spec, envValue);
+      source = `env:${spec.env}`;
+    }
+
+    const problem = checkValue(key, spec, value);
+    if (problem) {
+      problems.push(source === 'default' ? problem : `${problem} (from ${source === 'file' ? filePath : source})`);
+    }
+    values[key] = value;
+    sources[key] = source;
+  });
+
+  if (values['extraction.minSentenceLength'] > values['extraction.maxSentenceLength']) {
+    problems.push('extraction.minSentenceLength must not exceed extraction.maxSentenceLength');
+  }
+  if (values['factChecks.candidateThreshold'] > values['factChecks.fuzzyThreshold']) {
+    problems.push('factChecks.candidateThreshold must not exceed factChecks.fuzzyThreshold');
+  }
+  if (values['consensus.moderate'] > values['consensus.strong']) {
+    problems.push('consensus.moderate must not exceed consensus.strong');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const config = {};
+  Object.entries(values).forEach(([key, value]) => setPath(config, key, value));
+  return { config: deepFreeze(config), values, sources, filePath: fileValues ? filePath : null };
+}
+
+/**
+ * The validated configuration (read-only, loaded on first use)
+ */
+function getConfig() {
+  if (!loaded) loaded = loadConfig();
+  return loaded.config;
+}
+
+/**
+ * Settings that analysis requests may override, by request option name
+ */
+function getRequestOptions() {
+  return Object.entries(SCHEMA)
+    .filter(([, spec]) => spec.request)
+    .reduce((options, [key, spec]) => {
+      options[spec.request] = { key, spec };
+      return options;
+    }, {});
+}
+
+/**
+ * Config for one analysis with the request's `options` applied. Throws a
+ * ConfigError naming every rejected option.
+ */
+function withRequestOptions(options) {
+  const config = getConfig();
+  if (options === undefined || options === null) return config;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new ConfigError(['options must be an object'], 'Invalid analysis options');
+  }
+
+  const allowed = getRequestOptions();
+  const problems = [];
+  const overrides = {};
+  Object.entries(options).forEach(([name, value]) => {
+    const option = allowed[name];
+    if (!option) {
+      problems.push(`${name} is not an adjustable option (allowed: ${Object.keys(allowed).join(', ')})`);
+      return;
+    }
+    const configured = loaded.values[option.key];
+    const problem = checkValue(name, option.spec, value);
+    if (problem) {
+      problems.push(problem);
+    } else if (option.spec.requestMode === 'lower' && value > configured) {
+      problems.push(option.spec.type === 'boolean'
+        ? `${name} cannot be enabled because it is disabled on this server`
+        : `${name} may not exceed the server setting (${configured})`);
+    } else {
+      overrides[option.key] = value;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, 'Invalid analysis options');
+  }
+  if (Object.keys(overrides).length === 0) return config;
+
+  const merged = {};
+  Object.entries({ ...loaded.values, ...overrides }).forEach(([key, value]) => setPath(merged, key, value));
+  return deepFreeze(merged);
+}
+
+/**
+ * Effective settings, where each came from, and the per-request options,
+ * for GET /config
+ */
+function describeConfig() {
+  getConfig();
+  const settings = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    settings[key] = {
+      value: loaded.values[key],
+      default: spec.default,
+      source: loaded.sources[key],
+      type: spec.type === 'enum' ? `enum(${spec.values.join('|')})` : spec.type,
+      min: spec.min,
+      max: spec.max,
+      env: spec.env,
+      request_option: spec.request,
+      description: spec.description
+    };
+  });
+
+  return {
+    file: loaded.filePath,
+    config: loaded.config,
+    settings,
+    request_options: Object.fromEntries(Object.entries(getRequestOptions()).map(([name, { key, spec }]) => [
+      name,
+      {
+        setting: key,
+        type: spec.type,
+        min: spec.min,
+        // 'lower' options are capped by the server's own setting
+        max: spec.type === 'boolean' ? undefined : (spec.requestMode === 'lower' ? loaded.values[key] : spec.max),
+        only_disable: spec.type === 'boolean' && spec.requestMode === 'lower' ? true : undefined
+      }
+    ]))
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  getConfig,
+  getConfigPath,
+  withRequestOptions,
+  describeConfig
+};
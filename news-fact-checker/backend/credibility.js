@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+/**
+ * Publisher credibility registry.
+ *
+ * Maps publishers to reliability tiers, each with a weight used when ranking
+ * sources and averaging NLI scores. Sources are matched by the hostname of
+ * their URL first (including subdomains), then by exact alias on the
+ * publisher name, so "AP" only matches the Associated Press and not every
+ * outlet with those letters in its name. The registry is read from
+ * PUBLISHER_REGISTRY_PATH (default data/publishers.json) and reloaded when
+ * the file changes.
+ */
+
+const BACKEND_ROOT = __dirname;
+const DEFAULT_REGISTRY_PATH = path.join(BACKEND_ROOT, 'data', 'publishers.json');
+
+const RELOAD_CHECK_MS = 5000; // How often lookups check the file for edits
+
+const log = createLogger('credibility');
+
+let registry = null;
+let loadedMtime = 0;
+let lastChecked = 0;
+
+function getRegistryPath() {
+  return process.env.PUBLISHER_REGISTRY_PATH
+    ? path.resolve(BACKEND_ROOT, process.env.PUBLISHER_REGISTRY_PATH)
+    : DEFAULT_REGISTRY_PATH;
+}
+
+/**
+ * Lowercase, drop a leading "the" and punctuation so "The Guardian" and
+ * "guardian" compare equal
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the registry file and build the alias/domain lookup tables
+ */
+function buildRegistry(data, filePath) {
+  const tiers = data.tiers || {};
+  const defaultTier = data.default_tier;
+  if (!tiers[defaultTier]) {
+    throw new Error(`default_tier "${defaultTier}" is not defined in ${filePath}`);
+  }
+  Object.entries(tiers).forEach(([name, tier]) => {
+    if (typeof tier.weight !== 'number' || tier.weight < 0) {
+      throw new Error(`Tier "${name}" needs a non-negative numeric weight`);
+    }
+  });
+
+  const byAlias = new Map();
+  const byDomain = new Map();
+  (data.publishers || []).forEach(publisher => {
+    if (!publisher.id || !tiers[publisher.tier]) {
+      throw new Error(`Publisher ${JSON.stringify(publisher.id || publisher.name)} has an unknown tier "${publisher.tier}"`);
+    }
+    [publisher.name, ...(publisher.aliases || [])].forEach(alias => {
+      byAlias.set(normalizeName(alias), publisher);
+    });
+    (publisher.domains || []).forEach(domain => {
+      byDomain.set(domain.toLowerCase().replace(/^www\./, ''), publisher);
+    });
+  });
+
+  return { data, tiers, defaultTier, byAlias, byDomain };
+}
+
+/**
+ * Current registry, reloading the file if it changed on disk
+ */
+function getRegistry() {
+  if (registry && Date.now() - lastChecked < RELOAD_CHECK_MS) {
+    return registry;
+  }
+  lastChecked = Date.now();
+
+  const filePath = getRegistryPath();
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    if (!registry) throw new Error(`Publisher registry not found at ${filePath}`);
+    return registry;
+  }
+
+  if (!registry || mtime !== loadedMtime) {
+    try {
+      registry = buildRegistry(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+      loadedMtime = mtime;
+      log.info('Loaded publisher registry', { aliases: registry.byAlias.size, domains: registry.byDomain.size });
+    } catch (error) {
+      // Keep serving the previous registry if an edit broke the file
+      if (!registry) throw error;
+      log.error('Ignoring invalid publisher registry', { path: filePath, error });
+      loadedMtime = mtime;
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Registry entry for a domain or any parent domain (news.bbc.co.uk -> bbc.co.uk)
+ */
+function findByDomain(byDomain, hostname) {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const publisher = byDomain.get(labels.slice(i).join('.'));
+    if (publisher) return publisher;
+  }
+  return null;
+}
+
+/**
+ * Credibility of a source ({ publisher, url }): its registry entry, tier and weight
+ */
+function lookupSource(source) {
+  const { tiers, defaultTier, byAlias, byDomain } = getRegistry();
+  const hostname = source?.url ? hostnameOf(source.url) : null;
+
+  let publisher = hostname ? findByDomain(byDomain, hostname) : null;
+  let matchedBy = publisher ? 'domain' : null;
+  if (!publisher && source?.publisher) {
+    publisher = byAlias.get(normalizeName(source.publisher)) || null;
+    matchedBy = publisher ? 'alias' : null;
+  }
+
+  const tierName = publisher ? publisher.tier : defaultTier;
+  const tier = tiers[tierName];
+  return {
+    publisher_id: publisher ? publisher.id : null,
+    publisher_name: publisher ? publisher.name : null,
+    tier: tierName,
+    label: tier.label || tierName,
+    weight: tier.weight,
+    reputable: !!tier.reputable,
+    matched_by: matchedBy
+  };
+}
+
+/**
+ * Weight applied to a source when ranking and averaging scores
+ */
+function getSourceWeight(source) {
+  return lookupSource(source).weight;
+}
+
+function isReputable(source) {
+  return lookupSource(source).reputable;
+}
+
+/**
+ * Copies of the sources with a `credibility` field attached
+ */
+function annotateSources(sources) {
+  return sources.map(source => ({ ...source, credibility: lookupSource(source) }));
+}
+
+/**
+ * The registry as served by the API
+ */
+function describeRegistry() {
+  const { data } = getRegistry();
+  return {
+    version: data.version,
+    default_tier: data.default_tier,
+    tiers: data.tiers,
+    publishers: data.publishers
+  };
+}
+
+module.exports = {
+  lookupSource,
+  getSourceWeight,
+  isReputable,
+  annotateSources,
+  describeRegistry
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const pipeline = require('../server');
+const credibility = require('../credibility');
+const { getConfig, withRequestOptions } = require('../config');
+const { capStaleVerdict } = require('../verifiers/temporal');
+const { PassageIndex } = require('../passages');
+const { classificationReport, matchClaims, matchScores } = require('./metrics');
+
+/**
+ * Offline evaluation of the analysis pipeline.
+ *
+ * Verdict datasets are JSONL, one claim per line:
+ *   { "id": "...", "claim": "...", "label": "supported",
+ *     "context": ["preceding sentences, optional"],
+ *     "evidence": [{ "title", "publisher", "url", "text", "published_at" }] }
+ * Each claim is checked against its own `evidence`; claims without evidence
+ * are searched with the configured evidence providers (the local RSS index
+ * unless EVIDENCE_PROVIDERS says otherwise).
+ *
+ * Extraction datasets are JSONL, one annotated article per line:
+ *   { "id": "...", "text": "...", "claims": ["sentence worth checking", ...] }
+ */
+
+// Archived fact-checks would answer dataset claims from their labels, so
+// evaluation always scores the evidence
+const EVALUATION_SETTINGS = withRequestOptions({ fact_checks: false });
+
+// Verdicts collapsed to the three labels most fact-check datasets use
+const COARSE_VERDICTS = {
+  strongly_supported: 'supported',
+  supported: 'supported',
+  weakly_supported: 'supported',
+  contested: 'not_enough_info',
+  insufficient_evidence: 'not_enough_info',
+  weakly_refuted: 'refuted',
+  likely_false: 'refuted',
+  refuted: 'refuted'
+};
+const COARSE_LABELS = ['supported', 'refuted', 'not_enough_info'];
+
+// Thresholds tried by --grid when no grid file is given
+const DEFAULT_GRID = {
+  minScores: [1, 2],
+  strong: [0.3, 0.35, 0.4, 0.45],
+  moderate: [0.2, 0.25, 0.3],
+  dominanceRatio: [1.25, 1.5, 2],
+  contestedMargin: [0.05, 0.1, 0.15]
+};
+
+/**
+ * Parse a JSONL file, reporting the line of any malformed record
+ */
+function readJsonl(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, i) => ({ line: line.trim(), lineNumber: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Label space for a granularity: 'coarse' (3 labels) or 'fine' (every verdict)
+ */
+function getLabels(granularity) {
+  return granularity === 'fine' ? [...pipeline.VERDICT_ORDER] : COARSE_LABELS;
+}
+
+function toLabel(verdict, granularity) {
+  return granularity === 'fine' ? verdict : (COARSE_VERDICTS[verdict] || verdict);
+}
+
+/**
+ * Load and check a verdict dataset against the label space
+ */
+function loadClaimDataset(filePath, granularity) {
+  const labels = getLabels(granularity);
+  return readJsonl(filePath).map((record, i) => {
+    const id = record.id || `claim-${i + 1}`;
+    if (!record.claim || !record.label) {
+      throw new Error(`${filePath}: record ${id} needs "claim" and "label"`);
+    }
+    const label = toLabel(record.label, granularity);
+    if (!labels.includes(label)) {
+      throw new Error(`${filePath}: record ${id} has label "${record.label}", expected one of ${labels.join(', ')}`);
+    }
+    return { ...record, id, label };
+  });
+}
+
+function loadArticleDataset(filePath) {
+  return readJsonl(filePath).map((record, i) => {
+    const id = record.id || `article-${i + 1}`;
+    if (!record.text || !Array.isArray(record.claims)) {
+      throw new Error(`${filePath}: record ${id} needs "text" and a "claims" array`);
+    }
+    return { ...record, id };
+  });
+}
+
+/**
+ * Dataset evidence in the shape evidence providers return
+ */
+function toSources(evidence) {
+  return evidence.map(item => ({
+    title: item.title || '',
+    url: item.url || '',
+    publisher: item.publisher || 'Dataset',
+    description: item.description || '',
+    fullText: item.text || '',
+    publishedAt: item.published_at || null,
+    provider: 'dataset'
+  }));
+}
+
+/**
+ * Run one labeled claim through coreference resolution, decomposition,
+ * passage retrieval, NLI and consensus
+ */
+async function verifyRecord(record) {
+  const claim = pipeline.prepareClaim(
+    { text: record.claim, score: pipeline.scoreFactualClaim(record.claim) },
+    record.context || [],
+    EVALUATION_SETTINGS
+  );
+
+  let sources;
+  if (Array.isArray(record.evidence) && record.evidence.length > 0) {
+    sources = credibility.annotateSources(toSources(record.evidence));
+  } else {
+    const queries = pipeline.buildSearchQueries(claim, claim.entities);
+    sources = await pipeline.searchNewsEnhanced(queries, 12);
+  }
+
+  const { evidenceTexts, evidenceSources } = pipeline.buildEvidence(sources);
+  const result = await pipeline.verifyClaim(claim, new PassageIndex(evidenceTexts), evidenceSources, EVALUATION_SETTINGS);
+  return {
+    result,
+    usedFallbackSources: sources.some(source => source.provider === 'mock')
+  };
+}
+
+/**
+ * Re-derive a verdict from the scored evidence with different thresholds,
+ * without running NLI again. Compound claims take their weakest sub-claim;
+ * evidence weights already include the temporal down-weighting. Quotes keep
+ * their verdict.
+ */
+function rescoreClaim(result, thresholds) {
+  // A quote's verdict comes from its wording and speaker, not the thresholds
+  if (result.quote_check) return result.consensus;
+
+  if (result.sub_claims && result.sub_claims.length > 0) {
+    const verdicts = result.sub_claims.map(sub => rescoreClaim(sub, thresholds));
+    return verdicts.reduce((worst, verdict) =>
+      pipeline.VERDICT_ORDER.indexOf(verdict) < pipeline.VERDICT_ORDER.indexOf(worst) ? verdict : worst
+    );
+  }
+
+  const counted = (result.evidence || []).filter(item => item.counted);
+  const totalWeight = counted.reduce((sum, item) => sum + item.weight, 0);
+  if (totalWeight === 0) return 'insufficient_evidence';
+
+  const avgEntail = counted.reduce((sum, item) => sum + item.scores.entail * item.weight, 0) / totalWeight;
+  const avgContra = counted.reduce((sum, item) => sum + item.scores.contra * item.weight, 0) / totalWeight;
+  const verdict = pipeline.classifyConsensus(avgEntail, avgContra, counted.length, thresholds);
+  return result.temporal_check?.stale_evidence && getConfig().temporal.capStaleVerdicts
+    ? capStaleVerdict(verdict)
+    : verdict;
+}
+
+/**
+ * Verify every record and score the verdicts. `onProgress(done, total)` is
+ * called after each claim.
+ */
+async function evaluateVerdicts(records, { granularity = 'coarse', onProgress } = {}) {
+  const predictions = [];
+  for (const record of records) {
+    const { result, usedFallbackSources } = await verifyRecord(record);
+    predictions.push({
+      id: record.id,
+      claim: record.claim,
+      gold: record.label,
+      predicted: toLabel(result.consensus, granularity),
+      verdict: result.consensus,
+      support: Number(result.entail_score.toFixed(3)),
+      contradiction: Number(result.contra_score.toFixed(3)),
+      sub_claims: result.sub_claims.map(sub => ({ text: sub.text, verdict: sub.consensus })),
+      used_fallback_sources: usedFallbackSources,
+      result
+    });
+    if (onProgress) onProgress(predictions.length, records.length);
+  }
+
+  const labels = getLabels(granularity);
+  return {
+    granularity,
+    report: classificationReport(predictions.map(p => p.gold), predictions.map(p => p.predicted), labels),
+    predictions
+  };
+}
+
+/**
+ * Every combination of the grid's values, applied over the current thresholds
+ */
+function expandGrid(grid) {
+  const unknown = Object.keys(grid).filter(key => !(key in pipeline.CONSENSUS_THRESHOLDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown threshold(s) in grid: ${unknown.join(', ')}. Known: ${Object.keys(pipeline.CONSENSUS_THRESHOLDS).join(', ')}`);
+  }
+
+  return Object.entries(grid).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+    [{}]
+  ).map(overrides => ({ ...pipeline.CONSENSUS_THRESHOLDS, ...overrides }));
+}
+
+/**
+ * Re-score the evaluated claims under every threshold combination and rank
+ * them by macro F1 (ties broken by accuracy)
+ */
+function gridSearch(evaluation, grid = DEFAULT_GRID, top = 5) {
+  const labels = getLabels(evaluation.granularity);
+  const gold = evaluation.predictions.map(p => p.gold);
+  const score = thresholds => {
+    const predicted = evaluation.predictions.map(p => toLabel(rescoreClaim(p.result, thresholds), evaluation.granularity));
+    const report = classificationReport(gold, predicted, labels);
+    return { thresholds, macro_f1: report.macro.f1, accuracy: report.accuracy };
+  };
+
+  const candidates = expandGrid(grid)
+    // Moderate verdicts must be easier to reach than strong ones
+    .filter(thresholds => thresholds.moderate <= thresholds.strong)
+    .map(score)
+    .sort((a, b) => b.macro_f1 - a.macro_f1 || b.accuracy - a.accuracy);
+
+  return {
+    combinations: candidates.length,
+    current: score(pipeline.CONSENSUS_THRESHOLDS),
+    best: candidates.slice(0, top)
+  };
+}
+
+/**
+ * Run claim extraction on annotated articles and measure how many of the
+ * annotated claims it finds
+ */
+function evaluateExtraction(articles, { maxClaims = 10, minCoverage = 0.7 } = {}) {
+  let matched = 0;
+  let goldTotal = 0;
+  let extractedTotal = 0;
+
+  const perArticle = articles.map(article => {
+    const extracted = pipeline.extractFactualClaims(article.text, maxClaims).map(claim => claim.text);
+    const { matches, missed, extra } = matchClaims(article.claims, extracted, minCoverage);
+    matched += matches.length;
+    goldTotal += article.claims.length;
+    extractedTotal += extracted.length;
+
+    return {
+      id: article.id,
+      ...matchScores(matches.length, article.claims.length, extracted.length),
+      gold: article.claims.length,
+      extracted: extracted.length,
+      matches,
+      missed,
+      extra
+    };
+  });
+
+  return {
+    ...matchScores(matched, goldTotal, extractedTotal),
+    gold: goldTotal,
+    extracted: extractedTotal,
+    matched,
+    articles: perArticle
+  };
+}
+
+module.exports = {
+  DEFAULT_GRID,
+  readJsonl,
+  getLabels,
+  loadClaimDataset,
+  loadArticleDataset,
+  evaluateVerdicts,
+  gridSearch,
+  evaluateExtraction
+};
@@ -0,0 +1,154 @@
+/**
+ * Classification and claim-matching metrics for the evaluation harness.
+ */
+
+/**
+ * Confusion matrix as nested counts: matrix[gold][predicted]
+ */
+function confusionMatrix(gold, predicted, labels) {
+  const matrix = {};
+  labels.forEach(goldLabel => {
+    matrix[goldLabel] = {};
+    labels.forEach(predictedLabel => {
+      matrix[goldLabel][predictedLabel] = 0;
+    });
+  });
+
+  gold.forEach((goldLabel, i) => {
+    if (matrix[goldLabel] && matrix[goldLabel][predicted[i]] !== undefined) {
+      matrix[goldLabel][predicted[i]]++;
+    }
+  });
+
+  return matrix;
+}
+
+function f1Score(precision, recall) {
+  return precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Per-label precision, recall and F1, plus accuracy and macro/weighted
+ * averages over labels that occur in the gold data
+ */
+function classificationReport(gold, predicted, labels) {
+  const matrix = confusionMatrix(gold, predicted, labels);
+
+  const perLabel = {};
+  labels.forEach(label => {
+    const truePositives = matrix[label][label];
+    const predictedCount = labels.reduce((sum, goldLabel) => sum + matrix[goldLabel][label], 0);
+    const support = labels.reduce((sum, predictedLabel) => sum + matrix[label][predictedLabel], 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+
+    perLabel[label] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1Score(precision, recall)),
+      support,
+      predicted: predictedCount
+    };
+  });
+
+  const present = labels.filter(label => perLabel[label].support > 0);
+  const total = gold.length;
+  const correct = gold.filter((label, i) => label === predicted[i]).length;
+  const average = key => (present.length > 0
+    ? present.reduce((sum, label) => sum + perLabel[label][key], 0) / present.length
+    : 0);
+  const weighted = key => (total > 0
+    ? present.reduce((sum, label) => sum + perLabel[label][key] * perLabel[label].support, 0) / total
+    : 0);
+
+  return {
+    total,
+    accuracy: round(total > 0 ? correct / total : 0),
+    macro: { precision: round(average('precision')), recall: round(average('recall')), f1: round(average('f1')) },
+    weighted: { precision: round(weighted('precision')), recall: round(weighted('recall')), f1: round(weighted('f1')) },
+    labels: perLabel,
+    confusion_matrix: matrix
+  };
+}
+
+function contentWords(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/[^\w\s%$.]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/\.+$/, ''))
+      .filter(word => word.length > 2 || /\d/.test(word))
+  );
+}
+
+/**
+ * Share of the gold claim's words that appear in an extracted claim
+ */
+function claimCoverage(goldClaim, extractedClaim) {
+  const goldWords = contentWords(goldClaim);
+  if (goldWords.size === 0) return 0;
+  const extractedWords = contentWords(extractedClaim);
+  let shared = 0;
+  goldWords.forEach(word => {
+    if (extractedWords.has(word)) shared++;
+  });
+  return shared / goldWords.size;
+}
+
+/**
+ * Match annotated claims to extracted ones, one-to-one, best coverage first.
+ * A gold claim counts as found when an extracted claim covers at least
+ * `minCoverage` of its words (extraction cleans and trims sentences, so
+ * exact string equality is too strict).
+ */
+function matchClaims(goldClaims, extractedClaims, minCoverage = 0.7) {
+  const pairs = [];
+  goldClaims.forEach((gold, g) => {
+    extractedClaims.forEach((extracted, e) => {
+      const coverage = claimCoverage(gold, extracted);
+      if (coverage >= minCoverage) pairs.push({ g, e, coverage });
+    });
+  });
+  pairs.sort((a, b) => b.coverage - a.coverage);
+
+  const usedGold = new Set();
+  const usedExtracted = new Set();
+  const matches = [];
+  pairs.forEach(({ g, e, coverage }) => {
+    if (usedGold.has(g) || usedExtracted.has(e)) return;
+    usedGold.add(g);
+    usedExtracted.add(e);
+    matches.push({ gold: goldClaims[g], extracted: extractedClaims[e], coverage: round(coverage) });
+  });
+
+  return {
+    matches,
+    missed: goldClaims.filter((_, g) => !usedGold.has(g)),
+    extra: extractedClaims.filter((_, e) => !usedExtracted.has(e))
+  };
+}
+
+/**
+ * Precision, recall and F1 from match counts
+ */
+function matchScores(matched, goldCount, extractedCount) {
+  const precision = extractedCount > 0 ? matched / extractedCount : 0;
+  const recall = goldCount > 0 ? matched / goldCount : 0;
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1Score(precision, recall))
+  };
+}
+
+module.exports = {
+  confusionMatrix,
+  classificationReport,
+  matchClaims,
+  matchScores
+};
@@ -0,0 +1,48 @@
+/**
+ * CSV and JSONL serialization for downloadable exports.
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV field: formulas neutralized, quoted when it contains a separator,
+ * quote or line break
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row. `columns` is a list of { header, value(row) }.
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => csvField(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(column.value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * One JSON object per line
+ */
+function toJsonl(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+module.exports = {
+  toCsv,
+  toJsonl,
+  CONTENT_TYPES
+};
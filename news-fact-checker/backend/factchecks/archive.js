@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { FullTextIndex } = require('../search-index');
+const { parseClaimReviews } = require('./claim-review-parser');
+const { createLogger } = require('../logger');
+
+/**
+ * Local archive of published fact-checks (ClaimReview records), kept in a
+ * BM25 index over the reviewed claims so extracted claims can be matched
+ * against it (see matcher.js). Filled by `npm run import-factchecks` and,
+ * with FACT_CHECK_REFRESH_MINUTES, re-imported while the server runs.
+ */
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const DEFAULT_ARCHIVE_PATH = path.join(BACKEND_ROOT, '.cache', 'factcheck-archive.json');
+
+const log = createLogger('factchecks');
+
+/**
+ * Sources from FACT_CHECK_SOURCES (comma separated URLs or file paths)
+ */
+function getConfiguredSources() {
+  return [...new Set((process.env.FACT_CHECK_SOURCES || '')
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean))];
+}
+
+function getArchivePath() {
+  return process.env.FACT_CHECK_ARCHIVE_PATH
+    ? path.resolve(BACKEND_ROOT, process.env.FACT_CHECK_ARCHIVE_PATH)
+    : DEFAULT_ARCHIVE_PATH;
+}
+
+/**
+ * Open the on-disk fact-check archive
+ */
+function openFactCheckArchive() {
+  const maxDocuments = parseInt(process.env.FACT_CHECK_ARCHIVE_MAX_DOCS, 10) || 50000;
+  return new FullTextIndex(getArchivePath(), { maxDocuments }).load();
+}
+
+/**
+ * Load a ClaimReview dump from a URL or a local file
+ */
+async function loadReviewSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const response = await axios.get(source, {
+      responseType: 'text',
+      timeout: 15000,
+      headers: { Accept: 'application/ld+json, application/json, text/html;q=0.8' }
+    });
+    return response.data;
+  }
+
+  const filePath = source.startsWith('file://') ? source.slice('file://'.length) : source;
+  return fs.promises.readFile(path.resolve(BACKEND_ROOT, filePath), 'utf8');
+}
+
+/**
+ * Same review as the archived copy: nothing the matcher or the results show
+ * has changed
+ */
+function isUnchanged(existing, review) {
+  return existing.date_modified === review.date_modified &&
+    existing.date_published === review.date_published &&
+    existing.rating.alternate_name === review.rating.alternate_name &&
+    existing.rating.value === review.rating.value;
+}
+
+/**
+ * Import every source into the archive, adding new reviews and replacing
+ * changed ones, then save it. Returns per-source stats; a failing source does
+ * not stop the others.
+ */
+async function importFactChecks(sources, archive) {
+  const stats = [];
+
+  for (const source of sources) {
+    try {
+      const { reviews, skipped, invalid } = parseClaimReviews(await loadReviewSource(source));
+      let added = 0;
+      let updated = 0;
+      let unchanged = 0;
+
+      reviews.forEach(review => {
+        const existing = archive.get(review.id);
+        if (existing && isUnchanged(existing, review)) {
+          unchanged++;
+          return;
+        }
+        // publishedAt lets the index evict the oldest reviews first
+        archive.addDocument(review.id, { ...review, publishedAt: review.date_published, source }, review.claim_reviewed);
+        if (existing) updated++;
+        else added++;
+      });
+
+      stats.push({ source, reviews: reviews.length, added, updated, unchanged, skipped, invalid });
+      log.info('Imported fact-checks', { source, added, updated, unchanged, skipped, invalid });
+    } catch (error) {
+      stats.push({ source, error: error.message });
+      log.error('Failed to import fact-checks', { source, error });
+    }
+  }
+
+  archive.save();
+  return stats;
+}
+
+/**
+ * Import configured sources now and then every FACT_CHECK_REFRESH_MINUTES (if set)
+ */
+function startArchiveRefresh(getArchive) {
+  const minutes = parseFloat(process.env.FACT_CHECK_REFRESH_MINUTES);
+  const sources = getConfiguredSources();
+  if (!minutes || minutes <= 0 || sources.length === 0) return null;
+
+  const refresh = () => importFactChecks(sources, getArchive())
+    .catch(error => log.error('Fact-check archive refresh failed', { error }));
+
+  refresh();
+  const timer = setInterval(refresh, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  getConfiguredSources,
+  openFactCheckArchive,
+  importFactChecks,
+  startArchiveRefresh
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+/**
+ * Read schema.org ClaimReview objects out of published fact-check data.
+ *
+ * Accepts whatever fact-checkers and aggregators actually publish: a single
+ * ClaimReview, an array of them, an @graph, a DataFeed (the format of the
+ * Google / Data Commons fact-check feeds, where reviews sit under
+ * dataFeedElement[].item[]), JSON Lines, or an HTML page carrying the
+ * reviews in <script type="application/ld+json"> blocks.
+ */
+
+const JSON_LD_SCRIPT = /<script[^>]+type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(value => typeof value === 'string' && value.replace(/^schema:/, '') === type);
+}
+
+/**
+ * Every ClaimReview anywhere inside a parsed JSON-LD value
+ */
+function collectClaimReviews(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(entry => collectClaimReviews(entry, found));
+  } else if (node && typeof node === 'object') {
+    if (hasType(node, 'ClaimReview')) {
+      found.push(node);
+    } else {
+      Object.values(node).forEach(value => collectClaimReviews(value, found));
+    }
+  }
+  return found;
+}
+
+/**
+ * Parsed JSON values in a document: one JSON value, JSON Lines, or the
+ * JSON-LD blocks of an HTML page. Unparseable blocks are counted, not thrown.
+ */
+function parseJsonValues(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  const values = [];
+  let invalid = 0;
+  const tryParse = raw => {
+    try {
+      values.push(JSON.parse(raw));
+    } catch (error) {
+      invalid++;
+    }
+  };
+
+  if (text.startsWith('<')) {
+    for (const match of text.matchAll(JSON_LD_SCRIPT)) {
+      tryParse(match[1].trim());
+    }
+    return { values, invalid };
+  }
+
+  try {
+    values.push(JSON.parse(text));
+  } catch (error) {
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(tryParse);
+  }
+  return { values, invalid };
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(cleanText(firstOf(value)));
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function toNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Name and url of an Organization/Person reference (or a bare name)
+ */
+function describeParty(value) {
+  const party = firstOf(value);
+  if (!party) return null;
+  if (typeof party === 'string') return { name: cleanText(party), url: null };
+  const name = cleanText(party.name) || cleanText(party.alternateName);
+  const url = cleanText(firstOf(party.url)) || null;
+  return name || url ? { name: name || null, url } : null;
+}
+
+/**
+ * Flat archive record for one ClaimReview, or null when it lacks the claim
+ * text or the review's URL
+ */
+function normalizeClaimReview(review) {
+  const claimReviewed = cleanText(review.claimReviewed);
+  const url = cleanText(firstOf(review.url)) || cleanText(review['@id']);
+  if (!claimReviewed || !/^https?:\/\//i.test(url)) return null;
+
+  const item = firstOf(review.itemReviewed) || {};
+  const rating = firstOf(review.reviewRating) || {};
+  const author = describeParty(review.author) || describeParty(review.publisher);
+  const appearance = firstOf(item.appearance) || firstOf(item.firstAppearance);
+
+  return {
+    id: `${url}#${crypto.createHash('sha1').update(claimReviewed).digest('hex').slice(0, 12)}`,
+    url,
+    claim_reviewed: claimReviewed,
+    claimant: describeParty(item.author)?.name || null,
+    claim_date: toIsoDate(item.datePublished),
+    claim_appearance: appearance ? cleanText(firstOf(appearance.url)) || cleanText(appearance) || null : null,
+    publisher: author,
+    date_published: toIsoDate(review.datePublished),
+    date_modified: toIsoDate(review.dateModified),
+    language: cleanText(firstOf(review.inLanguage)?.name || firstOf(review.inLanguage)) || null,
+    rating: {
+      alternate_name: cleanText(rating.alternateName) || cleanText(rating.name) || null,
+      value: toNumber(rating.ratingValue),
+      best: toNumber(rating.bestRating),
+      worst: toNumber(rating.worstRating)
+    }
+  };
+}
+
+/**
+ * Archive records for every usable ClaimReview in a document.
+ * Returns { reviews, skipped, invalid }: reviews without claim text or URL
+ * are skipped, unparseable JSON blocks are invalid.
+ */
+function parseClaimReviews(content) {
+  const { values, invalid } = parseJsonValues(content);
+  const reviews = [];
+  let skipped = 0;
+  collectClaimReviews(values).forEach(raw => {
+    const review = normalizeClaimReview(raw);
+    if (review) reviews.push(review);
+    else skipped++;
+  });
+  return { reviews, skipped, invalid };
+}
+
+module.exports = {
+  collectClaimReviews,
+  normalizeClaimReview,
+  parseClaimReviews
+};
@@ -0,0 +1,186 @@
+const natural = require('natural');
+const { tokenize } = require('../search-index');
+const { openFactCheckArchive } = require('./archive');
+
+/**
+ * Match extracted claims against the fact-check archive.
+ *
+ * BM25 picks a few archived claims sharing terms with the extracted claim.
+ * Each candidate gets a fuzzy score (character bigrams and stemmed-word
+ * overlap, so rewordings of the same sentence score high); a near-verbatim
+ * candidate matches on that alone. Otherwise a candidate that is at least
+ * loosely similar is checked for meaning with the NLI scorer: the two claims
+ * must entail each other, so a paraphrase matches but a narrower or broader
+ * claim does not.
+ */
+
+// Publisher rating labels (lowercased, punctuation dropped) and the verdict each reads as
+const RATING_LABELS = {
+  refuted: [
+    'false', 'pants on fire', 'pants on fire false', 'fake', 'incorrect', 'wrong', 'not true', 'fabricated',
+    'hoax', 'debunked', 'baseless', 'scam', 'four pinocchios'
+  ],
+  likely_false: ['mostly false', 'largely false', 'three pinocchios', 'false context', 'altered', 'manipulated'],
+  weakly_refuted: [
+    'misleading', 'missing context', 'lacks context', 'needs context', 'out of context', 'partly false',
+    'partially false', 'exaggerated', 'exaggeration', 'distorts the facts', 'cherry picks', 'spins the facts'
+  ],
+  contested: ['half true', 'mixture', 'mixed', 'partly true', 'partially true', 'two pinocchios', 'disputed'],
+  supported: ['mostly true', 'largely true', 'mostly correct', 'largely accurate', 'one pinocchio'],
+  strongly_supported: ['true', 'correct', 'accurate', 'verified', 'confirmed', 'geppetto checkmark'],
+  insufficient_evidence: [
+    'unproven', 'unverified', 'unsupported', 'no evidence', 'insufficient evidence', 'cannot be verified',
+    'research in progress', 'unclear'
+  ]
+};
+
+const VERDICT_BY_LABEL = new Map(
+  Object.entries(RATING_LABELS).flatMap(([verdict, labels]) => labels.map(label => [label, verdict]))
+);
+
+let archive = null;
+
+/**
+ * Shared archive, reloaded when an import rewrites it
+ */
+function getArchive() {
+  if (!archive) {
+    archive = openFactCheckArchive();
+  } else {
+    archive.reloadIfChanged();
+  }
+  return archive;
+}
+
+function normalizeLabel(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Our verdict for a publisher's rating: the label when it is a known one,
+ * else the value's position on the review's own scale. Null when neither
+ * says anything (the rating is still shown, the verdict stays automated).
+ */
+function ratingToVerdict(rating = {}) {
+  const byLabel = VERDICT_BY_LABEL.get(normalizeLabel(rating.alternate_name));
+  if (byLabel) return byLabel;
+
+  const { value, best, worst } = rating;
+  if ([value, best, worst].some(number => typeof number !== 'number') || best <= worst) return null;
+  if (value < worst || value > best) return null;
+
+  const position = (value - worst) / (best - worst);
+  if (position <= 0.1) return 'refuted';
+  if (position <= 0.35) return 'likely_false';
+  if (position < 0.65) return 'contested';
+  if (position < 0.9) return 'supported';
+  return 'strongly_supported';
+}
+
+// Attribution wrapped around a claim in news copy ("..., officials said on
+// Friday", "... according to the ministry"); fact-checks state the bare claim
+const ATTRIBUTION_PATTERNS = [
+  /,?\s+according to\b[^,;]*/gi,
+  /,\s+(?:[\w.'-]+\s+){0,4}(?:said|says|reported|reports|announced|claimed|claims|told [\w\s]+)\b[^,;]*$/i
+];
+
+function normalizeClaimText(text) {
+  const bare = ATTRIBUTION_PATTERNS.reduce((result, pattern) => result.replace(pattern, ''), String(text || ''));
+  return bare.toLowerCase().replace(/[^\p{L}\p{N}\s%]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Surface similarity of two claims in [0, 1], ignoring attribution: the mean
+ * of character-bigram Dice and stemmed-word Jaccard
+ */
+function fuzzySimilarity(a, b) {
+  const left = normalizeClaimText(a);
+  const right = normalizeClaimText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftTerms = new Set(tokenize(left));
+  const rightTerms = new Set(tokenize(right));
+  const shared = [...leftTerms].filter(term => rightTerms.has(term)).length;
+  const union = leftTerms.size + rightTerms.size - shared;
+  const jaccard = union > 0 ? shared / union : 0;
+
+  return (natural.DiceCoefficient(left, right) + jaccard) / 2;
+}
+
+/**
+ * Meaning similarity in [0, 1]: how strongly each claim entails the other
+ * (the weaker direction). `scorePair(premise, hypothesis)` is the NLI scorer.
+ */
+async function semanticSimilarity(a, b, scorePair) {
+  const [forward, backward] = await Promise.all([scorePair(a, b), scorePair(b, a)]);
+  return Math.min(forward.entail, backward.entail);
+}
+
+/**
+ * What a claim result shows about a matched fact-check
+ */
+function describeMatch(review, { similarity, fuzzy, semantic, method }) {
+  return {
+    claim_reviewed: review.claim_reviewed,
+    claimant: review.claimant,
+    claim_date: review.claim_date,
+    url: review.url,
+    publisher: review.publisher,
+    date_published: review.date_published,
+    rating: review.rating,
+    verdict: ratingToVerdict(review.rating),
+    match: {
+      method,
+      similarity: Number(similarity.toFixed(3)),
+      fuzzy: Number(fuzzy.toFixed(3)),
+      semantic: semantic === null ? null : Number(semantic.toFixed(3))
+    }
+  };
+}
+
+/**
+ * The archived fact-check that reviewed the same claim, or null. Uses
+ * settings.factChecks thresholds; `scorePair` runs the semantic check.
+ */
+async function findFactCheck(claimText, { settings, scorePair }) {
+  const { maxCandidates, candidateThreshold, fuzzyThreshold, semanticThreshold } = settings.factChecks;
+  const index = getArchive();
+  if (index.size === 0) return null;
+
+  const candidates = index.search(claimText, maxCandidates)
+    .map(({ doc }) => ({ review: doc, fuzzy: fuzzySimilarity(claimText, doc.claim_reviewed) }))
+    .filter(candidate => candidate.fuzzy >= candidateThreshold);
+
+  let best = null;
+  for (const { review, fuzzy } of candidates) {
+    let match = null;
+    if (fuzzy >= fuzzyThreshold) {
+      match = { similarity: fuzzy, fuzzy, semantic: null, method: 'fuzzy' };
+    } else {
+      const semantic = await semanticSimilarity(claimText, review.claim_reviewed, scorePair);
+      if (semantic >= semanticThreshold) {
+        match = { similarity: Math.max(fuzzy, semantic), fuzzy, semantic, method: 'semantic' };
+      }
+    }
+    if (match && (!best || match.similarity > best.match.similarity)) {
+      best = { review, match };
+    }
+  }
+
+  return best ? describeMatch(best.review, best.match) : null;
+}
+
+function getStatus() {
+  const index = getArchive();
+  return { path: index.filePath, reviews: index.size };
+}
+
+module.exports = {
+  RATING_LABELS,
+  ratingToVerdict,
+  fuzzySimilarity,
+  findFactCheck,
+  getArchive,
+  getStatus
+};
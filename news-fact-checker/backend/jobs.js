@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createLogger, runWithContext } = require('./logger');
+const { getConfig } = require('./config');
+
+/**
+ * In-memory store for background analysis jobs.
+ *
+ * A job runs the streaming analysis pipeline detached from any HTTP response
+ * and records every event it emits with an increasing id, so clients can poll
+ * the job's state or (re)attach to its event stream from any point using
+ * Last-Event-ID. Finished jobs are kept for jobs.retentionMinutes.
+ */
+
+const JOB_RETENTION_MS = getConfig().jobs.retentionMinutes * 60 * 1000;
+const MAX_JOBS = getConfig().jobs.maxJobs;
+const TERMINAL_EVENTS = new Set(['complete', 'error']);
+
+const log = createLogger('jobs');
+
+/**
+ * Whether an event ends the analysis
+ */
+function isTerminalEvent(event) {
+  return TERMINAL_EVENTS.has(event.type);
+}
+
+class JobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Create a job and start `runner(input, emit)` on the next tick. `owner`
+   * is the API client allowed to read it. The runner's log lines carry the
+   * job id (and the id of the request that created it).
+   */
+  create(input, runner, { owner = null } = {}) {
+    this.prune();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      events: [],
+      pageType: null,
+      claimsTotal: null,
+      sources: null,
+      claims: [],
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+
+    setImmediate(() => runWithContext({ job_id: job.id }, () => this.run(job, input, runner)));
+    return job;
+  }
+
+  async run(job, input, runner) {
+    job.status = 'running';
+    job.updatedAt = new Date().toISOString();
+
+    try {
+      await runner(input, event => this.record(job, event));
+      if (!this.isFinished(job)) {
+        this.record(job, { type: 'error', message: 'Analysis ended without a result' });
+      }
+    } catch (error) {
+      log.error('Job failed', { error });
+      this.record(job, { type: 'error', message: error.message });
+    }
+  }
+
+  /**
+   * Append an event to the job log, update its state and notify subscribers
+   */
+  record(job, event) {
+    if (this.isFinished(job)) return;
+
+    const entry = { id: job.events.length + 1, event };
+    job.events.push(entry);
+    job.updatedAt = new Date().toISOString();
+
+    switch (event.type) {
+      case 'page_type':
+        job.pageType = event.data;
+        break;
+      case 'claims_extracted':
+        job.claimsTotal = event.data.count;
+        break;
+      case 'sources_found':
+        job.sources = event.data.sources;
+        break;
+      case 'claim_result':
+        job.claims.push(event.data.claim);
+        break;
+      case 'complete':
+        job.status = 'completed';
+        job.result = event.data;
+        job.finishedAt = job.updatedAt;
+        break;
+      case 'error':
+        job.status = 'failed';
+        job.error = event.message;
+        job.finishedAt = job.updatedAt;
+        break;
+    }
+
+    this.emitter.emit(job.id, entry);
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Logged events with an id greater than `lastEventId`
+   */
+  eventsSince(job, lastEventId = 0) {
+    return job.events.filter(entry => entry.id > lastEventId);
+  }
+
+  /**
+   * Receive new events for a job; returns an unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  /**
+   * Public view of a job: state plus whatever partial results exist so far
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      created_at: job.createdAt,
+      updated_at: job.updatedAt,
+      finished_at: job.finishedAt,
+      last_event_id: job.events.length,
+      progress: {
+        claims_total: job.claimsTotal,
+        claims_done: job.claims.length
+      },
+      page_type: job.pageType,
+      sources: job.sources,
+      claims: job.claims,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Drop finished jobs past their retention time, then the oldest finished
+   * jobs if the store is still over MAX_JOBS
+   */
+  prune() {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < MAX_JOBS) break;
+      if (this.isFinished(job)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  getStats() {
+    const byStatus = { queued: 0, running: 0, completed: 0, failed: 0 };
+    this.jobs.forEach(job => { byStatus[job.status]++; });
+    return { total: this.jobs.size, ...byStatus };
+  }
+}
+
+module.exports = {
+  JobStore,
+  isTerminalEvent
+};
@@ -0,0 +1,94 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging.
+ *
+ * Every line is one JSON object on stdout:
+ *   {"time":"...","level":"info","component":"search","msg":"...","request_id":"...", ...fields}
+ * Fields set with runWithContext (the request id, a job id) are added to every
+ * line logged while that request or job is being handled, including from
+ * async work it starts. LOG_LEVEL picks the minimum level (debug, info, warn,
+ * error or silent; default info, or debug when DEBUG=true) and LOG_FORMAT=text
+ * prints readable lines for local development instead of JSON.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+function getMinLevel() {
+  const configured = (process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? 'debug' : 'info')).toLowerCase();
+  return LEVELS[configured] ?? LEVELS.info;
+}
+
+/**
+ * Run `fn` with extra fields on every log line it (and anything it awaits)
+ * writes. Nested calls add to the enclosing context.
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current request/job context
+ */
+function getContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Errors as plain fields (JSON.stringify drops their message and stack)
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    stack: getMinLevel() <= LEVELS.debug ? error.stack : undefined
+  };
+}
+
+function formatText(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => {
+      if (key === 'error' && value?.message) return `error="${value.message}"`;
+      return `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`;
+    })
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, component, msg, fields = {}) {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const entry = { time: new Date().toISOString(), level, component, msg, ...getContext() };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) entry[key] = key === 'error' ? serializeError(value) : value;
+  });
+
+  const line = process.env.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  process.stdout.write(line + '\n');
+}
+
+/**
+ * Logger for one part of the backend, e.g. createLogger('search').
+ * Methods take a message and optional fields: log.info('Searched', { count: 3 }).
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields),
+    isDebugEnabled: () => getMinLevel() <= LEVELS.debug
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithContext,
+  getContext
+};
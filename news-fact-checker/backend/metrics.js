@@ -0,0 +1,213 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format on /metrics.
+ *
+ * Counters and histograms are updated where things happen (stages, providers,
+ * rate limiting, NLI scoring, verdicts); values other modules already keep
+ * (cache and job stats) are read when /metrics is scraped via addCollector.
+ */
+
+const PREFIX = 'factchecker_';
+
+// Stage latency buckets in seconds: cached lookups through slow model calls
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map();
+const collectors = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ...values }
+  }
+
+  getSeries(labels, create) {
+    const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown label(s) ${unknown.join(', ')} for metric ${this.name}`);
+    }
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Set the total directly, for counters mirrored from another module's stats
+   */
+  setTotal(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function records the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Run `collect()` before every render, to copy in values kept elsewhere
+ */
+function addCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * All metrics in the Prometheus text format
+ */
+function render() {
+  collectors.forEach(collect => collect());
+  const lines = [];
+  registry.forEach(metric => {
+    lines.push(...metric.header(), ...metric.render());
+  });
+  return lines.join('\n') + '\n';
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Metrics shared across modules
+const httpRequests = register(new Counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']));
+const httpDuration = register(new Histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route']));
+const stageDuration = register(new Histogram('stage_duration_seconds', 'Analysis pipeline stage latency', ['stage']));
+const analyses = register(new Counter('analyses_total', 'Analyses run, by entry point and outcome', ['mode', 'outcome']));
+const verdicts = register(new Counter('verdicts_total', 'Claim verdicts produced', ['verdict']));
+const nliScores = register(new Counter('nli_scores_total', 'NLI scores produced, by scorer (huggingface, local, fallback) and whether they came from the cache', ['scorer', 'cached']));
+const fallbackScoring = register(new Counter('nli_fallback_total', 'NLI requests answered by the heuristic fallback scorer, by reason', ['reason']));
+const providerSearches = register(new Counter('provider_searches_total', 'Evidence provider searches, by outcome', ['provider', 'outcome']));
+const providerErrors = register(new Counter('provider_errors_total', 'Evidence provider failures', ['provider']));
+const providerRateLimits = register(new Counter('provider_rate_limited_total', 'Upstream rate-limit responses from evidence providers', ['provider']));
+const fallbackSources = register(new Counter('mock_source_fallbacks_total', 'Searches answered with mock sources because no provider returned anything'));
+const rateLimitEvents = register(new Counter('rate_limit_events_total', 'Requests rejected by the per-client rate limit or daily quota', ['reason']));
+const cacheLookups = register(new Counter('cache_lookups_total', 'Result cache lookups since start, by namespace and result', ['namespace', 'result']));
+const cacheHitRatio = register(new Gauge('cache_hit_ratio', 'Result cache hit ratio since start', ['namespace']));
+const cacheEntries = register(new Gauge('cache_entries', 'Entries in the result cache', ['namespace']));
+const jobsByStatus = register(new Gauge('jobs', 'Analysis jobs held in memory, by status', ['status']));
+const batchItemsByStatus = register(new Gauge('batch_items', 'Items of batches held in memory, by status', ['status']));
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  register,
+  addCollector,
+  render,
+  CONTENT_TYPE,
+  httpRequests,
+  httpDuration,
+  stageDuration,
+  analyses,
+  verdicts,
+  nliScores,
+  fallbackScoring,
+  providerSearches,
+  providerErrors,
+  providerRateLimits,
+  fallbackSources,
+  rateLimitEvents,
+  cacheLookups,
+  cacheHitRatio,
+  cacheEntries,
+  jobsByStatus,
+  batchItemsByStatus
+};
@@ -0,0 +1,211 @@
+const path = require('path');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logger');
+
+/**
+ * On-device MNLI scorer built on transformers.js (ONNX Runtime, CPU).
+ *
+ * The model is loaded lazily from localNli.modelDir (a directory laid out like
+ * the Hugging Face hub: <dir>/<model id>/{config.json,tokenizer.json,onnx/model*.onnx}).
+ * Pairs submitted in the same tick are scored together in batches of
+ * localNli.batchSize, and batches run one at a time so CPU work never overlaps.
+ */
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+const log = createLogger('local-nli');
+
+let loadPromise = null;
+let loadError = null;
+let loadedAt = null;
+let labelIndex = null; // { entail, neutral, contra } -> logit position
+
+const queue = [];
+let flushScheduled = false;
+let running = Promise.resolve();
+let pairsScored = 0;
+let batchesRun = 0;
+
+/**
+ * Map the model's id2label to our entail/neutral/contra slots
+ */
+function getModelDir() {
+  return path.resolve(BACKEND_ROOT, getConfig().localNli.modelDir);
+}
+
+function resolveLabelIndex(id2label = {}) {
+  const index = {};
+  Object.entries(id2label).forEach(([id, label]) => {
+    const name = String(label).toLowerCase();
+    if (name.startsWith('entail')) index.entail = Number(id);
+    else if (name.startsWith('neutral')) index.neutral = Number(id);
+    else if (name.startsWith('contra')) index.contra = Number(id);
+  });
+
+  if (index.entail === undefined || index.contra === undefined) {
+    throw new Error(`Model ${getConfig().localNli.model} does not look like an NLI model (labels: ${JSON.stringify(id2label)})`);
+  }
+  return index;
+}
+
+/**
+ * Load tokenizer and model once
+ */
+function loadModel() {
+  if (loadPromise) return loadPromise;
+
+  const settings = getConfig().localNli;
+  loadPromise = (async () => {
+    let transformers;
+    try {
+      transformers = require('@huggingface/transformers');
+    } catch (error) {
+      throw new Error('Local NLI needs the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+    }
+
+    const { env, AutoTokenizer, AutoModelForSequenceClassification } = transformers;
+    const modelDir = getModelDir();
+    env.localModelPath = modelDir;
+    env.allowLocalModels = true;
+    env.allowRemoteModels = settings.allowDownload;
+    env.cacheDir = modelDir;
+
+    log.info('Loading local NLI model', { model: settings.model, dir: modelDir });
+    const started = Date.now();
+
+    const tokenizer = await AutoTokenizer.from_pretrained(settings.model);
+    const model = await AutoModelForSequenceClassification.from_pretrained(settings.model, {
+      device: 'cpu',
+      dtype: settings.dtype,
+      // 0 threads lets ONNX Runtime decide
+      session_options: settings.threads > 0 ? { intraOpNumThreads: settings.threads } : undefined
+    });
+
+    labelIndex = resolveLabelIndex(model.config.id2label);
+    loadedAt = new Date().toISOString();
+    log.info('Local NLI model loaded', { model: settings.model, duration_ms: Date.now() - started });
+    return { tokenizer, model };
+  })().catch(error => {
+    loadError = error;
+    log.error('Failed to load local NLI model', { model: settings.model, error });
+    throw error;
+  });
+
+  return loadPromise;
+}
+
+function softmax(logits) {
+  const max = Math.max(...logits);
+  const exps = logits.map(value => Math.exp(value - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(value => value / sum);
+}
+
+/**
+ * Run one batch of premise/hypothesis pairs through the model
+ */
+async function runBatch(batch) {
+  const { tokenizer, model } = await loadModel();
+
+  const inputs = tokenizer(batch.map(item => item.premise), {
+    text_pair: batch.map(item => item.hypothesis),
+    padding: true,
+    truncation: true
+  });
+  const { logits } = await model(inputs);
+
+  const rows = logits.tolist();
+  batchesRun++;
+  pairsScored += batch.length;
+
+  return rows.map(row => {
+    const probs = softmax(row);
+    return {
+      entail: probs[labelIndex.entail],
+      contra: probs[labelIndex.contra],
+      neutral: labelIndex.neutral !== undefined
+        ? probs[labelIndex.neutral]
+        : Math.max(0, 1 - probs[labelIndex.entail] - probs[labelIndex.contra])
+    };
+  });
+}
+
+/**
+ * Drain the queue in batches, one batch at a time
+ */
+function flushQueue() {
+  flushScheduled = false;
+
+  while (queue.length > 0) {
+    const batch = queue.splice(0, getConfig().localNli.batchSize);
+    running = running
+      .then(() => runBatch(batch))
+      .then(results => batch.forEach((item, i) => item.resolve(results[i])))
+      .catch(error => batch.forEach(item => item.reject(error)));
+  }
+}
+
+/**
+ * Score one premise/hypothesis pair; resolves to { entail, contra, neutral }
+ */
+function scorePair(premise, hypothesis) {
+  return new Promise((resolve, reject) => {
+    queue.push({ premise, hypothesis, resolve, reject });
+    if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flushQueue);
+    }
+  });
+}
+
+/**
+ * Zero-shot classification via NLI: each label becomes the hypothesis
+ * "This text is a {label}." and labels are ranked by entailment.
+ * Returns the same { labels, scores } shape as the HF inference API.
+ */
+async function zeroShotClassify(text, labels, template = 'This text is a {}.') {
+  const results = await Promise.all(
+    labels.map(label => scorePair(text, template.replace('{}', label)))
+  );
+
+  const total = results.reduce((sum, r) => sum + r.entail, 0) || 1;
+  const ranked = labels
+    .map((label, i) => ({ label, score: results[i].entail / total }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    labels: ranked.map(r => r.label),
+    scores: ranked.map(r => r.score)
+  };
+}
+
+/**
+ * Whether the local scorer can be used (true until a load attempt fails)
+ */
+function isAvailable() {
+  return !loadError;
+}
+
+function getStatus() {
+  const settings = getConfig().localNli;
+  return {
+    model: settings.model,
+    model_dir: getModelDir(),
+    dtype: settings.dtype,
+    batch_size: settings.batchSize,
+    loaded: !!loadedAt,
+    loaded_at: loadedAt,
+    error: loadError ? loadError.message : null,
+    pairs_scored: pairsScored,
+    batches_run: batchesRun,
+    queued: queue.length
+  };
+}
+
+module.exports = {
+  loadModel,
+  scorePair,
+  zeroShotClassify,
+  isAvailable,
+  getStatus
+};
@@ -0,0 +1,100 @@
+const nlp = require('compromise');
+const { FullTextIndex } = require('./search-index');
+
+// Passage windowing
+const SENTENCES_PER_PASSAGE = 2;
+const MAX_PASSAGE_CHARS = 500; // matches the NLI input limit
+const MAX_PASSAGES_PER_EVIDENCE = 200;
+
+/**
+ * Split text into overlapping windows of consecutive sentences
+ */
+function splitIntoPassages(text, sentencesPerPassage = SENTENCES_PER_PASSAGE) {
+  const sentences = String(text || '')
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => nlp(paragraph).sentences().out('array'))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  if (sentences.length <= sentencesPerPassage) {
+    return [sentences.join(' ').slice(0, MAX_PASSAGE_CHARS)].filter(Boolean);
+  }
+
+  const passages = [];
+  for (let start = 0; start + sentencesPerPassage <= sentences.length; start++) {
+    let passage = sentences[start];
+    for (let i = start + 1; i < start + sentencesPerPassage; i++) {
+      const next = `${passage} ${sentences[i]}`;
+      if (next.length > MAX_PASSAGE_CHARS) break;
+      passage = next;
+    }
+    passages.push(passage.slice(0, MAX_PASSAGE_CHARS));
+    if (passages.length >= MAX_PASSAGES_PER_EVIDENCE) break;
+  }
+
+  return passages;
+}
+
+/**
+ * BM25 index over the sentence-window passages of every evidence text.
+ * Built once per analysis and queried once per claim.
+ */
+class PassageIndex {
+  constructor(evidenceTexts) {
+    this.index = new FullTextIndex(null, { maxDocuments: 0 });
+    this.firstPassage = [];
+
+    evidenceTexts.forEach((text, evidenceIndex) => {
+      const passages = splitIntoPassages(text);
+      this.firstPassage[evidenceIndex] = passages[0] || text.slice(0, MAX_PASSAGE_CHARS);
+      passages.forEach((passage, passageIndex) => {
+        this.index.addDocument(
+          `${evidenceIndex}:${passageIndex}`,
+          { evidenceIndex, text: passage },
+          passage
+        );
+      });
+    });
+  }
+
+  get passageCount() {
+    return this.index.size;
+  }
+
+  /**
+   * Best-scoring passage from each evidence text, highest first
+   */
+  bestPerEvidence(query, limit) {
+    const seen = new Set();
+    const best = [];
+
+    this.index.search(query, this.index.size).forEach(({ doc, score }) => {
+      if (seen.has(doc.evidenceIndex)) return;
+      seen.add(doc.evidenceIndex);
+      best.push({ evidenceIndex: doc.evidenceIndex, text: doc.text, score });
+    });
+
+    return best.slice(0, limit);
+  }
+
+  /**
+   * Passages to send to NLI for a claim: the top BM25 passage of the best
+   * matching sources. When nothing matches, fall back to the opening passage
+   * of the first sources so the claim still gets scored.
+   */
+  selectForClaim(claimText, limit) {
+    const ranked = this.bestPerEvidence(claimText, limit);
+    if (ranked.length > 0) {
+      return ranked;
+    }
+
+    return this.firstPassage
+      .slice(0, limit)
+      .map((text, evidenceIndex) => ({ evidenceIndex, text, score: 0 }));
+  }
+}
+
+module.exports = {
+  splitIntoPassages,
+  PassageIndex
+};
@@ -0,0 +1,140 @@
+/**
+ * Evidence provider registry.
+ *
+ * A provider is an object of the shape:
+ *   {
+ *     name: 'newsapi',                       // unique id, used for tagging and config
+ *     description: 'NewsAPI.org',            // shown in /api-status
+ *     isEnabled: () => boolean,              // false when the provider is not configured
+ *     search: async (query, { limit }) => [] // normalized articles
+ *   }
+ *
+ * Normalized articles use the same shape searchNewsEnhanced has always returned:
+ * { title, url, publisher, description, publishedAt, content }.
+ */
+const { getConfig } = require('../config');
+const { createLogger } = require('../logger');
+const metrics = require('../metrics');
+const newsapiProvider = require('./newsapi');
+const rssProvider = require('./rss');
+const mockProvider = require('./mock');
+
+const providers = new Map();
+const log = createLogger('providers');
+
+// Provider used when every enabled provider comes back empty
+const FALLBACK_PROVIDER = 'mock';
+
+/**
+ * Register an evidence provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.search !== 'function') {
+    throw new Error('Evidence providers need a name and a search(query, opts) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a registered provider by name
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * Names of providers selected in search.providers (EVIDENCE_PROVIDERS)
+ */
+function getSelectedProviderNames() {
+  return getConfig().search.providers
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Providers that are both selected and configured
+ */
+function getEnabledProviders() {
+  return getSelectedProviderNames()
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) {
+        log.warn('Unknown evidence provider in search.providers, skipping', { provider: name });
+      }
+      return provider;
+    })
+    .filter(provider => provider && provider.isEnabled());
+}
+
+/**
+ * Run one query against a set of providers in parallel.
+ * Articles are tagged with the provider that produced them; failures are
+ * logged and reported per provider instead of failing the whole search.
+ */
+async function searchProviders(query, activeProviders, opts = {}) {
+  const settled = await Promise.allSettled(
+    activeProviders.map(provider => provider.search(query, opts))
+  );
+
+  const articles = [];
+  const errors = {};
+
+  settled.forEach((outcome, i) => {
+    const name = activeProviders[i].name;
+    if (outcome.status === 'fulfilled') {
+      metrics.providerSearches.inc({ provider: name, outcome: outcome.value?.length ? 'results' : 'empty' });
+      (outcome.value || []).forEach(article => {
+        if (article && article.url) {
+          articles.push({ ...article, provider: name });
+        }
+      });
+    } else {
+      log.error('Evidence provider failed', { provider: name, query, error: outcome.reason });
+      metrics.providerSearches.inc({ provider: name, outcome: 'error' });
+      metrics.providerErrors.inc({ provider: name });
+      errors[name] = outcome.reason?.message || 'unknown error';
+    }
+  });
+
+  return { articles, errors };
+}
+
+/**
+ * Count articles per provider tag
+ */
+function countByProvider(articles) {
+  return articles.reduce((counts, article) => {
+    const name = article.provider || 'unknown';
+    counts[name] = (counts[name] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Describe every registered provider for status reporting
+ */
+function describeProviders() {
+  const selected = getSelectedProviderNames();
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    description: provider.description || '',
+    selected: selected.includes(provider.name),
+    configured: provider.isEnabled(),
+    fallback: provider.name === FALLBACK_PROVIDER
+  }));
+}
+
+registerProvider(newsapiProvider);
+registerProvider(rssProvider);
+registerProvider(mockProvider);
+
+module.exports = {
+  FALLBACK_PROVIDER,
+  registerProvider,
+  getProvider,
+  getEnabledProviders,
+  searchProviders,
+  countByProvider,
+  describeProviders
+};
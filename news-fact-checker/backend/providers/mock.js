@@ -0,0 +1,55 @@
+// Mock sources for testing and rate limit fallback
+function getMockSources() {
+  return [
+    {
+      title: 'Global Economic Growth Reaches 3.2% in Latest Quarter',
+      url: 'https://example.com/economic-growth-q3',
+      publisher: 'Reuters',
+      description: 'Latest economic data shows steady growth across major economies, with technology and healthcare sectors leading the expansion.',
+      publishedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() // 2 days ago
+    },
+    {
+      title: 'New Climate Research Shows Accelerating Ice Sheet Loss',
+      url: 'https://example.com/climate-research-2024',
+      publisher: 'BBC',
+      description: 'Scientists report that Antarctic ice sheets are melting at twice the rate previously estimated, with significant implications for sea level rise.',
+      publishedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() // 1 day ago
+    },
+    {
+      title: 'Technology Sector Employment Increases by 15% This Year',
+      url: 'https://example.com/tech-employment-2024',
+      publisher: 'The Guardian',
+      description: 'The technology sector continues to drive job creation, with artificial intelligence and cybersecurity roles seeing the highest demand.',
+      publishedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() // 3 days ago
+    },
+    {
+      title: 'Healthcare Innovations Reduce Treatment Costs by 25%',
+      url: 'https://example.com/healthcare-innovations',
+      publisher: 'NPR',
+      description: 'New medical technologies and treatment protocols are making healthcare more affordable while improving patient outcomes.',
+      publishedAt: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString() // 4 days ago
+    },
+    {
+      title: 'Renewable Energy Capacity Doubles in Major Economies',
+      url: 'https://example.com/renewable-energy-2024',
+      publisher: 'Bloomberg',
+      description: 'Wind and solar power installations have reached record levels, with costs falling below traditional energy sources in most markets.',
+      publishedAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString() // 5 days ago
+    },
+    {
+      title: 'Education Technology Improves Student Performance Metrics',
+      url: 'https://example.com/edtech-performance',
+      publisher: 'The New York Times',
+      description: 'Studies show that digital learning platforms and AI-powered tutoring systems are helping students achieve better academic outcomes.',
+      publishedAt: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString() // 6 days ago
+    }
+  ];
+}
+
+module.exports = {
+  name: 'mock',
+  description: 'Built-in sample articles',
+  isEnabled: () => true,
+  search: async (_query, { limit = 10 } = {}) => getMockSources().slice(0, limit),
+  getMockSources
+};
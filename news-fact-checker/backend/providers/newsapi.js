@@ -0,0 +1,122 @@
+const axios = require('axios');
+const { createLogger } = require('../logger');
+const metrics = require('../metrics');
+
+const NEWS_SEARCH_URL = 'https://newsapi.org/v2/everything';
+
+// Track which API key to use and rate limit status
+const apiKeys = [process.env.NEWS_API_KEY, process.env.NEWS_API_KEY_1].filter(Boolean); // Backup key is optional
+let currentApiKeyIndex = 0;
+const rateLimitedKeys = new Set(); // Track which keys are rate limited
+const log = createLogger('newsapi');
+
+/**
+ * Get the next available API key that isn't rate limited
+ */
+function getAvailableApiKey() {
+  if (apiKeys.length === 0) {
+    return null;
+  }
+
+  // If all keys are rate limited, reset the tracking (they might have recovered)
+  if (rateLimitedKeys.size === apiKeys.length) {
+    log.info('All API keys were rate limited, resetting status');
+    rateLimitedKeys.clear();
+  }
+
+  // Find next available key
+  for (let i = 0; i < apiKeys.length; i++) {
+    const keyIndex = (currentApiKeyIndex + i) % apiKeys.length;
+    const key = apiKeys[keyIndex];
+
+    if (!rateLimitedKeys.has(key)) {
+      currentApiKeyIndex = keyIndex;
+      return key;
+    }
+  }
+
+  // Fallback to first key if somehow no keys are available
+  return apiKeys[0];
+}
+
+/**
+ * Mark an API key as rate limited
+ */
+function markApiKeyRateLimited(apiKey) {
+  rateLimitedKeys.add(apiKey);
+  log.warn('API key marked as rate limited', { key_suffix: apiKey.slice(-4), available_keys: apiKeys.length - rateLimitedKeys.size });
+
+  // Switch to next available key
+  currentApiKeyIndex = (currentApiKeyIndex + 1) % apiKeys.length;
+}
+
+/**
+ * Search NewsAPI's /v2/everything endpoint, rotating keys on rate limits
+ */
+async function search(query, { limit = 10 } = {}) {
+  // Try each available API key
+  for (let attempt = 0; attempt < apiKeys.length; attempt++) {
+    const currentApiKey = getAvailableApiKey();
+
+    if (!currentApiKey) {
+      return [];
+    }
+
+    try {
+      log.debug('Searching news', { query, key_suffix: currentApiKey.slice(-4) });
+
+      const response = await axios.get(NEWS_SEARCH_URL, {
+        params: {
+          q: query,
+          pageSize: limit,
+          sortBy: 'relevancy',
+          language: 'en',
+          apiKey: currentApiKey
+        },
+        timeout: 8000
+      });
+
+      if (response.status === 200 && response.data.articles) {
+        log.debug('Retrieved articles', { query, count: response.data.articles.length });
+        return response.data.articles.map(article => ({
+          title: article.title,
+          url: article.url,
+          publisher: article.source?.name,
+          description: article.description,
+          publishedAt: article.publishedAt,
+          content: article.content
+        }));
+      }
+
+      return [];
+
+    } catch (error) {
+      if (error.response?.status === 429) {
+        log.warn('Rate limit exceeded', { query, key_suffix: currentApiKey.slice(-4) });
+        metrics.providerRateLimits.inc({ provider: 'newsapi' });
+        markApiKeyRateLimited(currentApiKey);
+
+        // If we have more keys available, try the next one
+        if (rateLimitedKeys.size < apiKeys.length) {
+          log.info('Trying next available API key');
+          continue;
+        }
+        log.warn('All API keys rate limited', { query });
+        return [];
+      }
+
+      // For non-rate-limit errors, don't mark the key as bad, let the registry record it
+      throw error;
+    }
+  }
+
+  log.warn('No results with any available API key', { query });
+  return [];
+}
+
+module.exports = {
+  name: 'newsapi',
+  description: 'NewsAPI.org /v2/everything',
+  isEnabled: () => apiKeys.length > 0,
+  search
+};
@@ -0,0 +1,37 @@
+const { openRssIndex } = require('../rss/ingest');
+
+let index = null;
+
+/**
+ * Shared RSS index, reloaded when the ingest script rewrites it
+ */
+function getIndex() {
+  if (!index) {
+    index = openRssIndex();
+  } else {
+    index.reloadIfChanged();
+  }
+  return index;
+}
+
+/**
+ * Search the locally ingested RSS/Atom corpus
+ */
+async function search(query, { limit = 10 } = {}) {
+  return getIndex().search(query, limit).map(({ doc }) => ({
+    title: doc.title,
+    url: doc.url,
+    publisher: doc.publisher,
+    description: doc.description,
+    publishedAt: doc.publishedAt,
+    content: doc.content
+  }));
+}
+
+module.exports = {
+  name: 'rss',
+  description: 'Local RSS/Atom full-text index',
+  isEnabled: () => getIndex().size > 0,
+  search,
+  getIndex
+};
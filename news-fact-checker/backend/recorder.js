@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Record/replay layer for outgoing HTTP (NewsAPI, feeds, article pages via
+ * axios; Hugging Face via HfInference's fetch).
+ *
+ * RECORDING_MODE=record performs real requests and saves each response under
+ * RECORDINGS_DIR (default fixtures/recordings); RECORDING_MODE=replay serves
+ * those files and never touches the network, failing with a ReplayMissError
+ * that names the missing request. Requests are keyed by method, URL, query
+ * and body with credentials left out, so recordings can be committed and
+ * replayed with any placeholder API key.
+ */
+
+const BACKEND_ROOT = __dirname;
+const DEFAULT_RECORDINGS_DIR = path.join(BACKEND_ROOT, 'fixtures', 'recordings');
+const MODES = ['off', 'record', 'replay'];
+
+// Query parameters and headers that carry credentials
+const SECRET_PARAMS = new Set(['apikey', 'api_key', 'key', 'token', 'access_token']);
+
+const stats = { hits: 0, misses: 0, recorded: 0, lastMisses: [] };
+const MAX_REPORTED_MISSES = 10;
+
+/**
+ * Path for messages: relative to the backend when inside it
+ */
+function displayPath(filePath) {
+  const relative = path.relative(BACKEND_ROOT, filePath);
+  return relative && !relative.startsWith('..') ? relative : filePath;
+}
+
+class ReplayMissError extends Error {
+  constructor(request, filePath) {
+    super(
+      `No recording for ${request.method} ${request.url} (expected ${displayPath(filePath)}). ` +
+      'Run once with RECORDING_MODE=record to capture it.'
+    );
+    this.name = 'ReplayMissError';
+    this.code = 'ERR_REPLAY_MISS';
+    this.request = request;
+  }
+}
+
+function getMode() {
+  const mode = (process.env.RECORDING_MODE || 'off').toLowerCase();
+  return MODES.includes(mode) ? mode : 'off';
+}
+
+function isActive() {
+  return getMode() !== 'off';
+}
+
+function getRecordingsDir() {
+  return process.env.RECORDINGS_DIR
+    ? path.resolve(BACKEND_ROOT, process.env.RECORDINGS_DIR)
+    : DEFAULT_RECORDINGS_DIR;
+}
+
+/**
+ * URL with its query merged in, secrets dropped and parameters sorted
+ */
+function canonicalUrl(url, params) {
+  const parsed = new URL(url);
+  Object.entries(params || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) parsed.searchParams.append(name, String(value));
+  });
+
+  const entries = [...parsed.searchParams.entries()]
+    .filter(([name]) => !SECRET_PARAMS.has(name.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(entries).toString();
+  return parsed.toString();
+}
+
+function bodyText(body) {
+  if (body === undefined || body === null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('base64');
+  return JSON.stringify(body);
+}
+
+/**
+ * Where a request's recording lives: <dir>/<host>/<hash>.json
+ */
+function recordingPath(request) {
+  const key = `${request.method} ${request.url}\n${request.body}`;
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 20);
+  const host = new URL(request.url).hostname.replace(/[^\w.-]/g, '_');
+  return path.join(getRecordingsDir(), host, `${hash}.json`);
+}
+
+function readRecording(request) {
+  const filePath = recordingPath(request);
+  try {
+    const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    stats.hits++;
+    return recording.response;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    stats.misses++;
+    stats.lastMisses = [`${request.method} ${request.url}`, ...stats.lastMisses].slice(0, MAX_REPORTED_MISSES);
+    throw new ReplayMissError(request, filePath);
+  }
+}
+
+function writeRecording(request, response) {
+  const filePath = recordingPath(request);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    recorded_at: new Date().toISOString(),
+    request: { method: request.method, url: request.url, body: request.body || undefined },
+    response
+  }, null, 2));
+  stats.recorded++;
+}
+
+/**
+ * Request key parts for an axios config
+ */
+function describeAxiosRequest(config) {
+  const url = config.baseURL && !/^https?:\/\//i.test(config.url)
+    ? new URL(config.url, config.baseURL).toString()
+    : config.url;
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: canonicalUrl(url, config.params),
+    body: bodyText(config.data)
+  };
+}
+
+/**
+ * Settle a replayed axios response the way axios does for a live one
+ */
+function settleAxiosResponse(config, recorded) {
+  const response = {
+    data: recorded.data,
+    status: recorded.status,
+    statusText: recorded.statusText || '',
+    headers: new axios.AxiosHeaders(recorded.headers || {}),
+    config,
+    request: {}
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+function toRecordedAxiosResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: { 'content-type': response.headers?.['content-type'], location: response.headers?.location },
+    data: response.data
+  };
+}
+
+/**
+ * Route the shared axios instance through the recorder
+ */
+function installAxiosAdapter(instance = axios) {
+  const liveAdapter = axios.getAdapter(instance.defaults.adapter);
+
+  instance.defaults.adapter = async config => {
+    const mode = getMode();
+    if (mode === 'off') return liveAdapter(config);
+
+    const request = describeAxiosRequest(config);
+    if (mode === 'replay') {
+      return settleAxiosResponse(config, readRecording(request));
+    }
+
+    try {
+      const response = await liveAdapter(config);
+      writeRecording(request, toRecordedAxiosResponse(response));
+      return response;
+    } catch (error) {
+      // Error statuses (429s, 404s) are part of the behaviour worth replaying
+      if (error.response) writeRecording(request, toRecordedAxiosResponse(error.response));
+      throw error;
+    }
+  };
+}
+
+/**
+ * A fetch with the recorder in front, for clients that take a custom fetch
+ * (HfInference)
+ */
+function createFetch(liveFetch = globalThis.fetch) {
+  return async (url, init = {}) => {
+    const mode = getMode();
+    if (mode === 'off') return liveFetch(url, init);
+
+    const request = {
+      method: (init.method || 'GET').toUpperCase(),
+      url: canonicalUrl(String(url)),
+      body: bodyText(init.body)
+    };
+
+    if (mode === 'replay') {
+      const recorded = readRecording(request);
+      return new Response(recorded.body, { status: recorded.status, headers: recorded.headers });
+    }
+
+    const response = await liveFetch(url, init);
+    const body = await response.text();
+    const recorded = {
+      status: response.status,
+      headers: { 'content-type': response.headers.get('content-type') || 'application/json' },
+      body
+    };
+    writeRecording(request, recorded);
+    return new Response(body, { status: recorded.status, headers: recorded.headers });
+  };
+}
+
+/**
+ * Mode, location and hit/miss counts for /api-status
+ */
+function getStatus() {
+  return {
+    mode: getMode(),
+    dir: displayPath(getRecordingsDir()),
+    hits: stats.hits,
+    misses: stats.misses,
+    recorded: stats.recorded,
+    last_misses: stats.lastMisses
+  };
+}
+
+module.exports = {
+  ReplayMissError,
+  getMode,
+  isActive,
+  installAxiosAdapter,
+  createFetch,
+  getStatus
+};
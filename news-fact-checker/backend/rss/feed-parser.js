@@ -0,0 +1,140 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  removeNSPrefix: false,
+  trimValues: true
+});
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&rsquo;': "'",
+  '&lsquo;': "'",
+  '&rdquo;': '"',
+  '&ldquo;': '"',
+  '&mdash;': '—',
+  '&ndash;': '–',
+  '&hellip;': '…'
+};
+
+/**
+ * Remove markup from feed fields that carry HTML
+ */
+function stripHtml(value) {
+  return String(value || '')
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, entity => {
+      if (HTML_ENTITIES[entity]) return HTML_ENTITIES[entity];
+      const code = entity.match(/^&#(\d+);$/);
+      return code ? String.fromCharCode(Number(code[1])) : ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the text of a node that may be a string, a {#text} object or an array
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return textOf(node[0]);
+  if (typeof node === 'object') return String(node['#text'] ?? '');
+  return String(node);
+}
+
+function asArray(node) {
+  if (!node) return [];
+  return Array.isArray(node) ? node : [node];
+}
+
+function toIsoDate(value) {
+  const text = textOf(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Pick the alternate (or first) href from Atom <link> elements
+ */
+function atomLink(links) {
+  const all = asArray(links);
+  const alternate = all.find(link => typeof link === 'object' && (!link['@_rel'] || link['@_rel'] === 'alternate'));
+  const chosen = alternate || all[0];
+  if (!chosen) return '';
+  return typeof chosen === 'object' ? (chosen['@_href'] || textOf(chosen)) : String(chosen);
+}
+
+function parseRssItems(channel, items, feedUrl) {
+  const publisher = stripHtml(textOf(channel?.title)) || feedUrl;
+
+  return asArray(items).map(item => {
+    const description = stripHtml(textOf(item.description));
+    const content = stripHtml(textOf(item['content:encoded'])) || description;
+    const guid = textOf(item.guid);
+
+    return {
+      title: stripHtml(textOf(item.title)),
+      url: textOf(item.link) || (/^https?:\/\//.test(guid) ? guid : ''),
+      publisher: stripHtml(textOf(item.source)) || publisher,
+      description,
+      publishedAt: toIsoDate(item.pubDate || item['dc:date']),
+      content
+    };
+  });
+}
+
+function parseAtomEntries(feed, feedUrl) {
+  const publisher = stripHtml(textOf(feed.title)) || feedUrl;
+
+  return asArray(feed.entry).map(entry => {
+    const summary = stripHtml(textOf(entry.summary));
+    const content = stripHtml(textOf(entry.content)) || summary;
+
+    return {
+      title: stripHtml(textOf(entry.title)),
+      url: atomLink(entry.link) || textOf(entry.id),
+      publisher: stripHtml(textOf(entry.source?.title)) || publisher,
+      description: summary || content.slice(0, 300),
+      publishedAt: toIsoDate(entry.published || entry.updated),
+      content
+    };
+  });
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document into normalized articles
+ */
+function parseFeed(xml, feedUrl = '') {
+  const parsed = parser.parse(xml);
+
+  let articles;
+  if (parsed.rss) {
+    const channel = parsed.rss.channel || {};
+    articles = parseRssItems(channel, channel.item, feedUrl);
+  } else if (parsed.feed) {
+    articles = parseAtomEntries(parsed.feed, feedUrl);
+  } else if (parsed['rdf:RDF']) {
+    const rdf = parsed['rdf:RDF'];
+    articles = parseRssItems(rdf.channel, rdf.item, feedUrl);
+  } else {
+    throw new Error(`Unrecognized feed format${feedUrl ? ` for ${feedUrl}` : ''}`);
+  }
+
+  return articles.filter(article => article.url && article.title);
+}
+
+module.exports = {
+  parseFeed,
+  stripHtml
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { FullTextIndex } = require('../search-index');
+const { parseFeed } = require('./feed-parser');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logger');
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const DEFAULT_INDEX_PATH = path.join(BACKEND_ROOT, '.cache', 'rss-index.json');
+
+const log = createLogger('rss');
+
+/**
+ * Feed sources from RSS_FEEDS (comma separated URLs or file paths)
+ * and RSS_FEEDS_FILE (one source per line, # comments allowed)
+ */
+function getConfiguredFeeds() {
+  const feeds = (process.env.RSS_FEEDS || '')
+    .split(',')
+    .map(feed => feed.trim())
+    .filter(Boolean);
+
+  if (process.env.RSS_FEEDS_FILE) {
+    const listPath = path.resolve(BACKEND_ROOT, process.env.RSS_FEEDS_FILE);
+    try {
+      fs.readFileSync(listPath, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(line => feeds.push(line));
+    } catch (error) {
+      log.error('Could not read RSS_FEEDS_FILE', { path: listPath, error });
+    }
+  }
+
+  return [...new Set(feeds)];
+}
+
+function getIndexPath() {
+  return process.env.RSS_INDEX_PATH
+    ? path.resolve(BACKEND_ROOT, process.env.RSS_INDEX_PATH)
+    : DEFAULT_INDEX_PATH;
+}
+
+/**
+ * Open the on-disk RSS index
+ */
+function openRssIndex() {
+  return new FullTextIndex(getIndexPath(), { maxDocuments: getConfig().rss.maxDocuments }).load();
+}
+
+/**
+ * Load a feed document from a URL or a local file
+ */
+async function loadFeedSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const response = await axios.get(source, {
+      responseType: 'text',
+      timeout: 8000,
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    });
+    return response.data;
+  }
+
+  const filePath = source.startsWith('file://') ? source.slice('file://'.length) : source;
+  return fs.promises.readFile(path.resolve(BACKEND_ROOT, filePath), 'utf8');
+}
+
+/**
+ * Text that gets indexed for an article
+ */
+function indexableText(article) {
+  return [article.title, article.title, article.description, article.content]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Fetch every feed, add new or changed items to the index and save it.
+ * Returns per-feed stats; a failing feed does not stop the others.
+ */
+async function ingestFeeds(feeds, index) {
+  const stats = [];
+
+  for (const feed of feeds) {
+    try {
+      const xml = await loadFeedSource(feed);
+      const articles = parseFeed(xml, feed);
+      let added = 0;
+      let unchanged = 0;
+
+      articles.forEach(article => {
+        const existing = index.get(article.url);
+        if (existing && existing.publishedAt === article.publishedAt && existing.title === article.title) {
+          unchanged++;
+          return;
+        }
+        index.addDocument(article.url, { ...article, feed }, indexableText(article));
+        added++;
+      });
+
+      stats.push({ feed, items: articles.length, added, unchanged });
+      log.info('Ingested feed', { feed, added, unchanged });
+    } catch (error) {
+      stats.push({ feed, error: error.message });
+      log.error('Failed to ingest feed', { feed, error });
+    }
+  }
+
+  index.save();
+  return stats;
+}
+
+/**
+ * Ingest configured feeds now and then every rss.refreshMinutes (if set)
+ */
+function startFeedRefresh(getIndex) {
+  const minutes = getConfig().rss.refreshMinutes;
+  const feeds = getConfiguredFeeds();
+  if (minutes === 0 || feeds.length === 0) return null;
+
+  const refresh = () => ingestFeeds(feeds, getIndex())
+    .catch(error => log.error('RSS refresh failed', { error }));
+
+  refresh();
+  const timer = setInterval(refresh, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  getConfiguredFeeds,
+  openRssIndex,
+  ingestFeeds,
+  startFeedRefresh
+};
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Manage API clients in API_CLIENTS_PATH (default data/clients.json).
+ *
+ * Usage:
+ *   npm run api-key -- create <id> [--name "..."] [--rate-limit 60] [--daily-quota 500]
+ *   npm run api-key -- rotate <id>
+ *   npm run api-key -- revoke <id>
+ *   npm run api-key -- list
+ *
+ * create and rotate print the key once; only its hash is stored. The running
+ * server picks up changes within a few seconds.
+ */
+require('dotenv').config();
+const auth = require('../auth');
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--(name|rate-limit|daily-quota)$/);
+    if (!match || i + 1 >= args.length) {
+      throw new Error(`Unexpected argument ${args[i]}`);
+    }
+    options[match[1]] = args[++i];
+  }
+  return options;
+}
+
+function positiveInt(value, flag) {
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive integer`);
+  }
+  return number;
+}
+
+function findClient(data, id) {
+  const client = data.clients.find(c => c.id === id);
+  if (!client) throw new Error(`No client "${id}"`);
+  return client;
+}
+
+function main() {
+  const [command, id, ...rest] = process.argv.slice(2);
+  const data = auth.readClientsFile();
+
+  switch (command) {
+    case 'create': {
+      if (!id) throw new Error('Usage: api-key create <id> [--name ...] [--rate-limit n] [--daily-quota n]');
+      if (data.clients.some(c => c.id === id)) throw new Error(`Client "${id}" already exists (use rotate)`);
+      const options = parseOptions(rest);
+      const key = auth.generateKey();
+      data.clients.push({
+        id,
+        name: options.name || id,
+        key_sha256: auth.hashKey(key),
+        rate_limit_per_minute: options['rate-limit'] ? positiveInt(options['rate-limit'], '--rate-limit') : undefined,
+        daily_quota: options['daily-quota'] ? positiveInt(options['daily-quota'], '--daily-quota') : undefined,
+        created_at: new Date().toISOString()
+      });
+      auth.writeClientsFile(data);
+      console.log(`Created client "${id}" in ${auth.getClientsPath()}`);
+      console.log(`API key (shown once): ${key}`);
+      break;
+    }
+    case 'rotate': {
+      const client = findClient(data, id);
+      const key = auth.generateKey();
+      client.key_sha256 = auth.hashKey(key);
+      client.disabled = false;
+      client.rotated_at = new Date().toISOString();
+      auth.writeClientsFile(data);
+      console.log(`New API key for "${id}" (shown once): ${key}`);
+      break;
+    }
+    case 'revoke': {
+      const client = findClient(data, id);
+      client.disabled = true;
+      client.revoked_at = new Date().toISOString();
+      auth.writeClientsFile(data);
+      console.log(`Revoked client "${id}"`);
+      break;
+    }
+    case 'list':
+      if (data.clients.length === 0) {
+        console.log(`No clients in ${auth.getClientsPath()}`);
+      }
+      data.clients.forEach(client => {
+        const limits = `${client.rate_limit_per_minute || 'default'}/min, ${client.daily_quota || 'default'}/day`;
+        console.log(`${client.id}\t${client.disabled ? 'revoked' : 'active'}\t${limits}\t${client.name}`);
+      });
+      break;
+    default:
+      throw new Error('Usage: api-key <create|rotate|revoke|list> [id] [options]');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Evaluate verdict accuracy and claim extraction against labeled datasets.
+ *
+ * Usage:
+ *   npm run evaluate                                   # bundled fixtures in fixtures/eval
+ *   npm run evaluate -- --claims claims.jsonl          # verdicts only
+ *   npm run evaluate -- --articles articles.jsonl      # claim extraction only
+ *   npm run evaluate -- --grid [grid.json]             # also grid-search consensus thresholds
+ *   npm run evaluate:replay                            # NewsAPI searches replayed from fixtures/recordings
+ *
+ * Options:
+ *   --fine             score all eight verdicts instead of supported/refuted/not_enough_info
+ *   --providers <list> evidence providers for claims without evidence (default: rss)
+ *   --output <file>    write the full report, including per-claim results, as JSON
+ *   --verbose          keep the pipeline's own logging
+ *
+ * With RECORDING_MODE=replay a search that has no recording fails the run
+ * instead of quietly falling back to mock sources.
+ *
+ * See evaluation/harness.js for the dataset formats.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(BACKEND_ROOT, 'fixtures', 'eval');
+
+function parseArgs(argv) {
+  const options = { granularity: 'coarse' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--claims': options.claims = next(); break;
+      case '--articles': options.articles = next(); break;
+      case '--providers': options.providers = next(); break;
+      case '--output': options.output = next(); break;
+      case '--fine': options.granularity = 'fine'; break;
+      case '--verbose': options.verbose = true; break;
+      case '--grid':
+        options.grid = true;
+        if (argv[i + 1] && !argv[i + 1].startsWith('--')) options.gridFile = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!options.claims && !options.articles) {
+    options.claims = path.join(FIXTURES_DIR, 'claims.jsonl');
+    options.articles = path.join(FIXTURES_DIR, 'articles.jsonl');
+  }
+  return options;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function formatReport(report, labels, print) {
+  const width = Math.max(...labels.map(label => label.length), 10) + 2;
+  print(`Accuracy ${report.accuracy}  Macro F1 ${report.macro.f1}  Weighted F1 ${report.weighted.f1}  (${report.total} claims)`);
+  print('');
+  print(`${pad('label', width)}${pad('precision', 11)}${pad('recall', 9)}${pad('f1', 9)}support`);
+  labels.forEach(label => {
+    const row = report.labels[label];
+    print(`${pad(label, width)}${pad(row.precision, 11)}${pad(row.recall, 9)}${pad(row.f1, 9)}${row.support}`);
+  });
+
+  print('');
+  print('Confusion matrix (rows: gold, columns: predicted)');
+  const cell = Math.max(...labels.map(label => label.length)) + 2;
+  print(pad('', width) + labels.map(label => pad(label, cell)).join(''));
+  labels.forEach(gold => {
+    print(pad(gold, width) + labels.map(predicted => pad(report.confusion_matrix[gold][predicted], cell)).join(''));
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Claims without their own evidence are searched locally, never via NewsAPI
+  // unless asked for explicitly
+  process.env.EVIDENCE_PROVIDERS = options.providers || 'rss';
+
+  const print = console.log.bind(console);
+  if (!options.verbose) {
+    process.env.LOG_LEVEL = 'silent';
+  }
+
+  const harness = require('../evaluation/harness');
+  const { getActiveScorer } = require('../server');
+  const checkWorthiness = require('../claims/checkworthiness');
+  const recorder = require('../recorder');
+  const { getConfig } = require('../config');
+  const checkWorthinessStatus = checkWorthiness.loadModel();
+  const output = {
+    scorer: getActiveScorer(),
+    check_worthiness: checkWorthinessStatus,
+    evidence_providers: getConfig().search.providers
+  };
+  print(`NLI scorer: ${output.scorer}`);
+  print(`Check-worthiness: ${checkWorthinessStatus.loaded ? `trained model (${checkWorthinessStatus.path})` : 'heuristic'}`);
+  if (recorder.isActive()) {
+    print(`HTTP recording: ${recorder.getMode()} (${recorder.getStatus().dir})`);
+  }
+
+  if (options.claims) {
+    const records = harness.loadClaimDataset(options.claims, options.granularity);
+    print(`\n== Verdicts: ${options.claims} ==`);
+    const evaluation = await harness.evaluateVerdicts(records, {
+      granularity: options.granularity,
+      onProgress: (done, total) => {
+        if (process.stderr.isTTY) process.stderr.write(`\rVerified ${done}/${total} claims${done === total ? '\n' : ''}`);
+      }
+    });
+
+    const fallback = evaluation.predictions.filter(p => p.used_fallback_sources).length;
+    if (fallback > 0) {
+      print(`Warning: ${fallback} claim(s) had no evidence and fell back to mock sources`);
+    }
+    formatReport(evaluation.report, harness.getLabels(options.granularity), print);
+    output.verdicts = {
+      dataset: options.claims,
+      granularity: evaluation.granularity,
+      ...evaluation.report,
+      predictions: evaluation.predictions
+    };
+
+    if (options.grid) {
+      const grid = options.gridFile
+        ? JSON.parse(fs.readFileSync(options.gridFile, 'utf8'))
+        : harness.DEFAULT_GRID;
+      const search = harness.gridSearch(evaluation, grid);
+      print(`\n== Threshold grid search (${search.combinations} combinations) ==`);
+      print(`Current thresholds: macro F1 ${search.current.macro_f1}, accuracy ${search.current.accuracy}`);
+      search.best.forEach((candidate, i) => {
+        const changed = Object.entries(candidate.thresholds)
+          .filter(([key, value]) => value !== search.current.thresholds[key])
+          .map(([key, value]) => `${key}=${value}`)
+          .join(' ');
+        print(`${i + 1}. macro F1 ${candidate.macro_f1}, accuracy ${candidate.accuracy}  ${changed || '(current thresholds)'}`);
+      });
+      output.grid_search = search;
+    }
+  }
+
+  if (options.articles) {
+    const articles = harness.loadArticleDataset(options.articles);
+    const extraction = harness.evaluateExtraction(articles);
+    print(`\n== Claim extraction: ${options.articles} ==`);
+    print(`Recall ${extraction.recall}  Precision ${extraction.precision}  F1 ${extraction.f1}  (${extraction.matched}/${extraction.gold} annotated claims found, ${extraction.extracted} extracted)`);
+    extraction.articles.forEach(article => {
+      print(`  ${article.id}: recall ${article.recall} (${article.matches.length}/${article.gold})`);
+      article.missed.forEach(claim => print(`    missed: ${claim}`));
+    });
+    output.extraction = { dataset: options.articles, ...extraction };
+  }
+
+  if (recorder.isActive()) {
+    output.recording = recorder.getStatus();
+  }
+  const replayMisses = recorder.getMode() === 'replay' ? recorder.getStatus().misses : 0;
+  if (replayMisses > 0) {
+    // Providers log and swallow failed searches, so the misses are reported here
+    print(`\nReplay failed: ${replayMisses} request(s) had no recording (ERR_REPLAY_MISS)`);
+    output.recording.last_misses.forEach(request => print(`  missing: ${request}`));
+    print('Run once with RECORDING_MODE=record to capture them');
+    process.exitCode = 1;
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(output, null, 2));
+    print(`\nFull report written to ${options.output}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Import published fact-checks (schema.org ClaimReview JSON-LD) into the
+ * local fact-check archive. Re-running adds new reviews and replaces changed
+ * ones; unchanged reviews are left as they are.
+ *
+ * Usage:
+ *   npm run import-factchecks                      # sources from FACT_CHECK_SOURCES
+ *   npm run import-factchecks -- <url|file> ...    # explicit JSON, JSONL or HTML sources
+ */
+require('dotenv').config();
+// Readable progress lines unless LOG_FORMAT says otherwise
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+const axios = require('axios');
+const recorder = require('../recorder');
+const { getConfiguredSources, openFactCheckArchive, importFactChecks } = require('../factchecks/archive');
+
+recorder.installAxiosAdapter(axios);
+
+async function main() {
+  const args = process.argv.slice(2);
+  const sources = args.length > 0 ? args : getConfiguredSources();
+
+  if (sources.length === 0) {
+    console.error('No sources given. Pass ClaimReview files/URLs or set FACT_CHECK_SOURCES in .env');
+    process.exit(1);
+  }
+
+  const archive = openFactCheckArchive();
+  const stats = await importFactChecks(sources, archive);
+
+  console.log(`Archive now holds ${archive.size} fact-checks at ${archive.filePath}`);
+  if (stats.some(s => s.error)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Fact-check import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Ingest RSS/Atom feeds into the local full-text index.
+ *
+ * Usage:
+ *   npm run ingest-feeds                      # feeds from RSS_FEEDS / RSS_FEEDS_FILE
+ *   npm run ingest-feeds -- <url|file> ...    # explicit feeds
+ */
+require('dotenv').config();
+// Readable progress lines unless LOG_FORMAT says otherwise
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+const axios = require('axios');
+const recorder = require('../recorder');
+const { getConfiguredFeeds, openRssIndex, ingestFeeds } = require('../rss/ingest');
+
+recorder.installAxiosAdapter(axios);
+
+async function main() {
+  const args = process.argv.slice(2);
+  const feeds = args.length > 0 ? args : getConfiguredFeeds();
+
+  if (feeds.length === 0) {
+    console.error('No feeds given. Pass feed URLs/files or set RSS_FEEDS in .env');
+    process.exit(1);
+  }
+
+  const index = openRssIndex();
+  const stats = await ingestFeeds(feeds, index);
+
+  console.log(`Index now holds ${index.size} articles at ${index.filePath}`);
+  if (stats.some(s => s.error)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Feed ingestion failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Train the check-worthiness classifier on labeled sentences and save it
+ * where the server loads it at startup (CHECKWORTHINESS_MODEL_PATH, default
+ * models/checkworthiness.json).
+ *
+ * Usage:
+ *   npm run train-checkworthiness                          # bundled fixtures/checkworthiness/sentences.jsonl
+ *   npm run train-checkworthiness -- <file.jsonl> ...      # your own labeled sentences
+ *
+ * Options:
+ *   --algorithm <bayes|logistic>  classifier to train (default: bayes)
+ *   --min-count <n>               drop tokens seen in fewer sentences (default: 2)
+ *   --holdout <fraction>          share of sentences held out to report accuracy first (default: 0.2, 0 to skip)
+ *   --output <file>               where to save the model
+ *
+ * Files are JSONL, one sentence per line:
+ *   { "text": "...", "label": "check_worthy" | "not_check_worthy" }
+ * (true/false and 1/0 work as labels too)
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const checkWorthiness = require('../claims/checkworthiness');
+const { classificationReport } = require('../evaluation/metrics');
+const { getConfig } = require('../config');
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const DEFAULT_DATASET = path.join(BACKEND_ROOT, 'fixtures', 'checkworthiness', 'sentences.jsonl');
+const LABELS = [checkWorthiness.POSITIVE, checkWorthiness.NEGATIVE];
+
+function parseArgs(argv) {
+  const options = { files: [], algorithm: 'bayes', minCount: 2, holdout: 0.2, output: checkWorthiness.MODEL_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--algorithm': options.algorithm = next(); break;
+      case '--min-count': options.minCount = parseInt(next(), 10); break;
+      case '--holdout': options.holdout = parseFloat(next()); break;
+      case '--output': options.output = path.resolve(next()); break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  if (!checkWorthiness.ALGORITHMS.includes(options.algorithm)) {
+    throw new Error(`--algorithm must be one of ${checkWorthiness.ALGORITHMS.join(', ')}`);
+  }
+  if (!Number.isInteger(options.minCount) || options.minCount < 1) {
+    throw new Error('--min-count must be a positive integer');
+  }
+  if (!(options.holdout >= 0 && options.holdout < 1)) {
+    throw new Error('--holdout must be at least 0 and below 1');
+  }
+  if (options.files.length === 0) options.files.push(DEFAULT_DATASET);
+  return options;
+}
+
+function readExamples(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, i) => ({ line: line.trim(), lineNumber: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, lineNumber }) => {
+      try {
+        return checkWorthiness.normalizeExample(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Same sentence, same side of the split on every run
+ */
+function isHeldOut(text, fraction) {
+  const bucket = crypto.createHash('sha1').update(text).digest().readUInt32BE(0) / 0x100000000;
+  return bucket < fraction;
+}
+
+function reportHoldout(train, test, options, print) {
+  const { minCheckWorthiness, minClaimScore } = getConfig().extraction;
+  const restored = checkWorthiness.restoreModel(checkWorthiness.trainModel(train, options));
+  const gold = test.map(example => example.label);
+  const toLabel = (score, threshold) => (score >= threshold ? checkWorthiness.POSITIVE : checkWorthiness.NEGATIVE);
+
+  const model = classificationReport(gold, test.map(({ text }) =>
+    toLabel(checkWorthiness.predictProbability(restored, text) ?? 0, minCheckWorthiness)), LABELS);
+  const heuristic = classificationReport(gold, test.map(({ text }) =>
+    toLabel(checkWorthiness.scoreFactualClaim(text), minClaimScore)), LABELS);
+
+  print(`Holdout (${test.length} sentences, trained on ${train.length}):`);
+  print(`  model      accuracy ${model.accuracy}  F1 ${model.labels[checkWorthiness.POSITIVE].f1}  (probability >= ${minCheckWorthiness})`);
+  print(`  heuristic  accuracy ${heuristic.accuracy}  F1 ${heuristic.labels[checkWorthiness.POSITIVE].f1}  (score > ${minClaimScore})`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const print = console.log.bind(console);
+  const examples = options.files.flatMap(readExamples);
+  print(`Read ${examples.length} labeled sentences from ${options.files.join(', ')}`);
+
+  if (options.holdout > 0) {
+    const test = examples.filter(example => isHeldOut(example.text, options.holdout));
+    const train = examples.filter(example => !isHeldOut(example.text, options.holdout));
+    if (test.length > 0 && train.length > 0) {
+      reportHoldout(train, test, options, print);
+    } else {
+      print('Too few sentences to hold any out; skipping the holdout report');
+    }
+  }
+
+  // The saved model learns from every sentence
+  const model = checkWorthiness.trainModel(examples, options);
+  fs.mkdirSync(path.dirname(options.output), { recursive: true });
+  fs.writeFileSync(options.output, JSON.stringify(model));
+  print(`Saved ${model.algorithm} model (${model.features} features) to ${options.output}`);
+  print('Restart the server to use it');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Training failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const natural = require('natural');
+const { createLogger } = require('./logger');
+
+const log = createLogger('search-index');
+
+// BM25 tuning parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const INDEX_VERSION = 1;
+
+/**
+ * Lowercase, drop stopwords and stem
+ */
+function tokenize(text) {
+  return natural.PorterStemmer.tokenizeAndStem(String(text || ''));
+}
+
+/**
+ * Count term occurrences
+ */
+function termFrequencies(tokens) {
+  const counts = {};
+  tokens.forEach(token => {
+    counts[token] = (counts[token] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Persistent BM25 full-text index.
+ *
+ * Documents are stored with their term frequencies so postings can be rebuilt
+ * on load; the on-disk file is plain JSON and is rewritten atomically on save.
+ */
+class FullTextIndex {
+  constructor(filePath, { maxDocuments = 5000 } = {}) {
+    this.filePath = filePath;
+    this.maxDocuments = maxDocuments;
+    this.docs = new Map();     // id -> { doc, terms, length, addedAt }
+    this.postings = new Map(); // term -> Map(id -> tf)
+    this.totalLength = 0;
+    this.loadedMtime = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Load the index from disk if the file exists
+   */
+  load() {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (stored.version !== INDEX_VERSION) {
+        log.warn('Ignoring search index with unsupported version', { path: this.filePath, version: stored.version });
+        return this;
+      }
+      Object.entries(stored.docs || {}).forEach(([id, entry]) => this._insert(id, entry));
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      log.error('Failed to load search index', { path: this.filePath, error });
+    }
+
+    return this;
+  }
+
+  /**
+   * Reload from disk when another process has rewritten the file
+   */
+  reloadIfChanged() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return false;
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    if (mtime === this.loadedMtime) return false;
+    this.load();
+    return true;
+  }
+
+  /**
+   * Write the index to disk (temp file + rename)
+   */
+  save() {
+    if (!this.filePath) return;
+
+    const docs = {};
+    this.docs.forEach((entry, id) => {
+      docs[id] = entry;
+    });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: INDEX_VERSION, docs }));
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  get(id) {
+    return this.docs.get(id)?.doc;
+  }
+
+  /**
+   * Add or replace a document. `text` is what gets indexed, `doc` is what search returns.
+   */
+  addDocument(id, doc, text) {
+    if (this.docs.has(id)) {
+      this.removeDocument(id);
+    }
+
+    const tokens = tokenize(text);
+    this._insert(id, {
+      doc,
+      terms: termFrequencies(tokens),
+      length: tokens.length,
+      addedAt: Date.now()
+    });
+    this._evictOverflow();
+  }
+
+  removeDocument(id) {
+    const entry = this.docs.get(id);
+    if (!entry) return false;
+
+    Object.keys(entry.terms).forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+    this.totalLength -= entry.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  /**
+   * Rank documents against a free-text query with BM25
+   */
+  search(query, limit = 10) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+
+    queryTerms.forEach(term => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const idf = Math.log(1 + (this.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+      posting.forEach((tf, id) => {
+        const length = this.docs.get(id).length;
+        const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({ id, score, doc: this.docs.get(id).doc }));
+  }
+
+  _insert(id, entry) {
+    this.docs.set(id, entry);
+    this.totalLength += entry.length;
+    Object.entries(entry.terms).forEach(([term, tf]) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    });
+  }
+
+  /**
+   * Drop the oldest documents (by publish date, then insertion time) above maxDocuments
+   */
+  _evictOverflow() {
+    if (!this.maxDocuments || this.docs.size <= this.maxDocuments) return;
+
+    const age = entry => new Date(entry.doc?.publishedAt || 0).getTime() || entry.addedAt;
+    const oldestFirst = Array.from(this.docs.entries()).sort((a, b) => age(a[1]) - age(b[1]));
+    oldestFirst
+      .slice(0, this.docs.size - this.maxDocuments)
+      .forEach(([id]) => this.removeDocument(id));
+  }
+}
+
+module.exports = {
+  FullTextIndex,
+  tokenize
+};
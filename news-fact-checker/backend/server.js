@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
@@ -5,6 +6,56 @@ const { HfInference } = require('@huggingface/inference');
 const natural = require('natural');
 const nlp = require('compromise');
 require('dotenv').config();
+const { createLogger, runWithContext } = require('./logger');
+const { getConfig, withRequestOptions, describeConfig, ConfigError } = require('./config');
+
+// Validated settings (see config.js). A bad value stops the server here,
+// before any module starts using it.
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError) || require.main !== module) throw error;
+  createLogger('config').error(error.message, { problems: error.problems });
+  process.exit(1);
+}
+
+const evidenceProviders = require('./providers');
+const { getMockSources } = require('./providers/mock');
+const rssProvider = require('./providers/rss');
+const { startFeedRefresh } = require('./rss/ingest');
+const { enrichSourcesWithFullText, fetchArticleFromUrl, ArticleFetchError } = require('./article-fetcher');
+const { UnsafeUrlError, assertSafeUrl } = require('./url-safety');
+const { PassageIndex } = require('./passages');
+const localNli = require('./nli/local-model');
+const { getCache } = require('./cache');
+const { JobStore, isTerminalEvent } = require('./jobs');
+const { BatchStore, normalizeBatchItems, claimRows, CSV_COLUMNS } = require('./batches');
+const exportFormats = require('./export-formats');
+const { buildClaimReviews } = require('./claim-review');
+const factChecks = require('./factchecks/matcher');
+const { startArchiveRefresh } = require('./factchecks/archive');
+const { decomposeClaim } = require('./claims/decompose');
+const { resolveCoreferences } = require('./claims/coreference');
+const { scoreSubjectivity, summarizeSubjectivity } = require('./claims/subjectivity');
+const checkWorthiness = require('./claims/checkworthiness');
+const credibility = require('./credibility');
+const recorder = require('./recorder');
+const auth = require('./auth');
+const metrics = require('./metrics');
+const {
+  extractQuantities,
+  compareQuantities,
+  adjustScoresForQuantities,
+  summarizeQuantityChecks
+} = require('./verifiers/quantities');
+const {
+  extractTimeFrame,
+  checkEvidencePeriod,
+  summarizeTemporalChecks,
+  capStaleVerdict
+} = require('./verifiers/temporal');
+const { findQuote, quoteSearchQuery, checkQuote, quoteVerdict } = require('./verifiers/quotes');
 
 // Configure axios with connection pooling
 const { Agent } = require('https');
@@ -15,72 +66,231 @@ const httpsAgent = new Agent({
 });
 
 axios.defaults.httpsAgent = httpsAgent;
-axios.defaults.timeout = 8000;
+axios.defaults.timeout = config.server.httpTimeoutMs;
+
+// RECORDING_MODE=record|replay captures or serves outgoing HTTP (see recorder.js)
+recorder.installAxiosAdapter(axios);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+const log = createLogger('analysis');
+const httpLog = createLogger('http');
 
 // Initialize Hugging Face client with timeout configuration
-const hf = new HfInference(process.env.HF_TOKEN);
+const hf = new HfInference(process.env.HF_TOKEN, { fetch: recorder.createFetch() });
+
+// Pinned so requests don't depend on the Hub's current default for the task
+const HF_ZERO_SHOT_MODEL = config.nli.hfModel;
+
+// Persistent cache for NLI, search and page-type results (see cache.js)
+const cache = getCache();
+
+// Background analysis jobs (see jobs.js)
+const jobs = new JobStore();
 
-// Performance optimizations
-const NLI_CACHE = new Map();
-const API_CACHE = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-const MAX_CACHE_SIZE = 1000;
+// Batch analyses of many URLs or texts (see batches.js)
+const batches = new BatchStore();
+const SSE_RETRY_MS = 2000; // Client reconnect delay advertised on job event streams
+const SSE_HEARTBEAT_MS = 15000;
 
-// Batch processing configuration
-const MAX_CONCURRENT_NLI = 3;
-const MAX_CONCURRENT_API = 2;
+// NLI backend: 'huggingface' (Inference API), 'local' (on-device model) or 'heuristic'
+const NLI_BACKEND = config.nli.backend || (process.env.HF_TOKEN ? 'huggingface' : 'heuristic');
 
 // Check if HF token is configured
-if (!process.env.HF_TOKEN) {
-  console.warn('WARNING: HF_TOKEN not configured. NLI will use fallback heuristics.');
+if (NLI_BACKEND === 'huggingface' && !process.env.HF_TOKEN) {
+  log.warn('HF_TOKEN not configured, NLI will use fallback heuristics');
+}
+
+/**
+ * Scorer currently serving NLI requests: 'huggingface', 'local' or 'fallback'
+ */
+function getActiveScorer() {
+  if (NLI_BACKEND === 'local') {
+    return localNli.isAvailable() ? 'local' : 'fallback';
+  }
+  if (NLI_BACKEND === 'huggingface' && process.env.HF_TOKEN) {
+    return 'huggingface';
+  }
+  return 'fallback';
 }
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+const MAX_BODY_SIZE = config.server.maxBodySize;
+
+// Routes polled by monitoring; their requests are only logged at debug level
+const QUIET_ROUTES = new Set(['/health', '/metrics']);
+
+// Request ids: taken from X-Request-ID when the caller sends a sane one,
+// echoed back, and attached to every log line written for the request
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Route patterns, not raw paths, so job ids don't become label values
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+    const fields = {
+      request_id: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      client: req.client?.id
+    };
+    if (QUIET_ROUTES.has(route)) {
+      httpLog.debug('Request completed', fields);
+    } else {
+      httpLog.info('Request completed', fields);
+    }
+  });
+
+  runWithContext({ request_id: req.id }, next);
+});
+app.use(auth.checkOrigin);
+app.use(cors({
+  origin: true, // checkOrigin has already rejected origins outside ALLOWED_ORIGINS
+  exposedHeaders: ['X-Request-ID', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After']
+}));
+app.use(express.json({ limit: MAX_BODY_SIZE }));
+// Body parsing finishes in a stream callback outside the request's log
+// context, so restore it for the route handlers
+app.use((req, res, next) => runWithContext({ request_id: req.id }, next));
+
+// Every API route needs a known client (see auth.js); routes that start an
+// analysis also count against the client's daily quota, charged only once
+// the request has been validated (see validateAnalysisRequest)
+const requireClient = [auth.authenticate, auth.rateLimit];
 
 // Configuration
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
-const NEWS_API_KEY_1 = process.env.NEWS_API_KEY_1; // Backup API key
-const NEWS_SEARCH_URL = 'https://newsapi.org/v2/everything';
-
-// Track which API key to use and rate limit status
-let currentApiKeyIndex = 0;
-const apiKeys = [NEWS_API_KEY, NEWS_API_KEY_1].filter(Boolean); // Filter out undefined keys
-let rateLimitedKeys = new Set(); // Track which keys are rate limited
 
 // Enhanced Helper Functions
 
 /**
- * Extract factual claims using improved heuristics and NLP
+ * Run a pipeline stage, recording its latency in factchecker_stage_duration_seconds
+ */
+async function timeStage(stage, fn) {
+  const endTimer = metrics.stageDuration.startTimer({ stage });
+  try {
+    return await fn();
+  } finally {
+    endTimer();
+  }
+}
+
+/**
+ * Extract up to `k` factual claims, ranked by check-worthiness (the trained
+ * model's probability when one is loaded, else the hand-tuned score).
+ * `settings` is the config, possibly with request options applied.
  */
-function extractFactualClaims(text, k = 10) {
+function extractFactualClaims(text, k = config.extraction.maxClaims, settings = config) {
+  return analyzeSentences(text, k, settings).claims;
+}
+
+/**
+ * Score every sentence of the page for subjectivity and extract up to `k`
+ * claims. Sentences scoring at or above the subjectivity threshold are
+ * opinion: left out in 'filter' mode, kept with `subjectivity.flagged` in
+ * 'flag' mode. Returns { claims, subjectivity } with the page-level summary.
+ */
+function analyzeSentences(text, k = config.extraction.maxClaims, settings = config) {
+  const endTimer = metrics.stageDuration.startTimer({ stage: 'extraction' });
+  const {
+    maxTextChars, minSentenceLength, maxSentenceLength, minClaimScore, minCheckWorthiness, corefContextSentences,
+    subjectivityThreshold, subjectivityMode, checkWorthinessModel
+  } = settings.extraction;
+  const findSentenceQuote = sentence => (settings.quotes.enabled ? findQuote(sentence, settings.quotes) : null);
+  
   // Pre-filter text to reduce processing overhead
-  const cleanedText = text.slice(0, 10000); // Limit text length
+  const cleanedText = text.slice(0, maxTextChars);
   const doc = nlp(cleanedText);
   const sentences = doc.sentences().out('array');
   
   // Enhanced filtering and scoring with better non-relevant content detection
-  const candidates = sentences
-    .filter(s => s.length >= 40 && s.length <= 400) // Slightly more lenient length
-    .filter(s => !isUIElement(s))
-    .filter(s => !isNavigationContent(s))
-    .filter(s => !isAdvertisingContent(s))
-    .filter(s => !isOpinion(s))
-    .filter(s => !isMetadata(s))
-    .map(sentence => ({
-      text: cleanSentence(sentence),
-      score: scoreFactualClaim(sentence),
-      entities: extractEntities(sentence)
-    }))
-    .filter(item => item.score > 0.4) // Lower threshold to get more claims
+  const contentSentences = sentences
+    .map((sentence, index) => ({ sentence, index }))
+    .filter(({ sentence: s }) => s.length >= minSentenceLength && s.length <= maxSentenceLength)
+    .filter(({ sentence: s }) => !isUIElement(s))
+    .filter(({ sentence: s }) => !isNavigationContent(s))
+    .filter(({ sentence: s }) => !isAdvertisingContent(s))
+    .filter(({ sentence: s }) => !isMetadata(s))
+    .map(({ sentence, index }) => {
+      const { score, cues } = scoreSubjectivity(sentence);
+      return { sentence, index, subjectivity: { score, cues, flagged: score >= subjectivityThreshold } };
+    });
+  
+  const candidates = contentSentences
+    // What someone said is checkable even when the quoted words are opinion
+    .map(item => ({ ...item, quote: findSentenceQuote(item.sentence) }))
+    .filter(({ quote, subjectivity }) => quote || !subjectivity.flagged || subjectivityMode === 'flag')
+    .map(({ sentence, index, quote, subjectivity }) => {
+      const worthiness = checkWorthiness.scoreCheckWorthiness(sentence, { useModel: checkWorthinessModel });
+      return {
+        text: cleanSentence(sentence),
+        score: quote ? scoreQuoteClaim(worthiness, quote) : worthiness.score,
+        scoredBy: worthiness.method,
+        sentenceIndex: index,
+        subjectivity
+      };
+    })
+    // The model's probability and the hand-tuned score have their own thresholds
+    .filter(item => (item.scoredBy === 'model' ? item.score >= minCheckWorthiness : item.score > minClaimScore))
     .sort((a, b) => b.score - a.score)
-    .slice(0, Math.min(k, 15)); // Allow up to 15 claims max
-    
-  return candidates;
+    .slice(0, k);
+  
+  candidates.forEach(candidate => {
+    const context = sentences
+      .slice(Math.max(0, candidate.sentenceIndex - corefContextSentences), candidate.sentenceIndex)
+      .map(cleanSentence);
+    prepareClaim(candidate, context, settings);
+  });
+  
+  endTimer();
+  return {
+    claims: candidates,
+    subjectivity: summarizeSubjectivity(contentSentences.map(item => item.subjectivity), subjectivityThreshold)
+  };
+}
+
+/**
+ * Fill in what verification needs for a claim `{ text, score }`: the
+ * self-contained rewrite, entities, atomic sub-claims and, for a direct
+ * quote, the quoted words and speaker
+ */
+function prepareClaim(claim, contextSentences = [], settings = config) {
+  // Rewrite pronouns and "the agency"-style references from the preceding
+  // text; `text` stays the original span for highlighting
+  const { text: resolvedText, replacements } = resolveCoreferences(claim.text, contextSentences);
+  claim.resolvedText = resolvedText;
+  claim.coreferences = replacements;
+  claim.entities = extractEntities(resolvedText);
+  claim.timeFrame = extractTimeFrame(resolvedText, claim.entities.dates);
+  
+  // "...," she said: the speaker comes from the resolved text
+  const quote = settings.quotes.enabled ? findQuote(claim.text, settings.quotes) : null;
+  claim.quote = quote && !quote.speaker
+    ? { ...quote, speaker: findQuote(resolvedText, settings.quotes)?.speaker || null }
+    : quote;
+  
+  // Compound sentences are verified per atomic sub-claim; a part that names
+  // no period of its own is about the sentence's
+  const parts = decomposeClaim(resolvedText);
+  claim.subClaims = parts.length > 1
+    ? parts.map(text => {
+      const entities = extractEntities(text);
+      return { text, entities, timeFrame: extractTimeFrame(text, entities.dates) || claim.timeFrame };
+    })
+    : [];
+  
+  return claim;
 }
 
 /**
@@ -95,76 +305,21 @@ function cleanSentence(sentence) {
 }
 
 /**
- * Check if sentence is likely opinion vs fact
+ * Score a sentence quoting someone from its check-worthiness ({ score,
+ * method }). Whether the quote is accurate can be checked even when its
+ * words are opinion, so it scores as an attributed claim, higher still with
+ * a named speaker; a model probability is pulled toward 1 the same way.
  */
-function isOpinion(sentence) {
-  const opinionMarkers = [
-    'believe', 'think', 'feel', 'opinion', 'seems', 'appears',
-    'might', 'could', 'should', 'ought', 'probably', 'possibly',
-    'arguably', 'supposedly', 'allegedly', 'reportedly'
-  ];
-  
-  const lowerSentence = sentence.toLowerCase();
-  const opinionScore = opinionMarkers.reduce((score, marker) => {
-    return score + (lowerSentence.includes(marker) ? 1 : 0);
-  }, 0);
-  
-  return opinionScore >= 2;
+function scoreQuoteClaim({ score, method }, quote) {
+  if (method === 'model') return 1 - (1 - score) * (quote.speaker ? 0.3 : 0.5);
+  return score + (quote.speaker ? 2.0 : 1.5);
 }
 
 /**
- * Enhanced claim scoring with more sophisticated heuristics
+ * Self-contained claim text (references resolved) used for search and NLI
  */
-function scoreFactualClaim(sentence) {
-  let score = 0;
-  const lowerSentence = sentence.toLowerCase();
-  
-  // Strong factual indicators
-  // Statistics and numbers
-  if (/\b\d+(\.\d+)?%/.test(sentence)) score += 2.0; // Percentages
-  if (/\$[\d,]+(\.\d+)?[BMK]?/.test(sentence)) score += 1.8; // Currency
-  if (/\b\d{1,3}(,\d{3})+/.test(sentence)) score += 1.5; // Large numbers
-  
-  // Temporal specificity
-  if (/\b(20\d{2}|19\d{2})\b/.test(sentence)) score += 1.5; // Years
-  if (/\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}/i.test(sentence)) score += 1.8;
-  
-  // Attribution and sources
-  const attributionPatterns = [
-    /according to [\w\s]+/i,
-    /\bstudy\s+(by|from|conducted)/i,
-    /\bresearch(ers?)?\s+(show|found|indicate)/i,
-    /\breport(s|ed)?\s+(by|from|that)/i,
-    /\bsurvey\s+(of|by|shows)/i,
-    /\bdata\s+(from|shows|indicates)/i
-  ];
-  
-  attributionPatterns.forEach(pattern => {
-    if (pattern.test(sentence)) score += 1.5;
-  });
-  
-  // Comparative claims
-  if (/\b(more|less|fewer|greater|higher|lower)\s+than\b/i.test(sentence)) score += 1.2;
-  if (/\b(increased?|decreased?|rose|fell|jumped|dropped)\s+by?\s+\d+/i.test(sentence)) score += 1.5;
-  
-  // Named entities (proper nouns)
-  const properNouns = sentence.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g) || [];
-  score += Math.min(properNouns.length * 0.3, 1.5);
-  
-  // Causal claims
-  if (/\b(caused?|leads?\s+to|results?\s+in|because\s+of)\b/i.test(sentence)) score += 1.0;
-  
-  // Length and complexity factor
-  const wordCount = sentence.split(/\s+/).length;
-  if (wordCount >= 15 && wordCount <= 40) score += 0.5;
-  
-  // Penalize vague language
-  const vagueTerms = ['some', 'many', 'several', 'various', 'certain'];
-  vagueTerms.forEach(term => {
-    if (lowerSentence.includes(term)) score -= 0.3;
-  });
-  
-  return Math.max(score, 0);
+function getClaimQueryText(claim) {
+  return claim.resolvedText || claim.text;
 }
 
 /**
@@ -176,7 +331,7 @@ function extractEntities(sentence) {
     people: doc.people().out('array'),
     places: doc.places().out('array'),
     organizations: doc.organizations().out('array'),
-    dates: doc.match('#Date').out('array'),
+    dates: doc.match('#Date+').out('array'),
     values: doc.values().out('array')
   };
   
@@ -200,8 +355,14 @@ function buildSearchQueries(claim, entities) {
   // Filter out generic or UI-related text
   const skipTerms = ['realtime', 'fact', 'check', 'analyzing', 'page', 'content', 'click', 'here'];
   
+  // Quotes: the quoted words as an exact phrase with the speaker
+  if (claim.quote) {
+    queries.push(quoteSearchQuery(claim.quote));
+  }
+  
   // Primary query: key entities + numbers
-  const numbers = claim.text.match(/\d+\.?\d*%?/g) || [];
+  const claimText = getClaimQueryText(claim);
+  const numbers = claimText.match(/\d+\.?\d*%?/g) || [];
   const primaryTerms = [
     ...entities.people.slice(0, 2),
     ...entities.organizations.slice(0, 2),
@@ -216,7 +377,7 @@ function buildSearchQueries(claim, entities) {
   }
   
   // Secondary query: action verbs + objects
-  const doc = nlp(claim.text);
+  const doc = nlp(claimText);
   const verbs = doc.verbs().out('array').slice(0, 2);
   const nouns = doc.nouns().out('array').slice(0, 3).filter(noun => 
     noun.length > 3 && !skipTerms.some(skip => noun.toLowerCase().includes(skip.toLowerCase()))
@@ -227,7 +388,7 @@ function buildSearchQueries(claim, entities) {
   }
   
   // Fallback: simplified claim (avoid generic terms)
-  const simplifiedClaim = claim.text
+  const simplifiedClaim = claimText
     .replace(/[^\w\s%$]/g, '')
     .split(' ')
     .filter(word => word.length > 3)
@@ -241,190 +402,212 @@ function buildSearchQueries(claim, entities) {
   
   // If no good queries, return a single generic fallback
   if (queries.length === 0) {
-    console.log('No specific search terms found, using generic fallback');
+    log.debug('No specific search terms found, using generic fallback query', { claim: claimText.slice(0, 100) });
     queries.push('news recent developments');
   }
   
-  return queries.filter(q => q.length > 0).slice(0, 3);
-}
-
-/**
- * Get the next available API key that isn't rate limited
- */
-function getAvailableApiKey() {
-  if (apiKeys.length === 0) {
-    return null;
-  }
-  
-  // If all keys are rate limited, reset the tracking (they might have recovered)
-  if (rateLimitedKeys.size === apiKeys.length) {
-    console.log('All API keys were rate limited, resetting status...');
-    rateLimitedKeys.clear();
-  }
-  
-  // Find next available key
-  for (let i = 0; i < apiKeys.length; i++) {
-    const keyIndex = (currentApiKeyIndex + i) % apiKeys.length;
-    const key = apiKeys[keyIndex];
-    
-    if (!rateLimitedKeys.has(key)) {
-      currentApiKeyIndex = keyIndex;
-      return key;
-    }
-  }
-  
-  // Fallback to first key if somehow no keys are available
-  return apiKeys[0];
-}
-
-/**
- * Mark an API key as rate limited
- */
-function markApiKeyRateLimited(apiKey) {
-  rateLimitedKeys.add(apiKey);
-  console.log(`API key ending in ...${apiKey.slice(-4)} marked as rate limited. Available keys: ${apiKeys.length - rateLimitedKeys.size}`);
-  
-  // Switch to next available key
-  currentApiKeyIndex = (currentApiKeyIndex + 1) % apiKeys.length;
+  return queries.filter(q => q.length > 0).slice(0, config.search.queriesPerClaim);
 }
 
 /**
- * Enhanced news search with caching and parallel processing
+ * Enhanced news search across all enabled evidence providers with caching
  */
 async function searchNewsEnhanced(queries, n = 10) {
+  const activeProviders = evidenceProviders.getEnabledProviders();
+  const providerNames = activeProviders.map(p => p.name);
+
   // Check cache first
-  const cacheKey = queries.sort().join('|');
-  if (API_CACHE.has(cacheKey)) {
-    const cached = API_CACHE.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_TTL) {
-      console.log('Using cached API results');
-      return cached.result;
-    }
-    API_CACHE.delete(cacheKey);
+  const cacheKey = `${providerNames.join(',')}::${n}::${[...queries].sort().join('|')}`;
+  const cached = cache.get('search', cacheKey);
+  if (cached !== undefined) {
+    log.debug('Using cached search results', { queries });
+    return credibility.annotateSources(cached);
   }
-  if (apiKeys.length === 0) {
-    console.log('No NEWS_API_KEY provided, returning mock sources');
-    return getMockSources();
+  if (activeProviders.length === 0) {
+    log.warn('No evidence providers configured, returning mock sources');
+    metrics.fallbackSources.inc();
+    return credibility.annotateSources(getFallbackSources(n));
   }
   
   const allArticles = new Map(); // Use Map to deduplicate by URL
   const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const perQueryLimit = Math.ceil(n / queries.length) + 2;
   
-  for (const query of queries) {
-    let success = false;
-    let lastError = null;
+  for (const [queryIndex, query] of queries.entries()) {
+    const { articles } = await evidenceProviders.searchProviders(query, activeProviders, { limit: perQueryLimit });
     
-    // Try each available API key
-    for (let attempt = 0; attempt < apiKeys.length && !success; attempt++) {
-      const currentApiKey = getAvailableApiKey();
-      
-      if (!currentApiKey) {
-        console.log('No available API keys, using mock sources');
-        return getMockSources();
-      }
-      
-      try {
-        console.log(`Searching news for query: "${query}" with API key ending in ...${currentApiKey.slice(-4)}`);
-        
-        const response = await axios.get(NEWS_SEARCH_URL, {
-          params: {
-            q: query,
-            pageSize: Math.ceil(n / queries.length) + 2,
-            sortBy: 'relevancy',
-            language: 'en',
-            apiKey: currentApiKey
-          },
-          timeout: 8000
-        });
-        
-        if (response.status === 200 && response.data.articles) {
-          response.data.articles.forEach(article => {
-            if (!allArticles.has(article.url)) {
-              allArticles.set(article.url, {
-                title: article.title,
-                url: article.url,
-                publisher: article.source?.name,
-                description: article.description,
-                publishedAt: article.publishedAt,
-                content: article.content
-              });
-            }
-          });
-          success = true;
-          console.log(`Successfully retrieved ${response.data.articles.length} articles for query: "${query}"`);
-        }
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (error.response?.status === 429) {
-          console.error(`Rate limit exceeded for API key ending in ...${currentApiKey.slice(-4)} on query "${query}"`);
-          markApiKeyRateLimited(currentApiKey);
-          
-          // If we have more keys available, try the next one
-          if (rateLimitedKeys.size < apiKeys.length) {
-            console.log(`Trying next available API key...`);
-            continue;
-          } else {
-            console.log('All API keys rate limited, switching to mock sources');
-            return getMockSources();
-          }
-        } else {
-          console.error(`News search error for query "${query}":`, error.message);
-          // For non-rate-limit errors, don't mark the key as bad, just continue
-          break;
-        }
+    articles.forEach(article => {
+      if (!allArticles.has(article.url)) {
+        allArticles.set(article.url, article);
       }
-    }
-    
-    // If we couldn't get results for this query with any key, log it but continue
-    if (!success) {
-      console.log(`Failed to get results for query "${query}" with all available API keys`);
-    }
+    });
     
     // Reduced delay between requests for better performance
-    if (queries.indexOf(query) < queries.length - 1) {
-      await delay(200); // 200ms delay between requests
+    if (queryIndex < queries.length - 1) {
+      await delay(config.search.queryDelayMs);
     }
   }
   
   // Convert to array and sort by relevance
   const articles = Array.from(allArticles.values());
   
-  // If we got no articles due to rate limiting, return mock sources
+  // If no provider returned anything (rate limits, empty corpora), return mock sources
   if (articles.length === 0) {
-    console.log('No articles found with any API key, using mock sources as fallback');
-    return getMockSources();
+    log.warn('No articles found, using mock sources as fallback', { providers: providerNames, queries });
+    metrics.fallbackSources.inc();
+    return credibility.annotateSources(getFallbackSources(n));
   }
   
-  // Prefer recent, reputable sources
-  const reputableSources = ['Reuters', 'AP', 'Bloomberg', 'BBC', 'CNN', 'The Guardian', 'NPR', 'The New York Times', 'The Washington Post'];
+  // Prefer recent sources from publishers the credibility registry weights higher
+  const weights = new Map(articles.map(article => [article, credibility.getSourceWeight(article)]));
   
   articles.sort((a, b) => {
-    const aReputable = reputableSources.some(source => a.publisher?.includes(source)) ? 1 : 0;
-    const bReputable = reputableSources.some(source => b.publisher?.includes(source)) ? 1 : 0;
+    const weightDiff = weights.get(b) - weights.get(a);
+    if (weightDiff !== 0) return weightDiff;
     
-    if (aReputable !== bReputable) return bReputable - aReputable;
-    
-    // Sort by recency if both are equally reputable
+    // Sort by recency if both are equally weighted
     return new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0);
   });
   
-  console.log(`Successfully retrieved ${articles.length} unique articles from ${allArticles.size} total results`);
+  log.info('Retrieved evidence articles', { count: articles.length, by_provider: evidenceProviders.countByProvider(articles) });
   
   const result = articles.slice(0, n);
   
   // Cache the result
-  if (API_CACHE.size >= MAX_CACHE_SIZE) {
-    const oldestKey = API_CACHE.keys().next().value;
-    API_CACHE.delete(oldestKey);
+  cache.set('search', cacheKey, result);
+  
+  return credibility.annotateSources(result);
+}
+
+/**
+ * Mock sources tagged as coming from the fallback provider
+ */
+function getFallbackSources(n) {
+  return getMockSources()
+    .slice(0, n)
+    .map(source => ({ ...source, provider: evidenceProviders.FALLBACK_PROVIDER }));
+}
+
+/**
+ * Build evidence texts for NLI, preferring fetched full article text over
+ * title + description + snippet. Sources whose text is too short are dropped
+ * from both arrays so evidenceTexts[i] always belongs to evidenceSources[i].
+ */
+function buildEvidence(sources) {
+  const evidence = sources.map(source => {
+    const parts = [];
+    if (source.title) parts.push(source.title);
+    if (source.fullText) {
+      parts.push(source.fullText);
+    } else {
+      if (source.description) parts.push(source.description);
+      if (source.content && source.content !== source.description) parts.push(source.content.slice(0, 200));
+    }
+    const text = parts.map(part => part.trim().replace(/\.+$/, '')).join('. ').trim();
+    return { source, text };
+  }).filter(item => item.text.length > 30);
+  
+  return {
+    evidenceTexts: evidence.map(item => item.text),
+    evidenceSources: evidence.map(item => item.source)
+  };
+}
+
+/**
+ * Pick the window of consecutive sentences that best overlaps the claim,
+ * so long full-text evidence still fits the NLI input limit
+ */
+function selectEvidenceWindow(evidence, claim, maxChars = 500) {
+  if (evidence.length <= maxChars) return evidence;
+  
+  const sentences = evidence.match(/[^.!?\n]+[.!?]*/g) || [evidence];
+  const claimWords = new Set(claim.toLowerCase().split(/\W+/).filter(w => w.length > 3));
+  
+  let best = evidence.slice(0, maxChars);
+  let bestScore = -1;
+  
+  for (let start = 0; start < sentences.length; start++) {
+    let window = '';
+    for (let end = start; end < sentences.length; end++) {
+      const next = (window + ' ' + sentences[end]).trim();
+      if (next.length > maxChars) break;
+      window = next;
+    }
+    if (!window) continue;
+    
+    const windowWords = window.toLowerCase().split(/\W+/);
+    const score = windowWords.filter(w => claimWords.has(w)).length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = window;
+    }
   }
-  API_CACHE.set(cacheKey, {
-    result: result,
-    timestamp: Date.now()
-  });
   
-  return result;
+  return best;
+}
+
+/**
+ * Weight of each passage in the consensus: its source's credibility weight,
+ * scaled down when the source is from outside the claim's time frame
+ */
+function evidenceWeights(passageSources, temporalChecks) {
+  return passageSources.map((source, i) =>
+    (source ? credibility.getSourceWeight(source) : 1.0) * (temporalChecks[i]?.weight_factor ?? 1)
+  );
+}
+
+/**
+ * Per-source breakdown of everything a claim was scored against: the
+ * passage, its NLI scores (after quantity adjustment), the weight it carried
+ * in the consensus, how it matched the claim and whether it is from the
+ * claim's time frame. Ordered by weighted influence so the evidence behind
+ * the verdict comes first.
+ */
+function describeEvidence(passages, passageSources, nliScores, relevance, quantityChecks, temporalChecks, weights) {
+  const isCounted = score => !!score && !(score.entail === 0 && score.contra === 0 && score.neutral === 0);
+  const totalWeight = nliScores.reduce((sum, score, i) => sum + (isCounted(score) ? weights[i] : 0), 0);
+
+  return passages
+    .map((passage, i) => {
+      const source = passageSources[i] || {};
+      const scores = nliScores[i] || { entail: 0, contra: 0, neutral: 1 };
+      const counted = isCounted(nliScores[i]);
+      const stance = scores.entail > scores.contra && scores.entail > scores.neutral
+        ? 'supports'
+        : scores.contra > scores.entail && scores.contra > scores.neutral ? 'contradicts' : 'neutral';
+
+      return {
+        source: {
+          title: source.title,
+          url: source.url,
+          publisher: source.publisher,
+          provider: source.provider,
+          credibility_tier: source.credibility?.tier || credibility.lookupSource(source).tier
+        },
+        passage: passage.text,
+        retrieval_score: Number(passage.score.toFixed(3)),
+        scores: {
+          entail: Number(scores.entail.toFixed(3)),
+          contra: Number(scores.contra.toFixed(3)),
+          neutral: Number((scores.neutral ?? Math.max(0, 1 - scores.entail - scores.contra)).toFixed(3))
+        },
+        stance,
+        weight: weights[i],
+        counted,
+        weight_share: counted && totalWeight > 0 ? Number((weights[i] / totalWeight).toFixed(3)) : 0,
+        match_type: relevance[i]?.matchType || 'minimal',
+        relevance: relevance[i]?.score !== undefined ? Number(relevance[i].score.toFixed(3)) : null,
+        quantity_checks: (quantityChecks[i] || [])
+          .filter(check => check.status !== 'not_found')
+          .map(check => ({ claim: check.claim.raw, evidence: check.evidence?.raw || null, status: check.status })),
+        temporal: temporalChecks[i] || null,
+        error: relevance[i]?.error || null
+      };
+    })
+    .sort((a, b) =>
+      Math.max(b.scores.entail, b.scores.contra) * b.weight - Math.max(a.scores.entail, a.scores.contra) * a.weight ||
+      b.retrieval_score - a.retrieval_score
+    );
 }
 
 /**
@@ -434,7 +617,7 @@ function calculateSourceRelevance(claim, source, evidence, nliResult) {
   let score = 0;
   let matchType = [];
   
-  const claimText = claim.text.toLowerCase();
+  const claimText = getClaimQueryText(claim).toLowerCase();
   const sourceText = `${source.title || ''} ${source.description || ''}`.toLowerCase();
   
   // 1. NLI score contribution (primary factor)
@@ -592,8 +775,13 @@ function fallbackScoring(evidence, claim) {
   
   const neutral = Math.max(0, 1.0 - entailScore - contraScore);
   
-  console.log(`Fallback scoring - Overlap: ${overlapRatio.toFixed(2)}, Numbers match: ${numberMatch}, Support: ${hasSupport}, Contradiction: ${hasContradiction}`);
-  console.log(`Scores - Entail: ${entailScore.toFixed(2)}, Contra: ${contraScore.toFixed(2)}, Neutral: ${neutral.toFixed(2)}`);
+  log.debug('Fallback scoring', {
+    overlap: Number(overlapRatio.toFixed(2)),
+    numbers_match: numberMatch,
+    support_cue: hasSupport,
+    contradiction_cue: hasContradiction,
+    scores: { entail: Number(entailScore.toFixed(2)), contra: Number(contraScore.toFixed(2)), neutral: Number(neutral.toFixed(2)) }
+  });
   
   return {
     entail: entailScore,
@@ -602,105 +790,117 @@ function fallbackScoring(evidence, claim) {
   };
 }
 
+/**
+ * Heuristic scores in place of a model, counted by `reason` in
+ * factchecker_nli_fallback_total
+ */
+function scoreWithFallback(reason, evidence, claim) {
+  metrics.fallbackScoring.inc({ reason });
+  metrics.nliScores.inc({ scorer: 'fallback', cached: 'false' });
+  return fallbackScoring(evidence, claim);
+}
+
 /**
  * Enhanced NLI with better error handling and fallback
  */
 async function performEnhancedNLI(evidence, claim) {
-  // First check if we have HF token
-  if (!process.env.HF_TOKEN) {
-    console.log('No HF_TOKEN, using fallback scoring');
-    return fallbackScoring(evidence, claim);
+  // First check that a model-based scorer is available
+  const scorer = getActiveScorer();
+  if (scorer === 'fallback') {
+    return scoreWithFallback('no_model', evidence, claim);
   }
   
   try {
-    console.log('Attempting HF NLI inference...');
-    
-    // Truncate inputs to avoid token limits
-    const truncatedEvidence = evidence.slice(0, 500);
-    const truncatedClaim = claim.slice(0, 200);
+
+    // Truncate inputs to avoid token limits, keeping the most claim-relevant part of long evidence
+    const truncatedEvidence = selectEvidenceWindow(evidence, claim, config.nli.maxEvidenceChars);
+    const truncatedClaim = claim.slice(0, config.nli.maxClaimChars);
     
     // Check cache first
-    const cacheKey = `${truncatedEvidence}||${truncatedClaim}`;
-    if (NLI_CACHE.has(cacheKey)) {
-      const cached = NLI_CACHE.get(cacheKey);
-      if (Date.now() - cached.timestamp < CACHE_TTL) {
-        console.log('Using cached NLI result');
-        return cached.result;
-      }
-      NLI_CACHE.delete(cacheKey);
-    }
-    
-    // Create a more specific hypothesis with reduced timeout
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('NLI timeout')), 5000)
-    );
-    
-    const nliPromise = hf.zeroShotClassification({
-      inputs: truncatedEvidence,
-      parameters: { 
-        candidate_labels: ['supports', 'contradicts', 'unrelated'],
-        hypothesis_template: `This text ${'{}'} the claim: ${truncatedClaim}`,
-        multi_label: false
-      }
-    });
-    
-    const result = await Promise.race([nliPromise, timeoutPromise]);
-    
-    // Parse the result
-    let labels, scores;
-    if (Array.isArray(result)) {
-      labels = result[0]?.labels || [];
-      scores = result[0]?.scores || [];
-    } else {
-      labels = result?.labels || [];
-      scores = result?.scores || [];
+    const cacheKey = `${scorer}::${truncatedEvidence}||${truncatedClaim}`;
+    const cached = cache.get('nli', cacheKey);
+    if (cached !== undefined) {
+      metrics.nliScores.inc({ scorer, cached: 'true' });
+      return cached;
     }
     
-    // Map to our scoring system
-    const supportIdx = labels.indexOf('supports');
-    const contradictIdx = labels.indexOf('contradicts');
-    const unrelatedIdx = labels.indexOf('unrelated');
-    
-    const nliScores = {
-      entail: supportIdx !== -1 ? scores[supportIdx] : 0.0,
-      contra: contradictIdx !== -1 ? scores[contradictIdx] : 0.0,
-      neutral: unrelatedIdx !== -1 ? scores[unrelatedIdx] : 0.5
-    };
+    const nliScores = scorer === 'local'
+      ? await localNli.scorePair(truncatedEvidence, truncatedClaim)
+      : await huggingFaceNLI(truncatedEvidence, truncatedClaim);
     
     // Validate scores - if they seem invalid, use fallback
     const totalScore = nliScores.entail + nliScores.contra + nliScores.neutral;
     if (totalScore < 0.5 || totalScore > 1.5 || isNaN(totalScore)) {
-      console.log('Invalid NLI scores detected, using fallback');
-      return fallbackScoring(evidence, claim);
+      log.warn('Invalid NLI scores, using fallback scoring', { scorer, scores: nliScores });
+      return scoreWithFallback('invalid_scores', evidence, claim);
     }
     
-    console.log('NLI scores:', nliScores);
+    log.debug('NLI scores', { scorer, scores: nliScores });
+    metrics.nliScores.inc({ scorer, cached: 'false' });
     
     // Cache the result
-    if (NLI_CACHE.size >= MAX_CACHE_SIZE) {
-      // Remove oldest entries
-      const oldestKey = NLI_CACHE.keys().next().value;
-      NLI_CACHE.delete(oldestKey);
-    }
-    NLI_CACHE.set(cacheKey, {
-      result: nliScores,
-      timestamp: Date.now()
-    });
+    cache.set('nli', cacheKey, nliScores);
     
     return nliScores;
     
   } catch (error) {
-    console.log(`NLI error: ${error.message}, using fallback scoring`);
-    return fallbackScoring(evidence, claim);
+    log.warn('NLI failed, using fallback scoring', { scorer, error });
+    return scoreWithFallback(/timeout/i.test(error.message) ? 'timeout' : 'error', evidence, claim);
   }
 }
 
 /**
- * Improved consensus calculation with better thresholds
+ * NLI through the Hugging Face Inference API's zero-shot endpoint
  */
-function calculateWeightedConsensus(scores, sources) {
-  const reputableSources = ['Reuters', 'AP', 'Bloomberg', 'BBC', 'CNN', 'The Guardian', 'NPR', 'The New York Times', 'The Washington Post'];
+async function huggingFaceNLI(truncatedEvidence, truncatedClaim) {
+  // Create a more specific hypothesis with reduced timeout
+  const timeoutPromise = new Promise((_, reject) => 
+    setTimeout(() => reject(new Error('NLI timeout')), config.nli.timeoutMs)
+  );
+  
+  const nliPromise = hf.zeroShotClassification({
+    model: HF_ZERO_SHOT_MODEL,
+    inputs: truncatedEvidence,
+    parameters: { 
+      candidate_labels: ['supports', 'contradicts', 'unrelated'],
+      hypothesis_template: `This text ${'{}'} the claim: ${truncatedClaim}`,
+      multi_label: false
+    }
+  });
+  
+  const result = await Promise.race([nliPromise, timeoutPromise]);
+  
+  // Parse the result
+  let labels, scores;
+  if (Array.isArray(result)) {
+    labels = result[0]?.labels || [];
+    scores = result[0]?.scores || [];
+  } else {
+    labels = result?.labels || [];
+    scores = result?.scores || [];
+  }
   
+  // Map to our scoring system
+  const supportIdx = labels.indexOf('supports');
+  const contradictIdx = labels.indexOf('contradicts');
+  const unrelatedIdx = labels.indexOf('unrelated');
+  
+  return {
+    entail: supportIdx !== -1 ? scores[supportIdx] : 0.0,
+    contra: contradictIdx !== -1 ? scores[contradictIdx] : 0.0,
+    neutral: unrelatedIdx !== -1 ? scores[unrelatedIdx] : 0.5
+  };
+}
+
+// Consensus thresholds on the credibility-weighted average entail/contra
+// scores (consensus.* in config.js)
+const CONSENSUS_THRESHOLDS = config.consensus;
+
+/**
+ * Improved consensus calculation with better thresholds. Sources count with
+ * their credibility weight unless `weights` gives one per score.
+ */
+function calculateWeightedConsensus(scores, sources, thresholds = CONSENSUS_THRESHOLDS, weights = null) {
   if (!scores || scores.length === 0) {
     return 'insufficient_evidence';
   }
@@ -719,111 +919,74 @@ function calculateWeightedConsensus(scores, sources) {
     
     validScores++;
     const source = sources[index];
-    const isReputable = source && reputableSources.some(rs => source.publisher?.includes(rs));
-    const weight = isReputable ? 1.5 : 1.0;
+    const weight = weights ? weights[index] : (source ? credibility.getSourceWeight(source) : 1.0);
     
     weightedEntail += (score.entail || 0) * weight;
     weightedContra += (score.contra || 0) * weight;
     totalWeight += weight;
   });
   
-  // Need at least 2 valid scores to make a determination
-  if (validScores < 2 || totalWeight === 0) {
+  if (totalWeight === 0) {
     return 'insufficient_evidence';
   }
   
   const avgEntail = weightedEntail / totalWeight;
   const avgContra = weightedContra / totalWeight;
   
-  console.log(`Consensus - Valid scores: ${validScores}, Avg entail: ${avgEntail.toFixed(3)}, Avg contra: ${avgContra.toFixed(3)}`);
+  log.debug('Consensus', { valid_scores: validScores, avg_entail: Number(avgEntail.toFixed(3)), avg_contra: Number(avgContra.toFixed(3)) });
+  
+  return classifyConsensus(avgEntail, avgContra, validScores, thresholds);
+}
+
+/**
+ * Map weighted average entail/contra scores to a verdict
+ */
+function classifyConsensus(avgEntail, avgContra, validScores, thresholds = CONSENSUS_THRESHOLDS) {
+  const t = thresholds;
+  
+  // Need enough valid scores to make a determination
+  if (validScores < t.minScores) {
+    return 'insufficient_evidence';
+  }
   
   // Adjusted thresholds for better discrimination
-  if (avgEntail >= 0.35 && avgContra <= 0.15) {
+  if (avgEntail >= t.strong && avgContra <= t.strongOpposing) {
     return 'strongly_supported';
   }
-  if (avgEntail >= 0.25 && avgContra <= 0.20) {
+  if (avgEntail >= t.moderate && avgContra <= t.moderateOpposing) {
     return 'supported';
   }
-  if (avgContra >= 0.35 && avgEntail <= 0.15) {
+  if (avgContra >= t.strong && avgEntail <= t.strongOpposing) {
     return 'refuted';
   }
-  if (avgContra >= 0.25 && avgEntail <= 0.20) {
+  if (avgContra >= t.moderate && avgEntail <= t.moderateOpposing) {
     return 'likely_false';
   }
   
   // Check for clear winner even with lower scores
-  const ratio = avgEntail > 0 ? avgContra / avgEntail : 999;
-  if (avgEntail > avgContra * 1.5 && avgEntail > 0.15) {
+  if (avgEntail > avgContra * t.dominanceRatio && avgEntail > t.dominanceFloor) {
     return 'supported';
   }
-  if (avgContra > avgEntail * 1.5 && avgContra > 0.15) {
+  if (avgContra > avgEntail * t.dominanceRatio && avgContra > t.dominanceFloor) {
     return 'likely_false';
   }
   
   // Default to contested only if scores are close
-  if (Math.abs(avgEntail - avgContra) <= 0.1) {
+  if (Math.abs(avgEntail - avgContra) <= t.contestedMargin) {
     return 'contested';
   }
   
   // If we have some signal but it's weak
-  if (avgEntail > avgContra && avgEntail > 0.1) {
+  if (avgEntail > avgContra && avgEntail > t.weakFloor) {
     return 'weakly_supported';
   }
-  if (avgContra > avgEntail && avgContra > 0.1) {
+  if (avgContra > avgEntail && avgContra > t.weakFloor) {
     return 'weakly_refuted';
   }
   
   return 'insufficient_evidence';
 }
 
-// Mock sources for testing and rate limit fallback
-function getMockSources() {
-  return [
-    {
-      title: 'Global Economic Growth Reaches 3.2% in Latest Quarter',
-      url: 'https://example.com/economic-growth-q3',
-      publisher: 'Reuters',
-      description: 'Latest economic data shows steady growth across major economies, with technology and healthcare sectors leading the expansion.',
-      publishedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() // 2 days ago
-    },
-    {
-      title: 'New Climate Research Shows Accelerating Ice Sheet Loss', 
-      url: 'https://example.com/climate-research-2024',
-      publisher: 'BBC',
-      description: 'Scientists report that Antarctic ice sheets are melting at twice the rate previously estimated, with significant implications for sea level rise.',
-      publishedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() // 1 day ago
-    },
-    {
-      title: 'Technology Sector Employment Increases by 15% This Year',
-      url: 'https://example.com/tech-employment-2024',
-      publisher: 'The Guardian',
-      description: 'The technology sector continues to drive job creation, with artificial intelligence and cybersecurity roles seeing the highest demand.',
-      publishedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() // 3 days ago
-    },
-    {
-      title: 'Healthcare Innovations Reduce Treatment Costs by 25%',
-      url: 'https://example.com/healthcare-innovations',
-      publisher: 'NPR',
-      description: 'New medical technologies and treatment protocols are making healthcare more affordable while improving patient outcomes.',
-      publishedAt: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString() // 4 days ago
-    },
-    {
-      title: 'Renewable Energy Capacity Doubles in Major Economies',
-      url: 'https://example.com/renewable-energy-2024',
-      publisher: 'Bloomberg',
-      description: 'Wind and solar power installations have reached record levels, with costs falling below traditional energy sources in most markets.',
-      publishedAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString() // 5 days ago
-    },
-    {
-      title: 'Education Technology Improves Student Performance Metrics',
-      url: 'https://example.com/edtech-performance',
-      publisher: 'The New York Times',
-      description: 'Studies show that digital learning platforms and AI-powered tutoring systems are helping students achieve better academic outcomes.',
-      publishedAt: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString() // 6 days ago
-    }
-  ];
-}
-
 // Enhanced UI element detection
 function isUIElement(sentence) {
   const uiKeywords = [
@@ -888,417 +1051,958 @@ function isMetadata(sentence) {
   return metaPatterns.some(pattern => pattern.test(sentence));
 }
 
-// Streaming analysis endpoint for real-time updates
-app.post('/analyze-stream', async (req, res) => {
-  try {
-    const { text } = req.body;
-    
-    // Set headers for Server-Sent Events
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type'
+/**
+ * Full streaming analysis pipeline. Each progress event is passed to `emit`
+ * as it happens; the last event is always `complete` unless this throws.
+ * Resolves to the outcome counted in factchecker_analyses_total. `settings`
+ * is the config with the request's options applied.
+ */
+async function runStreamingAnalysis(text, emit, settings = config) {
+  // Send initial status
+  emit({
+    type: 'status',
+    message: 'Starting analysis...'
+  });
+  
+  // 1. Page type detection
+  const pageType = await timeStage('classification', () => classifyPageType(text));
+  emit({
+    type: 'page_type',
+    data: pageType
+  });
+  
+  // 2. Extract claims
+  emit({
+    type: 'status',
+    message: 'Extracting factual claims...'
+  });
+  
+  const { claims: claimsWithEntities, subjectivity } = analyzeSentences(text, settings.extraction.maxClaims, settings);
+  
+  if (claimsWithEntities.length === 0) {
+    emit({
+      type: 'complete',
+      data: {
+        page_type: pageType,
+        subjectivity,
+        claims: [],
+        consensus: {
+          summary: 'No verifiable factual claims found in the article.',
+          disclaimer: 'The article may be opinion-based or lack specific factual assertions.'
+        },
+        sources: []
+      }
     });
-    
-    // Send initial status
-    res.write(`data: ${JSON.stringify({
+    return 'no_claims';
+  }
+  
+  // Send claims found
+  emit({
+    type: 'claims_extracted',
+    data: { count: claimsWithEntities.length }
+  });
+  
+  // 3. Build search queries and get sources
+  emit({
+    type: 'status',
+    message: 'Searching for relevant sources...'
+  });
+  
+  const allQueries = [];
+  claimsWithEntities.forEach(claim => {
+    const queries = buildSearchQueries(claim, claim.entities);
+    allQueries.push(...queries);
+  });
+  
+  const uniqueQueries = [...new Set(allQueries)].slice(0, settings.search.maxQueries);
+  const sources = await timeStage('search', () => searchNewsEnhanced(uniqueQueries, settings.search.maxSources));
+  
+  // Check if we're using mock data
+  const usingMockData = sources.some(s => s.provider === evidenceProviders.FALLBACK_PROVIDER);
+  
+  emit({
+    type: 'sources_found',
+    data: { 
+      count: sources.length, 
+      provider_counts: evidenceProviders.countByProvider(sources),
+      mock_data: usingMockData,
+      message: usingMockData ? 'Using sample sources (API limit reached or no API key)' : 'Found real news sources',
+      sources: sources.slice(0, 10).map(s => ({
+        title: s.title,
+        url: s.url,
+        publisher: s.publisher,
+        published: s.publishedAt,
+        provider: s.provider,
+        credibility: s.credibility
+      })) 
+    }
+  });
+  
+  if (settings.fullText.enabled) {
+    emit({
       type: 'status',
-      message: 'Starting analysis...'
-    })}\n\n`);
-    
-    // 1. Page type detection
-    const pageType = await classifyPageType(text);
-    res.write(`data: ${JSON.stringify({
-      type: 'page_type',
-      data: pageType
-    })}\n\n`);
+      message: 'Fetching full source articles...'
+    });
+    await timeStage('full_text', () => enrichSourcesWithFullText(sources));
+  }
+  
+  const { evidenceTexts, evidenceSources } = buildEvidence(sources);
+  const passageIndex = new PassageIndex(evidenceTexts);
+  
+  // 4. Process claims with parallel processing and stream results
+  const resultClaims = [];
+  
+  // Process claims in smaller batches for streaming
+  const batchSize = settings.verification.maxConcurrentClaims;
+  for (let i = 0; i < claimsWithEntities.length; i += batchSize) {
+    const batch = claimsWithEntities.slice(i, i + batchSize);
     
-    // 2. Extract claims
-    res.write(`data: ${JSON.stringify({
+    emit({
       type: 'status',
-      message: 'Extracting factual claims...'
-    })}\n\n`);
+      message: `Analyzing claims ${i + 1}-${Math.min(i + batchSize, claimsWithEntities.length)} of ${claimsWithEntities.length}...`
+    });
+    
+    // Process batch in parallel
+    const batchPromises = batch.map(async (claim, batchIndex) => {
+      const verified = await verifyClaim(claim, passageIndex, evidenceSources, settings);
+      
+      return {
+        ...verified,
+        confidence: claim.score.toFixed(2),
+        support: verified.entail_score.toFixed(2),
+        contradiction: verified.contra_score.toFixed(2),
+        verdict: verified.consensus,
+        originalIndex: i + batchIndex
+      };
+    });
     
-    const claimsWithEntities = extractFactualClaims(text, 10);
+    const batchResults = await Promise.all(batchPromises);
+    resultClaims.push(...batchResults);
     
-    if (claimsWithEntities.length === 0) {
-      res.write(`data: ${JSON.stringify({
-        type: 'complete',
+    // Stream each result immediately
+    batchResults.forEach((processedClaim) => {
+      emit({
+        type: 'claim_result',
         data: {
-          page_type: pageType,
-          claims: [],
-          consensus: {
-            summary: 'No verifiable factual claims found in the article.',
-            disclaimer: 'The article may be opinion-based or lack specific factual assertions.'
-          },
-          sources: []
+          claim: processedClaim,
+          index: processedClaim.originalIndex,
+          total: claimsWithEntities.length
         }
-      })}\n\n`);
-      res.end();
-      return;
-    }
-    
-    // Send claims found
-    res.write(`data: ${JSON.stringify({
-      type: 'claims_extracted',
-      data: { count: claimsWithEntities.length }
-    })}\n\n`);
-    
-    // 3. Build search queries and get sources
-    res.write(`data: ${JSON.stringify({
-      type: 'status',
-      message: 'Searching for relevant sources...'
-    })}\n\n`);
-    
-    const allQueries = [];
-    claimsWithEntities.forEach(claim => {
-      const queries = buildSearchQueries(claim, claim.entities);
-      allQueries.push(...queries);
-    });
-    
-    const uniqueQueries = [...new Set(allQueries)].slice(0, 5);
-    const sources = await searchNewsEnhanced(uniqueQueries, 12);
-    
-    // Check if we're using mock data
-    const usingMockData = !NEWS_API_KEY || sources.some(s => s.url.includes('example.com'));
-    
-    res.write(`data: ${JSON.stringify({
-      type: 'sources_found',
-      data: { 
-        count: sources.length, 
-        mock_data: usingMockData,
-        message: usingMockData ? 'Using sample sources (API limit reached or no API key)' : 'Found real news sources',
-        sources: sources.slice(0, 10).map(s => ({
-          title: s.title,
-          url: s.url,
-          publisher: s.publisher,
-          published: s.publishedAt
-        })) 
-      }
-    })}\n\n`);
-    
-    const evidenceTexts = sources.map(source => {
-      const parts = [];
-      if (source.title) parts.push(source.title);
-      if (source.description) parts.push(source.description);
-      if (source.content) parts.push(source.content.slice(0, 200));
-      return parts.join('. ').trim();
-    }).filter(text => text.length > 30);
-    
-    // 4. Process claims with parallel processing and stream results
-    const resultClaims = [];
-    
-    // Process claims in smaller batches for streaming
-    const batchSize = 2;
-    for (let i = 0; i < claimsWithEntities.length; i += batchSize) {
-      const batch = claimsWithEntities.slice(i, i + batchSize);
-      
-      res.write(`data: ${JSON.stringify({
-        type: 'status',
-        message: `Analyzing claims ${i + 1}-${Math.min(i + batchSize, claimsWithEntities.length)} of ${claimsWithEntities.length}...`
-      })}\n\n`);
-      
-      // Process batch in parallel
-      const batchPromises = batch.map(async (claim, batchIndex) => {
-        const nliScores = [];
-        
-        // Process NLI calls for this claim in parallel with limited concurrency
-        const nliPromises = evidenceTexts.slice(0, 8).map(async (evidence) => {
-          try {
-            return await performEnhancedNLI(evidence, claim.text);
-          } catch (error) {
-            console.error('NLI error for evidence:', error.message);
-            return { entail: 0.0, contra: 0.0, neutral: 1.0 };
-          }
-        });
-        
-        // Execute in batches of 3 to avoid overwhelming the API
-        const results = [];
-        for (let j = 0; j < nliPromises.length; j += 3) {
-          const nliBatch = nliPromises.slice(j, j + 3);
-          const batchResults = await Promise.all(nliBatch);
-          results.push(...batchResults);
-        }
-        
-        nliScores.push(...results);
-        const consensus = calculateWeightedConsensus(nliScores, sources.slice(0, 8));
-        const avgEntail = nliScores.reduce((sum, s) => sum + s.entail, 0) / nliScores.length;
-        const avgContra = nliScores.reduce((sum, s) => sum + s.contra, 0) / nliScores.length;
-        
-        return {
-          text: claim.text,
-          confidence_score: claim.score,
-          entail_score: avgEntail,
-          contra_score: avgContra,
-          consensus: consensus,
-          entities: claim.entities,
-          confidence: claim.score.toFixed(2),
-          support: avgEntail.toFixed(2),
-          contradiction: avgContra.toFixed(2),
-          verdict: consensus,
-          originalIndex: i + batchIndex
-        };
-      });
-      
-      const batchResults = await Promise.all(batchPromises);
-      resultClaims.push(...batchResults);
-      
-      // Stream each result immediately
-      batchResults.forEach((processedClaim) => {
-        res.write(`data: ${JSON.stringify({
-          type: 'claim_result',
-          data: {
-            claim: processedClaim,
-            index: processedClaim.originalIndex,
-            total: claimsWithEntities.length
-          }
-        })}\n\n`);
       });
+    });
+  }
+  
+  // Generate final consensus
+  const stronglySupported = resultClaims.filter(c => c.consensus === 'strongly_supported');
+  const supported = resultClaims.filter(c => c.consensus === 'supported');
+  const contested = resultClaims.filter(c => c.consensus === 'contested');
+  const refuted = resultClaims.filter(c => c.consensus === 'refuted' || c.consensus === 'likely_false');
+  
+  const summaryParts = [];
+  if (stronglySupported.length > 0) {
+    summaryParts.push(`Strongly supported by multiple sources: ${stronglySupported[0].text.slice(0, 100)}...`);
+  }
+  if (supported.length > 0) {
+    summaryParts.push(`Generally supported: ${supported[0].text.slice(0, 100)}...`);
+  }
+  if (contested.length > 0) {
+    summaryParts.push(`Disputed claims: ${contested[0].text.slice(0, 100)}...`);
+  }
+  if (refuted.length > 0) {
+    summaryParts.push(`Contradicted by sources: ${refuted[0].text.slice(0, 100)}...`);
+  }
+  
+  const consensusSummary = summaryParts.length > 0 
+    ? summaryParts.join(' ') 
+    : 'Unable to establish clear consensus from available sources.';
+  
+  const credibilityScore = calculateCredibilityScore(resultClaims);
+  recordVerdicts(resultClaims, sources);
+  
+  // Send final complete result
+  emit({
+    type: 'complete',
+    data: {
+      page_type: pageType,
+      credibility_score: credibilityScore,
+      subjectivity,
+      claims: resultClaims,
+      consensus: {
+        summary: consensusSummary,
+        disclaimer: 'Analysis based on automated NLI and news source comparison. Results should be verified independently.',
+        sources_analyzed: sources.length,
+        reputable_sources: sources.filter(credibility.isReputable).length
+      },
+      sources: sources.slice(0, 10).map(s => ({
+        title: s.title,
+        url: s.url,
+        publisher: s.publisher,
+        published: s.publishedAt,
+        provider: s.provider,
+        full_text: !!s.fullText,
+        credibility: s.credibility
+      }))
     }
-    
-    // Generate final consensus
-    const stronglySupported = resultClaims.filter(c => c.consensus === 'strongly_supported');
-    const supported = resultClaims.filter(c => c.consensus === 'supported');
-    const contested = resultClaims.filter(c => c.consensus === 'contested');
-    const refuted = resultClaims.filter(c => c.consensus === 'refuted' || c.consensus === 'likely_false');
-    
-    const summaryParts = [];
-    if (stronglySupported.length > 0) {
-      summaryParts.push(`Strongly supported by multiple sources: ${stronglySupported[0].text.slice(0, 100)}...`);
-    }
-    if (supported.length > 0) {
-      summaryParts.push(`Generally supported: ${supported[0].text.slice(0, 100)}...`);
-    }
-    if (contested.length > 0) {
-      summaryParts.push(`Disputed claims: ${contested[0].text.slice(0, 100)}...`);
+  });
+  return 'completed';
+}
+
+/**
+ * Run an analysis, counting its outcome in factchecker_analyses_total.
+ * `mode` is the entry point: sync (/analyze), stream, job, url, url_stream or batch.
+ * `analysis` resolves to the outcome or to an object with an `outcome`.
+ */
+async function countAnalysis(mode, analysis) {
+  try {
+    const value = await analysis();
+    metrics.analyses.inc({ mode, outcome: typeof value === 'string' ? value : value.outcome });
+    return value;
+  } catch (error) {
+    metrics.analyses.inc({ mode, outcome: 'failed' });
+    throw error;
+  }
+}
+
+/**
+ * Count an article's claim verdicts and log its summary
+ */
+function recordVerdicts(claims, sources) {
+  const counts = {};
+  claims.forEach(claim => {
+    metrics.verdicts.inc({ verdict: claim.consensus });
+    counts[claim.consensus] = (counts[claim.consensus] || 0) + 1;
+  });
+  log.info('Analysis complete', { claims: claims.length, sources: sources.length, verdicts: counts });
+}
+
+/**
+ * Write one analysis event to a Server-Sent Events response
+ */
+function writeSseEvent(res, event, id) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+// Streaming analysis endpoint for real-time updates
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID'
+};
+
+/**
+ * Config for an analysis request with its `options` applied, or null after
+ * answering 400 when an option is unknown or out of range
+ */
+function resolveAnalysisSettings(req, res) {
+  try {
+    return withRequestOptions(req.body.options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    res.status(400).json({ error: 'Invalid analysis options', code: 'invalid_options', problems: error.problems });
+    return null;
+  }
+}
+
+/**
+ * Validate an analysis request before the quota is charged: `field` must be
+ * a non-empty string (a safe URL for 'url') and the options valid. The
+ * settings go on req.analysisSettings.
+ */
+function validateAnalysisRequest(field) {
+  return (req, res, next) => {
+    const value = req.body[field];
+    if (!value || typeof value !== 'string') {
+      return res.status(400).json({ error: `${field} is required` });
     }
-    if (refuted.length > 0) {
-      summaryParts.push(`Contradicted by sources: ${refuted[0].text.slice(0, 100)}...`);
+    if (field === 'url') {
+      try {
+        assertSafeUrl(value);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: 'unsafe_url' });
+      }
     }
+    const settings = resolveAnalysisSettings(req, res);
+    if (!settings) return;
+    req.analysisSettings = settings;
+    next();
+  };
+}
+
+const requireTextAnalysis = [...requireClient, validateAnalysisRequest('text'), auth.analysisQuota];
+const requireUrlAnalysis = [...requireClient, validateAnalysisRequest('url'), auth.analysisQuota];
+
+app.post('/analyze-stream', requireTextAnalysis, async (req, res) => {
+  const settings = req.analysisSettings;
+  
+  try {
+    const { text } = req.body;
     
-    const consensusSummary = summaryParts.length > 0 
-      ? summaryParts.join(' ') 
-      : 'Unable to establish clear consensus from available sources.';
-    
-    const credibilityScore = calculateCredibilityScore(resultClaims);
-    
-    // Send final complete result
-    res.write(`data: ${JSON.stringify({
-      type: 'complete',
-      data: {
-        page_type: pageType,
-        credibility_score: credibilityScore,
-        claims: resultClaims,
-        consensus: {
-          summary: consensusSummary,
-          disclaimer: 'Analysis based on automated NLI and news source comparison. Results should be verified independently.',
-          sources_analyzed: sources.length,
-          reputable_sources: sources.filter(s => 
-            ['Reuters', 'AP', 'Bloomberg', 'BBC', 'CNN', 'The Guardian', 'NPR', 'The New York Times', 'The Washington Post']
-              .some(rs => s.publisher?.includes(rs))
-          ).length
-        },
-        sources: sources.slice(0, 10).map(s => ({
-          title: s.title,
-          url: s.url,
-          publisher: s.publisher,
-          published: s.publishedAt
-        }))
-      }
-    })}\n\n`);
+    // Set headers for Server-Sent Events
+    res.writeHead(200, SSE_HEADERS);
     
+    await countAnalysis('stream', () => runStreamingAnalysis(text, event => writeSseEvent(res, event), settings));
     res.end();
     
   } catch (error) {
-    console.error('Streaming analysis error:', error);
-    res.write(`data: ${JSON.stringify({
+    log.error('Streaming analysis failed', { error });
+    writeSseEvent(res, {
       type: 'error',
       message: error.message
-    })}\n\n`);
+    });
     res.end();
   }
 });
 
-// Main analysis endpoint
-app.post('/analyze', async (req, res) => {
-  try {
-    const { text } = req.body;
-    
-    // 1. Page type detection
-    const pageType = await classifyPageType(text);
-    
-    // 2. Enhanced claim extraction
-    const claimsWithEntities = extractFactualClaims(text, 10);
-    
-    if (claimsWithEntities.length === 0) {
-      return res.json({
+// Background analysis jobs: survive dropped connections and can be resumed
+app.post('/jobs', requireTextAnalysis, (req, res) => {
+  const { text } = req.body;
+  const settings = req.analysisSettings;
+  
+  const job = jobs.create(
+    text,
+    (input, emit) => countAnalysis('job', () => runStreamingAnalysis(input, emit, settings)),
+    { owner: req.client.id }
+  );
+  log.info('Created analysis job', { job_id: job.id, client: req.client.id });
+  
+  res.status(202).json({
+    job_id: job.id,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    events_url: `/jobs/${job.id}/events`
+  });
+});
+
+app.get('/jobs/:id', requireClient, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || job.owner !== req.client.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobs.describe(job));
+});
+
+// Replays events after Last-Event-ID, then streams new ones until the job finishes
+app.get('/jobs/:id/events', requireClient, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || job.owner !== req.client.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  res.writeHead(200, SSE_HEADERS);
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+  
+  jobs.eventsSince(job, lastEventId).forEach(entry => writeSseEvent(res, entry.event, entry.id));
+  if (jobs.isFinished(job)) {
+    res.end();
+    return;
+  }
+  
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = jobs.subscribe(job.id, entry => {
+    writeSseEvent(res, entry.event, entry.id);
+    if (isTerminalEvent(entry.event)) {
+      cleanup();
+      res.end();
+    }
+  });
+  
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.on('close', cleanup);
+});
+
+/**
+ * Non-streaming analysis pipeline (POST /analyze, /analyze-url). Resolves to
+ * { outcome, result }: the outcome counted in factchecker_analyses_total and
+ * the response body.
+ */
+async function runAnalysis(text, settings = config) {
+  // 1. Page type detection
+  const pageType = await timeStage('classification', () => classifyPageType(text));
+  
+  // 2. Enhanced claim extraction
+  const { claims: claimsWithEntities, subjectivity } = analyzeSentences(text, settings.extraction.maxClaims, settings);
+  
+  if (claimsWithEntities.length === 0) {
+    return {
+      outcome: 'no_claims',
+      result: {
         page_type: pageType,
+        subjectivity,
         claims: [],
         consensus: {
           summary: 'No verifiable factual claims found in the article.',
           disclaimer: 'The article may be opinion-based or lack specific factual assertions.'
         },
         sources: []
-      });
-    }
-    
-    // 3. Build optimized search queries
-    const allQueries = [];
-    claimsWithEntities.forEach(claim => {
-      const queries = buildSearchQueries(claim, claim.entities);
-      allQueries.push(...queries);
-    });
-    
-    // Remove duplicates and limit
-    const uniqueQueries = [...new Set(allQueries)].slice(0, 5);
-    
-    // 4. Enhanced evidence retrieval
-    const sources = await searchNewsEnhanced(uniqueQueries, 12);
-    
-    // Build evidence texts with more context
-    const evidenceTexts = sources.map(source => {
-      const parts = [];
-      if (source.title) parts.push(source.title);
-      if (source.description) parts.push(source.description);
-      if (source.content) parts.push(source.content.slice(0, 200));
-      return parts.join('. ').trim();
-    }).filter(text => text.length > 30);
-    
-    // 5. Score claims with parallel processing for better performance
-    const resultClaims = await processClaimsInParallel(claimsWithEntities, evidenceTexts, sources);
-    
-    // 6. Generate improved consensus summary
-    const stronglySupported = resultClaims.filter(c => c.consensus === 'strongly_supported');
-    const supported = resultClaims.filter(c => c.consensus === 'supported');
-    const contested = resultClaims.filter(c => c.consensus === 'contested');
-    const refuted = resultClaims.filter(c => c.consensus === 'refuted' || c.consensus === 'likely_false');
-    
-    const summaryParts = [];
-    
-    if (stronglySupported.length > 0) {
-      summaryParts.push(`Strongly supported by multiple sources: ${stronglySupported[0].text.slice(0, 100)}...`);
-    }
-    if (supported.length > 0) {
-      summaryParts.push(`Generally supported: ${supported[0].text.slice(0, 100)}...`);
-    }
-    if (contested.length > 0) {
-      summaryParts.push(`Disputed claims: ${contested[0].text.slice(0, 100)}...`);
-    }
-    if (refuted.length > 0) {
-      summaryParts.push(`Contradicted by sources: ${refuted[0].text.slice(0, 100)}...`);
-    }
-    
-    const consensusSummary = summaryParts.length > 0 
-      ? summaryParts.join(' ') 
-      : 'Unable to establish clear consensus from available sources.';
-    
-    // Calculate overall credibility score
-    const credibilityScore = calculateCredibilityScore(resultClaims);
-    
-    res.json({
-      page_type: pageType,
-      credibility_score: credibilityScore,
-      claims: resultClaims.map(c => ({
-        text: c.text,
-        confidence: c.confidence_score.toFixed(2),
-        support: c.entail_score.toFixed(2),
-        contradiction: c.contra_score.toFixed(2),
-        verdict: c.consensus
-      })),
-      consensus: {
-        summary: consensusSummary,
-        disclaimer: 'Analysis based on automated NLI and news source comparison. Results should be verified independently.',
-        sources_analyzed: sources.length,
-        reputable_sources: sources.filter(s => 
-          ['Reuters', 'AP', 'Bloomberg', 'BBC', 'CNN', 'The Guardian', 'NPR', 'The New York Times', 'The Washington Post']
-            .some(rs => s.publisher?.includes(rs))
-        ).length
-      },
-      sources: sources.slice(0, 10).map(s => ({
-        title: s.title,
-        url: s.url,
-        publisher: s.publisher,
-        published: s.publishedAt
+      }
+    };
+  }
+  
+  // 3. Build optimized search queries
+  const allQueries = [];
+  claimsWithEntities.forEach(claim => {
+    const queries = buildSearchQueries(claim, claim.entities);
+    allQueries.push(...queries);
+  });
+  
+  // Remove duplicates and limit
+  const uniqueQueries = [...new Set(allQueries)].slice(0, settings.search.maxQueries);
+  
+  // 4. Enhanced evidence retrieval
+  const sources = await timeStage('search', () => searchNewsEnhanced(uniqueQueries, settings.search.maxSources));
+  
+  // Optionally replace snippets with the full source article text
+  if (settings.fullText.enabled) {
+    await timeStage('full_text', () => enrichSourcesWithFullText(sources));
+  }
+  
+  // Build evidence texts with more context
+  const { evidenceTexts, evidenceSources } = buildEvidence(sources);
+  const passageIndex = new PassageIndex(evidenceTexts);
+  
+  // 5. Score claims with parallel processing for better performance
+  const resultClaims = await processClaimsInParallel(claimsWithEntities, passageIndex, evidenceSources, settings);
+  
+  // 6. Generate improved consensus summary
+  const stronglySupported = resultClaims.filter(c => c.consensus === 'strongly_supported');
+  const supported = resultClaims.filter(c => c.consensus === 'supported');
+  const contested = resultClaims.filter(c => c.consensus === 'contested');
+  const refuted = resultClaims.filter(c => c.consensus === 'refuted' || c.consensus === 'likely_false');
+  
+  const summaryParts = [];
+  
+  if (stronglySupported.length > 0) {
+    summaryParts.push(`Strongly supported by multiple sources: ${stronglySupported[0].text.slice(0, 100)}...`);
+  }
+  if (supported.length > 0) {
+    summaryParts.push(`Generally supported: ${supported[0].text.slice(0, 100)}...`);
+  }
+  if (contested.length > 0) {
+    summaryParts.push(`Disputed claims: ${contested[0].text.slice(0, 100)}...`);
+  }
+  if (refuted.length > 0) {
+    summaryParts.push(`Contradicted by sources: ${refuted[0].text.slice(0, 100)}...`);
+  }
+  
+  const consensusSummary = summaryParts.length > 0 
+    ? summaryParts.join(' ') 
+    : 'Unable to establish clear consensus from available sources.';
+  
+  // Calculate overall credibility score
+  const credibilityScore = calculateCredibilityScore(resultClaims);
+  recordVerdicts(resultClaims, sources);
+  
+  const result = {
+    page_type: pageType,
+    credibility_score: credibilityScore,
+    subjectivity,
+    claims: resultClaims.map(c => ({
+      text: c.text,
+      resolved_text: c.resolved_text,
+      confidence: c.confidence_score.toFixed(2),
+      support: c.entail_score.toFixed(2),
+      contradiction: c.contra_score.toFixed(2),
+      verdict: c.consensus,
+      claim_type: c.claim_type,
+      subjectivity: c.subjectivity,
+      verdict_source: c.verdict_source,
+      fact_check: c.fact_check,
+      quantity_check: c.quantity_check,
+      temporal_check: c.temporal_check,
+      quote_check: c.quote_check,
+      evidence: c.evidence,
+      sub_claims: c.sub_claims.map(sub => ({
+        text: sub.text,
+        support: sub.entail_score.toFixed(2),
+        contradiction: sub.contra_score.toFixed(2),
+        verdict: sub.consensus,
+        quantity_check: sub.quantity_check,
+        temporal_check: sub.temporal_check,
+        evidence: sub.evidence
       }))
-    });
-    
+    })),
+    consensus: {
+      summary: consensusSummary,
+      disclaimer: 'Analysis based on automated NLI and news source comparison. Results should be verified independently.',
+      sources_analyzed: sources.length,
+      reputable_sources: sources.filter(credibility.isReputable).length
+    },
+    sources: sources.slice(0, 10).map(s => ({
+      title: s.title,
+      url: s.url,
+      publisher: s.publisher,
+      published: s.publishedAt,
+      provider: s.provider,
+      full_text: !!s.fullText,
+      credibility: s.credibility
+    }))
+  };
+  return { outcome: 'completed', result };
+}
+
+// Main analysis endpoint
+app.post('/analyze', requireTextAnalysis, async (req, res) => {
+  const settings = req.analysisSettings;
+  
+  try {
+    const { result } = await countAnalysis('sync', () => runAnalysis(req.body.text, settings));
+    res.json(result);
   } catch (error) {
-    console.error('Analysis error:', error);
+    log.error('Analysis failed', { error });
     res.status(500).json({ 
       error: 'Analysis failed', 
       message: error.message,
+      request_id: req.id,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
 /**
- * Process claims in parallel for better performance
+ * Status and error code for a submitted URL that could not be analyzed, or
+ * null if the error is not about the URL
  */
-async function processClaimsInParallel(claimsWithEntities, evidenceTexts, sources) {
+function describeArticleFailure(error) {
+  if (error instanceof UnsafeUrlError) {
+    return { status: 400, code: 'unsafe_url', message: error.message };
+  }
+  if (error instanceof ArticleFetchError) {
+    return { status: error.status, code: error.code, message: error.message };
+  }
+  return null;
+}
+
+// Analyze an article by URL: the page is fetched and extracted server-side
+app.post('/analyze-url', requireUrlAnalysis, async (req, res) => {
+  const settings = req.analysisSettings;
+  const { url } = req.body;
   
-  const processClaim = async (claim) => {
-    console.log(`Processing claim: ${claim.text.slice(0, 100)}...`);
-    const nliScores = [];
-    const relevantSources = [];
+  try {
+    const { text, ...metadata } = await timeStage('fetch_article', () => fetchArticleFromUrl(url));
+    const { result } = await countAnalysis('url', () => runAnalysis(text, settings));
+    res.json({ article: metadata, ...result });
+  } catch (error) {
+    const failure = describeArticleFailure(error);
+    if (failure) {
+      log.warn('Could not analyze submitted URL', { url, code: failure.code, error: failure.message });
+      return res.status(failure.status).json({ error: failure.message, code: failure.code });
+    }
+    log.error('URL analysis failed', { error });
+    res.status(500).json({
+      error: 'Analysis failed',
+      message: error.message,
+      request_id: req.id
+    });
+  }
+});
+
+// Streaming variant of /analyze-url: an `article` event with the page's
+// metadata, then the same events as /analyze-stream
+app.post('/analyze-url-stream', requireUrlAnalysis, async (req, res) => {
+  const settings = req.analysisSettings;
+  const { url } = req.body;
+  
+  res.writeHead(200, SSE_HEADERS);
+  const emit = event => writeSseEvent(res, event);
+  
+  try {
+    emit({ type: 'status', message: 'Fetching article...' });
+    const { text, ...metadata } = await timeStage('fetch_article', () => fetchArticleFromUrl(url));
+    emit({ type: 'article', data: metadata });
     
-    // Limit concurrent NLI calls
-    const nliPromises = evidenceTexts.slice(0, 8).map(async (evidence, i) => {
-      const source = sources[i];
+    await countAnalysis('url_stream', () => runStreamingAnalysis(text, event => {
+      emit(event.type === 'complete' ? { ...event, data: { article: metadata, ...event.data } } : event);
+    }, settings));
+  } catch (error) {
+    const failure = describeArticleFailure(error);
+    if (failure) {
+      log.warn('Could not analyze submitted URL', { url, code: failure.code, error: failure.message });
+      emit({ type: 'error', code: failure.code, message: failure.message });
+    } else {
+      log.error('Streaming URL analysis failed', { error });
+      emit({ type: 'error', message: error.message });
+    }
+  }
+  res.end();
+});
+
+/**
+ * Validate a batch request (items and options) before the quota is charged,
+ * and set req.analysisCount so it is charged once per item
+ */
+function parseBatchRequest(req, res, next) {
+  const settings = resolveAnalysisSettings(req, res);
+  if (!settings) return;
+  
+  const { items, problems } = normalizeBatchItems(req.body.items);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Invalid batch', code: 'invalid_batch', problems });
+  }
+  req.batchItems = items;
+  req.batchSettings = settings;
+  req.analysisCount = items.length;
+  next();
+}
+
+/**
+ * Analyze one batch item, fetching the article first when only a URL was given
+ */
+async function analyzeBatchItem(item, settings) {
+  let text = item.text;
+  let article = null;
+  if (!text) {
+    ({ text, ...article } = await timeStage('fetch_article', () => fetchArticleFromUrl(item.url)));
+  }
+  const { result } = await countAnalysis('batch', () => runAnalysis(text, settings));
+  return { article, result };
+}
+
+// Analyze many URLs or texts in the background; progress on /batches/:id
+app.post('/batches', requireClient, parseBatchRequest, auth.analysisQuota, (req, res) => {
+  const settings = req.batchSettings;
+  const batch = batches.create(req.batchItems, item => analyzeBatchItem(item, settings), { owner: req.client.id });
+  log.info('Created batch', { batch_id: batch.id, items: batch.items.length, client: req.client.id });
+  
+  res.status(202).json({
+    batch_id: batch.id,
+    status: batch.status,
+    items: batch.items.length,
+    status_url: `/batches/${batch.id}`,
+    export_urls: {
+      csv: `/batches/${batch.id}/export?format=csv`,
+      jsonl: `/batches/${batch.id}/export?format=jsonl`
+    }
+  });
+});
+
+app.get('/batches/:id', requireClient, (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch || batch.owner !== req.client.id) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(batches.describe(batch));
+});
+
+// One row per claim as a CSV or JSONL download, once every item has finished
+app.get('/batches/:id/export', requireClient, (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch || batch.owner !== req.client.id) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!exportFormats.CONTENT_TYPES[format]) {
+    return res.status(400).json({ error: 'format must be csv or jsonl', code: 'invalid_format' });
+  }
+  if (!batches.isFinished(batch)) {
+    const { progress } = batches.describe(batch);
+    return res.status(409).json({
+      error: `Batch is still running (${progress.completed + progress.failed} of ${progress.total} items done)`,
+      code: 'batch_not_finished',
+      progress
+    });
+  }
+  
+  const rows = claimRows(batch);
+  res.type(exportFormats.CONTENT_TYPES[format]);
+  res.attachment(`batch-${batch.id}.${format}`);
+  res.send(format === 'csv' ? exportFormats.toCsv(rows, CSV_COLUMNS) : exportFormats.toJsonl(rows));
+});
+
+// schema.org ClaimReview JSON-LD for a finished analysis. Takes the analysis
+// as `result` (or just its `claims`) and the reviewed page as `article`;
+// /analyze-url responses carry their own article.
+app.post('/claim-review', requireClient, (req, res) => {
+  const result = req.body.result || (Array.isArray(req.body.claims) ? { claims: req.body.claims } : null);
+  if (!result || typeof result !== 'object' || !Array.isArray(result.claims)) {
+    return res.status(400).json({ error: 'Provide the analysis as result (with claims) or claims', code: 'invalid_claim_review_request' });
+  }
+  
+  const article = req.body.article || result.article;
+  let appearanceUrl;
+  try {
+    appearanceUrl = new URL(article?.canonical_url || article?.final_url || article?.url);
+  } catch (error) {
+    appearanceUrl = null;
+  }
+  if (!appearanceUrl || !/^https?:$/.test(appearanceUrl.protocol)) {
+    return res.status(400).json({ error: 'article.url must be the http(s) URL the claims appeared on', code: 'invalid_claim_review_request' });
+  }
+  
+  const reviews = buildClaimReviews(result, { ...article, url: appearanceUrl.href });
+  res.type('application/ld+json').send(JSON.stringify(reviews, null, 2));
+});
+
+/**
+ * Score one claim against its top-ranked evidence passages
+ */
+async function verifyAtomicClaim(claim, passageIndex, sources, settings = config) {
+  const { maxPassages, relevanceThreshold } = settings.verification;
+  const claimText = getClaimQueryText(claim);
+  log.debug('Verifying claim', { claim: claimText.slice(0, 100) });
+  const nliScores = [];
+  const relevantSources = [];
+  const passages = passageIndex.selectForClaim(claimText, maxPassages);
+  const passageSources = passages.map(p => sources[p.evidenceIndex]);
+  
+  // Numbers in the claim are checked against each passage separately from NLI
+  const claimQuantities = extractQuantities(claimText);
+  const quantityChecks = [];
+  const relevance = [];
+  
+  // Evidence from outside the period the claim is about counts for less
+  const timeFrame = settings.temporal.enabled ? claim.timeFrame : null;
+  const temporalChecks = timeFrame
+    ? passages.map((passage, i) => checkEvidencePeriod(timeFrame, passageSources[i], passage.text, settings.temporal))
+    : [];
+  const weights = evidenceWeights(passageSources, temporalChecks);
+  
+  // Limit concurrent NLI calls
+  const nliPromises = passages.map(async ({ text: evidence }, i) => {
+    const source = passageSources[i];
+    
+    try {
+      let nliResult = await timeStage('nli', () => performEnhancedNLI(evidence, claimText));
       
-      try {
-        const nliResult = await performEnhancedNLI(evidence, claim.text);
-        
-        // Track source relevance based on NLI scores and text similarity
-        const sourceRelevance = calculateSourceRelevance(claim, source, evidence, nliResult);
-        if (sourceRelevance.score > 0.3) {
-          relevantSources.push({
-            ...source,
-            relevanceScore: sourceRelevance.score,
-            matchType: sourceRelevance.matchType,
-            evidence: evidence.slice(0, 200)
-          });
-        }
-        
-        return nliResult;
-      } catch (error) {
-        console.error('NLI error for evidence:', error.message);
-        return { entail: 0.0, contra: 0.0, neutral: 1.0 };
+      if (claimQuantities.length > 0) {
+        quantityChecks[i] = compareQuantities(claimQuantities, evidence);
+        nliResult = adjustScoresForQuantities(nliResult, quantityChecks[i]);
       }
-    });
-    
-    // Process in batches to avoid overwhelming the API
-    const results = [];
-    for (let i = 0; i < nliPromises.length; i += MAX_CONCURRENT_NLI) {
-      const batch = nliPromises.slice(i, i + MAX_CONCURRENT_NLI);
-      const batchResults = await Promise.all(batch);
-      results.push(...batchResults);
+      
+      // Track source relevance based on NLI scores and text similarity
+      const sourceRelevance = calculateSourceRelevance(claim, source, evidence, nliResult);
+      relevance[i] = sourceRelevance;
+      if (sourceRelevance.score > relevanceThreshold) {
+        relevantSources.push({
+          ...source,
+          relevanceScore: sourceRelevance.score,
+          matchType: sourceRelevance.matchType,
+          evidence: evidence.slice(0, 200)
+        });
+      }
+      
+      return nliResult;
+    } catch (error) {
+      log.error('Scoring evidence passage failed', { error });
+      relevance[i] = { error: error.message };
+      return { entail: 0.0, contra: 0.0, neutral: 1.0 };
     }
-    
-    nliScores.push(...results);
-    const consensus = calculateWeightedConsensus(nliScores, sources.slice(0, 8));
-    
-    const avgEntail = nliScores.reduce((sum, s) => sum + s.entail, 0) / nliScores.length;
-    const avgContra = nliScores.reduce((sum, s) => sum + s.contra, 0) / nliScores.length;
-    
-    return {
-      text: claim.text,
-      confidence_score: claim.score,
-      entail_score: avgEntail,
-      contra_score: avgContra,
-      consensus: consensus,
-      entities: claim.entities,
-      relevant_sources: relevantSources.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, 4)
-    };
+  });
+  
+  // Process in batches to avoid overwhelming the API
+  const results = [];
+  for (let i = 0; i < nliPromises.length; i += settings.nli.maxConcurrent) {
+    const batch = nliPromises.slice(i, i + settings.nli.maxConcurrent);
+    const batchResults = await Promise.all(batch);
+    results.push(...batchResults);
+  }
+  
+  nliScores.push(...results);
+  let consensus = calculateWeightedConsensus(nliScores, passageSources, CONSENSUS_THRESHOLDS, weights);
+  
+  const avgEntail = nliScores.reduce((sum, s) => sum + s.entail, 0) / (nliScores.length || 1);
+  const avgContra = nliScores.reduce((sum, s) => sum + s.contra, 0) / (nliScores.length || 1);
+  const evidence = describeEvidence(passages, passageSources, nliScores, relevance, quantityChecks, temporalChecks, weights);
+  
+  // A verdict resting only on evidence from the wrong period is weakened
+  const temporalCheck = timeFrame ? summarizeTemporalChecks(timeFrame, evidence) : null;
+  if (temporalCheck?.stale_evidence && settings.temporal.capStaleVerdicts && capStaleVerdict(consensus) !== consensus) {
+    temporalCheck.capped_from = consensus;
+    consensus = capStaleVerdict(consensus);
+  }
+  
+  return {
+    text: claim.text,
+    resolved_text: claimText,
+    coreferences: claim.coreferences || [],
+    confidence_score: claim.score,
+    entail_score: avgEntail,
+    contra_score: avgContra,
+    consensus: consensus,
+    entities: claim.entities,
+    quantity_check: claimQuantities.length > 0
+      ? summarizeQuantityChecks(claimQuantities, quantityChecks, passageSources)
+      : null,
+    temporal_check: temporalCheck,
+    evidence,
+    relevant_sources: relevantSources.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, 4)
+  };
+}
+
+/**
+ * Look a claim up in the fact-check archive. Lookup failures only cost the
+ * match, never the claim's verification.
+ */
+async function lookUpFactCheck(claim, settings) {
+  if (!settings.factChecks.enabled) return null;
+  try {
+    return await timeStage('fact_check', () => factChecks.findFactCheck(getClaimQueryText(claim), {
+      settings,
+      scorePair: (premise, hypothesis) => performEnhancedNLI(premise, hypothesis)
+    }));
+  } catch (error) {
+    log.warn('Fact-check archive lookup failed', { error });
+    return null;
+  }
+}
+
+/**
+ * Result for a claim whose verdict is taken from a matched fact-check
+ * ('replace' mode): no evidence was scored
+ */
+function factCheckedResult(claim, factCheck) {
+  return {
+    text: claim.text,
+    resolved_text: getClaimQueryText(claim),
+    coreferences: claim.coreferences || [],
+    confidence_score: claim.score,
+    entail_score: 0,
+    contra_score: 0,
+    consensus: factCheck.verdict,
+    claim_type: claimType(claim),
+    subjectivity: claim.subjectivity || null,
+    verdict_source: 'fact_check',
+    fact_check: factCheck,
+    entities: claim.entities,
+    quantity_check: null,
+    temporal_check: null,
+    quote_check: null,
+    evidence: [],
+    relevant_sources: [],
+    sub_claims: []
+  };
+}
+
+/**
+ * Verify a claim. A claim matching an archived fact-check carries it as
+ * `fact_check`; in 'replace' mode a match whose rating maps to a verdict
+ * decides the claim and NLI is skipped. Otherwise the claim is checked
+ * against the sources (verifyAgainstSources).
+ */
+async function verifyClaim(claim, passageIndex, sources, settings = config) {
+  const factCheck = await lookUpFactCheck(claim, settings);
+  if (factCheck && factCheck.verdict && settings.factChecks.mode === 'replace') {
+    return factCheckedResult(claim, factCheck);
+  }
+  
+  const verified = await verifyAgainstSources(claim, passageIndex, sources, settings);
+  return {
+    ...verified,
+    claim_type: claimType(claim),
+    subjectivity: claim.subjectivity || null,
+    verdict_source: 'automated',
+    fact_check: factCheck
   };
+}
+
+/**
+ * Claim type reported with each result
+ */
+function claimType(claim) {
+  return claim.quote ? 'quote' : 'factual';
+}
+
+/**
+ * Check a claim against the sources. Quotes are checked for wording and
+ * speaker (verifyQuoteClaim). Compound sentences are verified one sub-claim
+ * at a time and the sentence rolls up the combined verdict, keeping the
+ * sub-claim results.
+ */
+async function verifyAgainstSources(claim, passageIndex, sources, settings = config) {
+  if (claim.quote) {
+    return verifyQuoteClaim(claim, passageIndex, sources, settings);
+  }
+  
+  if (!claim.subClaims || claim.subClaims.length < 2) {
+    const verified = await verifyAtomicClaim(claim, passageIndex, sources, settings);
+    return { ...verified, quote_check: null, sub_claims: [] };
+  }
+  
+  log.debug('Verifying compound claim by sub-claim', { claim: claim.text.slice(0, 100), sub_claims: claim.subClaims.length });
+  const subResults = [];
+  for (const subClaim of claim.subClaims) {
+    subResults.push(await verifyAtomicClaim({ ...subClaim, score: claim.score }, passageIndex, sources, settings));
+  }
+  
+  return rollUpSubClaims(claim, subResults);
+}
+
+/**
+ * Check a direct quote. The evidence is still scored for the breakdown, but
+ * the verdict comes from whether the sources carry the quoted wording
+ * (verbatim or paraphrased) and whom they credit with it. Every source's
+ * passage closest to the quote is searched, not just the top few; a source
+ * sharing no words with it counts as not found.
+ */
+async function verifyQuoteClaim(claim, passageIndex, sources, settings = config) {
+  // The period the quoted words talk about says nothing about who said them
+  const verified = await verifyAtomicClaim({ ...claim, timeFrame: null }, passageIndex, sources, settings);
+  const closest = new Map(passageIndex.bestPerEvidence(claim.quote.text, sources.length)
+    .map(passage => [passage.evidenceIndex, passage.text]));
+  const passages = sources.map((source, i) => ({ text: closest.get(i) || '', source }));
+  const quoteCheck = checkQuote(claim.quote, passages, settings.quotes);
+  
+  return { ...verified, consensus: quoteVerdict(quoteCheck), quote_check: quoteCheck, sub_claims: [] };
+}
+
+/**
+ * Combine sub-claim results into the parent sentence's result. A compound
+ * claim holds only if every part does, so the weakest verdict wins and its
+ * evidence is shown for the sentence.
+ */
+function rollUpSubClaims(claim, subResults) {
+  const rank = verdict => VERDICT_ORDER.indexOf(verdict);
+  const weakest = subResults.reduce((worst, result) =>
+    rank(result.consensus) < rank(worst.consensus) ? result : worst
+  );
   
+  const sourcesByUrl = new Map();
+  subResults.flatMap(result => result.relevant_sources).forEach(source => {
+    const existing = sourcesByUrl.get(source.url);
+    if (!existing || source.relevanceScore > existing.relevanceScore) {
+      sourcesByUrl.set(source.url, source);
+    }
+  });
+  
+  return {
+    text: claim.text,
+    resolved_text: getClaimQueryText(claim),
+    coreferences: claim.coreferences || [],
+    confidence_score: claim.score,
+    entail_score: Math.min(...subResults.map(result => result.entail_score)),
+    contra_score: Math.max(...subResults.map(result => result.contra_score)),
+    consensus: weakest.consensus,
+    entities: claim.entities,
+    quantity_check: weakest.quantity_check,
+    temporal_check: weakest.temporal_check,
+    quote_check: null,
+    evidence: weakest.evidence,
+    relevant_sources: [...sourcesByUrl.values()]
+      .sort((a, b) => b.relevanceScore - a.relevanceScore)
+      .slice(0, 4),
+    sub_claims: subResults
+  };
+}
+
+/**
+ * Process claims in parallel for better performance
+ */
+async function processClaimsInParallel(claimsWithEntities, passageIndex, sources, settings = config) {
   // Process claims with limited concurrency
+  const batchSize = settings.verification.maxConcurrentClaims;
   const results = [];
-  for (let i = 0; i < claimsWithEntities.length; i += MAX_CONCURRENT_API) {
-    const batch = claimsWithEntities.slice(i, i + MAX_CONCURRENT_API);
-    const batchPromises = batch.map(processClaim);
+  for (let i = 0; i < claimsWithEntities.length; i += batchSize) {
+    const batch = claimsWithEntities.slice(i, i + batchSize);
+    const batchPromises = batch.map(claim => verifyClaim(claim, passageIndex, sources, settings));
     const batchResults = await Promise.all(batchPromises);
     results.push(...batchResults);
   }
@@ -1306,6 +2010,12 @@ async function processClaimsInParallel(claimsWithEntities, evidenceTexts, source
   return results;
 }
 
+// Verdicts from most to least damaging, used to pick a compound claim's weakest part
+const VERDICT_ORDER = [
+  'refuted', 'likely_false', 'weakly_refuted', 'contested',
+  'insufficient_evidence', 'weakly_supported', 'supported', 'strongly_supported'
+];
+
 /**
  * Calculate overall credibility score for the article
  */
@@ -1337,48 +2047,75 @@ function calculateCredibilityScore(claims) {
 
 // Page type classification (kept from original)
 async function classifyPageType(text) {
+  const { timeoutMs, maxChars, localMaxChars } = config.classification;
+  const useLocal = getActiveScorer() === 'local';
+  const cacheKey = `${useLocal ? 'local' : 'huggingface'}::${text.slice(0, maxChars)}`;
+  const cached = cache.get('page_type', cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+  
   try {
     const labels = ['news article', 'opinion piece', 'blog post', 'research report', 'fact sheet', 'advertisement'];
     
-    // Add shorter timeout for page classification
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Page classification timeout')), 3000)
-    );
-    
-    const classificationPromise = hf.zeroShotClassification({
-      inputs: text.slice(0, 4000),
-      parameters: { candidate_labels: labels }
-    });
-    
-    const result = await Promise.race([classificationPromise, timeoutPromise]);
+    let result;
+    if (useLocal) {
+      // On-device zero-shot classification, no network round-trip
+      result = await localNli.zeroShotClassify(text.slice(0, localMaxChars), labels);
+    } else {
+      // Add shorter timeout for page classification
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Page classification timeout')), timeoutMs)
+      );
+      
+      const classificationPromise = hf.zeroShotClassification({
+        model: HF_ZERO_SHOT_MODEL,
+        inputs: text.slice(0, maxChars),
+        parameters: { candidate_labels: labels }
+      });
+      
+      result = await Promise.race([classificationPromise, timeoutPromise]);
+    }
     
+    let pageType;
     if (Array.isArray(result)) {
       const firstResult = result[0];
-      return {
+      pageType = {
         label: firstResult.labels?.[0] || firstResult.label || 'unknown',
         score: firstResult.scores?.[0] || firstResult.score || 0.0
       };
     } else if (result.labels && result.scores) {
-      return {
+      pageType = {
         label: result.labels[0],
         score: result.scores[0]
       };
     } else {
       return { label: 'unknown', score: 0.0 };
     }
+    
+    // Only successful classifications are cached so failures are retried
+    cache.set('page_type', cacheKey, pageType);
+    return pageType;
   } catch (error) {
-    console.error('Page type classification error:', error.message);
+    log.warn('Page type classification failed', { error });
     return { label: 'unknown', score: 0.0 };
   }
 }
 
-// Test scoring endpoint for diagnostics
-app.post('/test-scoring', async (req, res) => {
+/**
+ * A scoring test needs both texts; checked before the quota is charged
+ */
+function validateScoringRequest(req, res, next) {
   const { evidence, claim } = req.body;
-  
   if (!evidence || !claim) {
     return res.status(400).json({ error: 'Both evidence and claim are required' });
   }
+  next();
+}
+
+// Test scoring endpoint for diagnostics
+app.post('/test-scoring', requireClient, validateScoringRequest, auth.analysisQuota, async (req, res) => {
+  const { evidence, claim } = req.body;
   
   try {
     // Test both HF and fallback scoring
@@ -1388,6 +2125,7 @@ app.post('/test-scoring', async (req, res) => {
     res.json({
       claim: claim,
       evidence: evidence.slice(0, 200) + '...',
+      scorer: getActiveScorer(),
       hf_scores: hfScore,
       fallback_scores: fallbackScore,
       consensus_single: calculateWeightedConsensus([hfScore], [{ publisher: 'Test Source' }])
@@ -1405,18 +2143,92 @@ app.get('/api-status', (_req, res) => {
       status: NEWS_API_KEY ? 'active' : 'disabled',
       note: NEWS_API_KEY ? 'Using live News API' : 'Using mock data due to missing API key'
     },
+    evidence_providers: evidenceProviders.describeProviders(),
     huggingface: {
       configured: !!process.env.HF_TOKEN,
       status: process.env.HF_TOKEN ? 'active' : 'fallback',
       note: process.env.HF_TOKEN ? 'Using Hugging Face API' : 'Using fallback scoring'
     },
+    nli: {
+      backend: NLI_BACKEND,
+      active_scorer: getActiveScorer(),
+      local_model: NLI_BACKEND === 'local' ? localNli.getStatus() : undefined
+    },
+    check_worthiness: checkWorthiness.getStatus(),
+    fact_check_archive: factChecks.getStatus(),
+    cache: cache.getStats(),
+    jobs: jobs.getStats(),
+    batches: batches.getStats(),
+    recording: recorder.getStatus(),
+    auth: auth.getStatus(),
     rate_limiting: {
-      news_api_delay: '500ms between requests',
+      news_api_delay: `${config.search.queryDelayMs}ms between search queries`,
       recommendation: 'Consider upgrading News API plan if hitting rate limits frequently'
     }
   });
 });
 
+// Effective configuration, where each value came from, and the per-request options
+app.get('/config', (_req, res) => {
+  res.json(describeConfig());
+});
+
+// Cache and job counts are kept by their modules; copy them in on each scrape
+metrics.addCollector(() => {
+  Object.entries(cache.getStats().namespaces).forEach(([namespace, stats]) => {
+    metrics.cacheLookups.setTotal({ namespace, result: 'hit' }, stats.hits);
+    metrics.cacheLookups.setTotal({ namespace, result: 'miss' }, stats.misses);
+    metrics.cacheEntries.set({ namespace }, stats.entries);
+    if (stats.hit_rate !== null) {
+      metrics.cacheHitRatio.set({ namespace }, stats.hit_rate);
+    }
+  });
+  
+  const jobStats = jobs.getStats();
+  const batchStats = batches.getStats();
+  ['queued', 'running', 'completed', 'failed'].forEach(status => {
+    metrics.jobsByStatus.set({ status }, jobStats[status]);
+    metrics.batchItemsByStatus.set({ status }, batchStats.items[status]);
+  });
+});
+
+// Prometheus metrics; scrapers authenticate with METRICS_TOKEN when it is set
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'A valid metrics token is required', code: 'invalid_metrics_token' });
+  }
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+// Publisher credibility registry
+app.get('/publishers', (_req, res) => {
+  try {
+    res.json(credibility.describeRegistry());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Credibility of a single source, matched by URL and/or publisher name
+app.get('/publishers/lookup', (req, res) => {
+  const { publisher, url } = req.query;
+  if (!publisher && !url) {
+    return res.status(400).json({ error: 'Provide a publisher or url query parameter' });
+  }
+
+  try {
+    res.json(credibility.lookupSource({ publisher, url }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The calling client's rate limit and daily quota
+app.get('/usage', requireClient, (req, res) => {
+  res.json(auth.describeUsage(req.client));
+});
+
 // Health check endpoint
 app.get('/health', (_req, res) => {
   res.json({ 
@@ -1426,8 +2238,58 @@ app.get('/health', (_req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Enhanced news fact checker backend running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`News API: ${NEWS_API_KEY ? 'Configured' : 'Not configured (using mock data)'}`);
-});
\ No newline at end of file
+// Oversized and malformed request bodies
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body exceeds the ${MAX_BODY_SIZE} limit`, code: 'body_too_large' });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+  next(error);
+});
+
+// Only listen when run directly; scripts (e.g. scripts/evaluate.js) reuse the pipeline
+if (require.main === module) {
+  checkWorthiness.loadModel();
+  app.listen(PORT, () => {
+    startFeedRefresh(rssProvider.getIndex);
+    startArchiveRefresh(factChecks.getArchive);
+    if (NLI_BACKEND === 'local') {
+      // Warm the model up so the first request doesn't pay the load time
+      localNli.loadModel().catch(() => {});
+    }
+    const serverLog = createLogger('server');
+    serverLog.info('Enhanced news fact checker backend running', {
+      port: Number(PORT),
+      environment: process.env.NODE_ENV || 'development',
+      news_api: NEWS_API_KEY ? 'configured' : 'not configured (using mock data)',
+      nli_backend: NLI_BACKEND,
+      nli_scorer: getActiveScorer(),
+      check_worthiness: checkWorthiness.getStatus().loaded ? 'trained model' : 'heuristic',
+      evidence_providers: evidenceProviders.getEnabledProviders().map(p => p.name)
+    });
+    if (!auth.getStatus().enabled) {
+      serverLog.warn('API keys are not required (no API clients configured); requests are rate limited per IP. Create a client with `npm run api-key -- create <id>`');
+    }
+    if (recorder.isActive()) {
+      serverLog.info('HTTP recording active', { mode: recorder.getMode(), dir: recorder.getStatus().dir });
+    }
+  });
+}
+
+module.exports = {
+  app,
+  extractFactualClaims,
+  prepareClaim,
+  scoreFactualClaim: checkWorthiness.scoreFactualClaim,
+  buildSearchQueries,
+  searchNewsEnhanced,
+  buildEvidence,
+  verifyClaim,
+  calculateWeightedConsensus,
+  classifyConsensus,
+  getActiveScorer,
+  CONSENSUS_THRESHOLDS,
+  VERDICT_ORDER
+};
@@ -0,0 +1,144 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { getConfig } = require('./config');
+
+/**
+ * SSRF protection for URLs submitted to POST /analyze-url.
+ *
+ * A URL is fetched only if it is http(s) on the default port, carries no
+ * credentials and its host resolves exclusively to public addresses. The
+ * address check runs inside the agents' DNS lookup, on the addresses the
+ * socket will actually connect to, so a host that answers differently the
+ * second time (DNS rebinding) cannot slip past an earlier check. Literal IPs
+ * skip DNS, so they are checked in assertSafeUrl, which callers run on the
+ * submitted URL and on every redirect target.
+ *
+ * urlAnalysis.allowPrivateHosts turns the port and address checks off for
+ * local development against a test server.
+ */
+
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:']);
+const ALLOWED_PORTS = new Set(['', '80', '443']); // '' is the scheme's default port
+
+// Loopback, private, link-local, carrier-grade NAT, documentation,
+// benchmarking, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+    this.code = 'ERR_UNSAFE_URL';
+  }
+}
+
+function allowPrivateHosts() {
+  return getConfig().urlAnalysis.allowPrivateHosts;
+}
+
+/**
+ * IPv4 address embedded in an IPv4-mapped IPv6 address (::ffff:a.b.c.d or
+ * ::ffff:abcd:ef01), or null
+ */
+function mappedIPv4(address) {
+  const match = /^::ffff:(.+)$/i.exec(address);
+  if (!match) return null;
+  if (net.isIPv4(match[1])) return match[1];
+
+  const hex = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1]);
+  if (!hex) return null;
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Whether an IP address is publicly routable
+ */
+function isPublicAddress(address) {
+  const mapped = mappedIPv4(address);
+  if (mapped) return isPublicAddress(mapped);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Parse a submitted URL and reject anything that should never be fetched.
+ * Returns the parsed URL; throws UnsafeUrlError otherwise.
+ */
+function assertSafeUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input));
+  } catch (error) {
+    throw new UnsafeUrlError('Not a valid URL');
+  }
+
+  if (!ALLOWED_PROTOCOLS.has(url.protocol)) {
+    throw new UnsafeUrlError(`Only http and https URLs can be analyzed (got ${url.protocol.replace(/:$/, '')})`);
+  }
+  if (url.username || url.password) {
+    throw new UnsafeUrlError('URLs with credentials are not allowed');
+  }
+  if (allowPrivateHosts()) return url;
+  if (!ALLOWED_PORTS.has(url.port)) {
+    throw new UnsafeUrlError(`Port ${url.port} is not allowed; only the default http and https ports are`);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw new UnsafeUrlError(`${url.hostname} is not a public host`);
+  }
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new UnsafeUrlError(`${url.hostname} is not a public address`);
+  }
+  return url;
+}
+
+/**
+ * dns.lookup replacement for the fetch agents: fails the connection if the
+ * host resolves to any non-public address
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = allowPrivateHosts() ? null : addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new UnsafeUrlError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents for fetching submitted URLs; not shared with the rest of the backend
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+module.exports = {
+  UnsafeUrlError,
+  isPublicAddress,
+  assertSafeUrl,
+  httpAgent,
+  httpsAgent
+};
@@ -0,0 +1,469 @@
+/**
+ * Quantity-aware verification of numeric claims.
+ *
+ * Parses numbers with their units, magnitudes ("$3.2B" == "3.2 billion dollars"),
+ * direction words (rose/fell) and reference periods from claim and evidence,
+ * then compares each claim quantity against the evidence. Two figures are
+ * only compared when their sentences are about the same thing (shared
+ * content words or the same counted noun), so "revenue rose 12%" is never
+ * checked against "ice sheets melting 40% faster".
+ */
+
+const { tokenize } = require('../search-index');
+
+const MAGNITUDES = {
+  thousand: 1e3, k: 1e3,
+  million: 1e6, mn: 1e6, m: 1e6,
+  billion: 1e9, bn: 1e9, b: 1e9,
+  trillion: 1e12, tn: 1e12, t: 1e12
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = {
+  dollar: 'USD', dollars: 'USD', usd: 'USD',
+  euro: 'EUR', euros: 'EUR', eur: 'EUR',
+  pound: 'GBP', pounds: 'GBP', gbp: 'GBP',
+  yen: 'JPY'
+};
+
+// Words after a number that are not the thing being counted
+const NOUN_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'in', 'of', 'on', 'to', 'by', 'for', 'from', 'at', 'as',
+  'than', 'with', 'from', 'per', 'year', 'years', 'month', 'months', 'week', 'weeks', 'day', 'days'
+]);
+
+const UP_WORDS = /\b(rose|rise[sn]?|rising|increase[ds]?|increasing|grew|grow(?:s|n|ing)?|jump(?:ed|s)?|climb(?:ed|s)?|gain(?:ed|s)?|surge[ds]?|soar(?:ed|s)?|up|higher|more|added|raised|doubled|tripled)\b/gi;
+const DOWN_WORDS = /\b(fell|fall(?:s|en|ing)?|decrease[ds]?|decreasing|declin(?:e|ed|es|ing)|drop(?:ped|s)?|dipped|down|cut|slashed|shrank|shrunk|lower|less|fewer|plunge[ds]?|lost|halved|reduc(?:e|ed|es|ing))\b/gi;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+// Number, optional magnitude word or letter, then optional unit
+const QUANTITY_PATTERN = new RegExp(
+  '(?:([$€£¥])\\s?)?' +                                // 1: currency symbol
+  '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)' + // 2: number
+  '(?:([kmbt]|bn|mn|tn)\\b|\\s+(thousand|million|billion|trillion)\\b)?' + // 3/4: magnitude
+  '(?:\\s*(%|percent(?:age points?)?\\b|per cent\\b|points?\\b))?' + // 5: percent unit
+  '(?:\\s+([a-z]+))?',                                  // 6: following word (currency or noun)
+  'gi'
+);
+
+// Stems that say how or when a figure changed, or who reported it, rather than what it is about
+const NON_SUBJECT_TERMS = new Set(tokenize(
+  'rose rise rising increase increased grew grow growing jump jumped climb climbed gain gained surge soared higher ' +
+  'added raised doubled tripled fell fall falling decrease decreased decline declined drop dropped dipped cut ' +
+  'slashed shrank lower fewer plunged lost halved reduced percent percentage point points thousand million ' +
+  'billion trillion dollar dollars euro euros pound pounds yen year years month months week weeks day days ' +
+  'quarter said says reported according compared previous earlier ' + MONTHS.join(' ')
+));
+
+// Share of the claim's subject terms the evidence sentence must repeat before
+// a differing figure counts against the claim on its own
+const SAME_SUBJECT_OVERLAP = 0.5;
+
+// Between a figure and a bare one compared with it: "$3.2B, up from 2.9 billion"
+const COMPARISON_GAP = /^[\s,;(]*(?:(?:up|down)\s+)?(?:from|compared\s+(?:with|to)|versus|vs\.?|against|than)\s+(?:about|around|nearly|almost|roughly|some)?\s*$/i;
+
+const CURRENCIES = new Set(Object.values(CURRENCY_SYMBOLS));
+
+// Matched values within 0.5% are exact; within 5% (or 0.5 percentage points) are close
+const EXACT_TOLERANCE = 0.005;
+const CLOSE_TOLERANCE = 0.05;
+const CLOSE_POINTS = 0.5;
+
+/**
+ * Find the clause around an index so direction and period words stay local
+ */
+function clauseAround(text, start, end) {
+  const before = text.slice(0, start);
+  const after = text.slice(end);
+  // Punctuation only ends a clause when followed by a space, so "3.5" and "272,000" stay whole
+  const breakPattern = /[,;.](?:\s|$)|\swhile\s|\sand\s/g;
+  let clauseStart = 0;
+  let breakMatch;
+  while ((breakMatch = breakPattern.exec(before)) !== null) {
+    clauseStart = breakMatch.index + breakMatch[0].length;
+  }
+  const afterBreak = after.search(/[,;.](?:\s|$)|\swhile\s|\sand\s/);
+  return {
+    before: before.slice(clauseStart),
+    after: afterBreak === -1 ? after : after.slice(0, afterBreak)
+  };
+}
+
+/**
+ * The sentence around an index; what a figure is about is named there
+ */
+function sentenceAround(text, start, end) {
+  const breaks = [...text.slice(0, start).matchAll(/[.!?]\s+/g)];
+  const last = breaks[breaks.length - 1];
+  const sentenceStart = last ? last.index + last[0].length : 0;
+  const afterBreak = text.slice(end).search(/[.!?](?:\s|$)/);
+  return text.slice(sentenceStart, afterBreak === -1 ? text.length : end + afterBreak);
+}
+
+/**
+ * Stemmed content words of a sentence, leaving out figures and the words
+ * for direction, units and periods
+ */
+function subjectTerms(sentence) {
+  return [...new Set(tokenize(sentence).filter(term => !/\d/.test(term) && !NON_SUBJECT_TERMS.has(term)))];
+}
+
+/**
+ * What a figure is about: `subject`, the content words of its own clause
+ * (of its sentence when the clause has none, as in "down from 3.7%"), and
+ * `context`, those of its whole sentence
+ */
+function describeSubject(text, start, end, clause) {
+  const context = subjectTerms(sentenceAround(text, start, end));
+  const own = subjectTerms(clause);
+  return { subject: own.length > 0 ? own : context, context };
+}
+
+/**
+ * Direction word closest before the number in its clause ('up', 'down' or null)
+ */
+function detectDirection(before, after) {
+  const lastMatch = (pattern, text) => {
+    let index = -1;
+    text.replace(pattern, (match, _g, offset) => {
+      index = offset;
+      return match;
+    });
+    return index;
+  };
+
+  const up = lastMatch(UP_WORDS, before);
+  const down = lastMatch(DOWN_WORDS, before);
+  if (up !== -1 || down !== -1) {
+    return up > down ? 'up' : 'down';
+  }
+
+  // "... 3.5%, down from 3.7%" / "sales were 10% higher"
+  const upAfter = after.search(UP_WORDS);
+  const downAfter = after.search(DOWN_WORDS);
+  if (upAfter === -1 && downAfter === -1) return null;
+  if (upAfter === -1) return 'down';
+  if (downAfter === -1) return 'up';
+  return upAfter < downAfter ? 'up' : 'down';
+}
+
+/**
+ * Whether the number is a change ("by"), a new level ("to") or a baseline ("from")
+ */
+function detectRole(before) {
+  const match = before.match(/\b(by|to|from|of|at)\s*(?:about|around|nearly|almost|roughly|some|over|under|more than|less than)?\s*$/i);
+  if (!match) return null;
+  const word = match[1].toLowerCase();
+  if (word === 'by') return 'change';
+  if (word === 'from') return 'baseline';
+  return 'level';
+}
+
+/**
+ * Reference period mentioned in the clause (year, quarter and/or month)
+ */
+function detectPeriod(clause) {
+  const lower = clause.toLowerCase();
+  const period = {};
+
+  const year = lower.match(/\b(19\d{2}|20\d{2})\b/);
+  if (year) period.year = Number(year[1]);
+
+  const quarter = lower.match(/\bq([1-4])\b/) || lower.match(/\b(first|second|third|fourth) quarter\b/);
+  if (quarter) period.quarter = QUARTER_WORDS[quarter[1]] || Number(quarter[1]);
+
+  const month = MONTHS.findIndex(name => new RegExp(`\\b${name}\\b`).test(lower));
+  if (month !== -1) period.month = month + 1;
+
+  return Object.keys(period).length > 0 ? period : null;
+}
+
+/**
+ * Parse every quantity in a piece of text
+ */
+function extractQuantities(text) {
+  const source = String(text || '');
+  const quantities = [];
+  let match;
+
+  QUANTITY_PATTERN.lastIndex = 0;
+  while ((match = QUANTITY_PATTERN.exec(source)) !== null) {
+    const [raw, symbol, digits, magnitudeLetter, magnitudeWord, percentUnit, nextWord] = match;
+
+    // Skip digits glued to letters (model names, ids like "A320")
+    const prevChar = source[match.index - 1];
+    if (prevChar && /[a-z]/i.test(prevChar)) continue;
+
+    const magnitudeKey = (magnitudeLetter || magnitudeWord || '').toLowerCase();
+    const magnitude = MAGNITUDES[magnitudeKey] || 1;
+    const number = parseFloat(digits.replace(/,/g, ''));
+    if (isNaN(number)) continue;
+
+    const following = (nextWord || '').toLowerCase();
+    let unit = 'count';
+    let noun = null;
+
+    if (percentUnit) {
+      unit = /point/i.test(percentUnit) ? 'percentage_points' : 'percent';
+    } else if (symbol) {
+      unit = CURRENCY_SYMBOLS[symbol];
+    } else if (CURRENCY_WORDS[following]) {
+      unit = CURRENCY_WORDS[following];
+    } else if (following && !NOUN_STOPWORDS.has(following)) {
+      noun = following;
+    }
+
+    // A bare four-digit year is a reference period, not a quantity
+    const isYear = unit === 'count' && magnitude === 1 && /^(19|20)\d{2}$/.test(digits);
+    if (isYear) continue;
+
+    // A bare figure compared with a sum of money is in the same currency
+    const previous = quantities[quantities.length - 1];
+    if (unit === 'count' && !noun && previous && CURRENCIES.has(previous.unit) &&
+        COMPARISON_GAP.test(source.slice(previous.end, match.index))) {
+      unit = previous.unit;
+    }
+
+    // Drop the trailing noun from the raw text when it is not part of the quantity
+    const rawText = (noun || (nextWord && unit !== 'count' && !CURRENCY_WORDS[following]))
+      ? raw.slice(0, raw.length - nextWord.length).trim()
+      : raw.trim();
+
+    const start = match.index;
+    const end = start + raw.length;
+    const { before, after } = clauseAround(source, start, end);
+
+    quantities.push({
+      raw: rawText,
+      value: number * magnitude,
+      unit,
+      noun,
+      ...describeSubject(source, start, end, `${before} ${after}`),
+      direction: detectDirection(before, after),
+      role: detectRole(before),
+      period: detectPeriod(`${before} ${after}`),
+      index: start,
+      end: start + rawText.length
+    });
+
+    // Let the next match start at the following word rather than inside the noun we just read
+    if (nextWord) {
+      QUANTITY_PATTERN.lastIndex = end - nextWord.length;
+    }
+  }
+
+  return quantities;
+}
+
+function sameNoun(a, b) {
+  // Loose stem match: "jobs"/"job", "workers"/"worker"
+  return !!a.noun && !!b.noun && a.noun.replace(/s$/, '') === b.noun.replace(/s$/, '');
+}
+
+/**
+ * Units (and counted nouns) must agree for two quantities to be compared
+ */
+function unitsCompatible(a, b) {
+  if (a.unit !== b.unit) return false;
+  if (a.unit !== 'count') return true;
+  if (!a.noun || !b.noun) return true;
+  return sameNoun(a, b);
+}
+
+/**
+ * Share of the claim quantity's subject terms found in the evidence
+ * quantity's sentence, or null when the two are about different things
+ * (neither a shared term nor the same counted noun). A claim naming no
+ * subject can be compared with anything, at overlap 0.
+ */
+function subjectOverlap(claimQuantity, evidenceQuantity) {
+  const claimTerms = claimQuantity.subject || [];
+  if (claimTerms.length === 0) return 0;
+  const evidenceTerms = new Set(evidenceQuantity.context || []);
+  const shared = claimTerms.filter(term => evidenceTerms.has(term)).length;
+  if (shared === 0 && !sameNoun(claimQuantity, evidenceQuantity)) return null;
+  return shared / claimTerms.length;
+}
+
+/**
+ * Periods conflict only when both name the same field with different values
+ */
+function periodsCompatible(a, b) {
+  if (!a || !b) return true;
+  return ['year', 'quarter', 'month'].every(field =>
+    a[field] === undefined || b[field] === undefined || a[field] === b[field]
+  );
+}
+
+/**
+ * Baselines ("from 3.7%") are only compared with baselines
+ */
+function rolesCompatible(a, b) {
+  return (a.role === 'baseline') === (b.role === 'baseline');
+}
+
+function relativeDifference(a, b) {
+  const scale = Math.max(Math.abs(a), Math.abs(b));
+  return scale === 0 ? 0 : Math.abs(a - b) / scale;
+}
+
+/**
+ * Classify how an evidence quantity relates to a claim quantity
+ */
+function compareQuantity(claimQuantity, evidenceQuantity) {
+  const difference = relativeDifference(claimQuantity.value, evidenceQuantity.value);
+  const pointDifference = Math.abs(claimQuantity.value - evidenceQuantity.value);
+  const isPercent = claimQuantity.unit === 'percent' || claimQuantity.unit === 'percentage_points';
+
+  let status;
+  if (difference <= EXACT_TOLERANCE) {
+    status = 'match';
+  } else if (difference <= CLOSE_TOLERANCE || (isPercent && pointDifference <= CLOSE_POINTS)) {
+    status = 'close';
+  } else {
+    status = 'mismatch';
+  }
+
+  // Same number moving the other way is a contradiction ("rose 4%" vs "fell 4%")
+  const directionConflict = claimQuantity.direction && evidenceQuantity.direction &&
+    claimQuantity.direction !== evidenceQuantity.direction;
+  if (directionConflict && status !== 'mismatch') {
+    return { status: 'mismatch', reason: 'direction', difference };
+  }
+
+  return { status, reason: status === 'mismatch' ? 'value' : null, difference };
+}
+
+const STATUS_RANK = { match: 4, close: 3, mismatch: 2, period_mismatch: 1, not_found: 0 };
+
+/**
+ * Compare each claim quantity with the quantities in one evidence text.
+ * Returns one result per claim quantity with the best evidence counterpart.
+ */
+function compareQuantities(claimQuantities, evidenceText) {
+  const evidenceQuantities = extractQuantities(evidenceText);
+
+  return claimQuantities.map(claimQuantity => {
+    const comparable = evidenceQuantities
+      .filter(q => unitsCompatible(claimQuantity, q) && rolesCompatible(claimQuantity, q))
+      .map(q => ({ quantity: q, overlap: subjectOverlap(claimQuantity, q) }))
+      .filter(candidate => candidate.overlap !== null);
+
+    if (comparable.length === 0) {
+      return { claim: claimQuantity, status: 'not_found', evidence: null };
+    }
+
+    const inPeriod = comparable.filter(({ quantity }) => periodsCompatible(claimQuantity.period, quantity.period));
+    if (inPeriod.length === 0) {
+      return { claim: claimQuantity, status: 'period_mismatch', evidence: comparable[0].quantity, overlap: comparable[0].overlap };
+    }
+
+    let best = null;
+    inPeriod.forEach(({ quantity: evidenceQuantity, overlap }) => {
+      const comparison = compareQuantity(claimQuantity, evidenceQuantity);
+      // Same status: the figure most clearly about the claim's subject, then the closest value
+      const better = !best ||
+        STATUS_RANK[comparison.status] > STATUS_RANK[best.status] ||
+        (comparison.status === best.status && (overlap > best.overlap ||
+          (overlap === best.overlap && comparison.difference < best.difference)));
+      if (better) {
+        best = { claim: claimQuantity, evidence: evidenceQuantity, overlap, ...comparison };
+      }
+    });
+
+    return best;
+  });
+}
+
+/**
+ * Nudge one evidence item's NLI scores with its quantity comparison:
+ * exact matches add support, mismatches add contradiction. A differing
+ * figure only counts against the claim when the evidence sentence is
+ * clearly about the same thing, or when NLI already takes a side; a passage
+ * NLI finds neutral that merely shares a word is left alone.
+ */
+function adjustScoresForQuantities(scores, checks) {
+  if (!checks || checks.length === 0) return scores;
+
+  const nliTakesSide = Math.max(scores.entail, scores.contra) > (scores.neutral ?? 0);
+  const matches = checks.filter(c => c.status === 'match').length;
+  const close = checks.filter(c => c.status === 'close').length;
+  const mismatches = checks.filter(c => c.status === 'mismatch' &&
+    (nliTakesSide || c.overlap >= SAME_SUBJECT_OVERLAP)).length;
+  if (matches + close + mismatches === 0) return scores;
+
+  let { entail, contra } = scores;
+  if (mismatches > 0 && matches === 0) {
+    contra = Math.min(contra + 0.25 * mismatches, 0.8);
+    entail *= 0.6;
+  } else if (matches > 0 && mismatches === 0) {
+    entail = Math.min(entail + 0.15 * matches + 0.05 * close, 0.9);
+  } else if (close > 0 && mismatches === 0) {
+    entail = Math.min(entail + 0.05 * close, 0.9);
+  }
+
+  return {
+    ...scores,
+    entail,
+    contra,
+    neutral: Math.max(0, 1 - entail - contra)
+  };
+}
+
+/**
+ * Format a parsed quantity for API output
+ */
+function describeQuantity(quantity) {
+  if (!quantity) return null;
+  return {
+    text: quantity.raw,
+    value: quantity.value,
+    unit: quantity.unit,
+    noun: quantity.noun,
+    direction: quantity.direction,
+    role: quantity.role,
+    period: quantity.period
+  };
+}
+
+/**
+ * Roll per-evidence comparisons up into one result per claim quantity.
+ * `checksPerEvidence[i]` is compareQuantities() output for evidence i.
+ */
+function summarizeQuantityChecks(claimQuantities, checksPerEvidence, evidenceSources = []) {
+  const results = claimQuantities.map((quantity, q) => {
+    const perEvidence = checksPerEvidence
+      .map((checks, i) => ({ check: checks[q], source: evidenceSources[i] }))
+      .filter(item => item.check && item.check.status !== 'not_found');
+
+    const best = perEvidence.reduce((top, item) =>
+      !top || STATUS_RANK[item.check.status] > STATUS_RANK[top.check.status] ? item : top, null);
+
+    return {
+      quantity: describeQuantity(quantity),
+      status: best ? best.check.status : 'not_found',
+      reason: best?.check.reason || null,
+      evidence_quantity: describeQuantity(best?.check.evidence),
+      source: best?.source ? { title: best.source.title, url: best.source.url, publisher: best.source.publisher } : null,
+      matches: perEvidence.filter(item => item.check.status === 'match').length,
+      close: perEvidence.filter(item => item.check.status === 'close').length,
+      mismatches: perEvidence.filter(item => item.check.status === 'mismatch').length
+    };
+  });
+
+  const counts = { match: 0, close: 0, mismatch: 0, period_mismatch: 0, not_found: 0 };
+  results.forEach(result => {
+    counts[result.status]++;
+  });
+
+  return { results, counts };
+}
+
+module.exports = {
+  extractQuantities,
+  compareQuantities,
+  adjustScoresForQuantities,
+  summarizeQuantityChecks
+};
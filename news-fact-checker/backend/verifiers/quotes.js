@@ -0,0 +1,267 @@
+/**
+ * Verification of direct quotes.
+ *
+ * A sentence quoting someone ("We will not raise taxes," said Senator Doe)
+ * is checked for what was said and by whom, not for whether the quoted words
+ * are true: each evidence passage is searched for the quoted wording, then
+ * for near-variants of it (a changed word, indirect speech), and the speaker
+ * the passage credits is compared with the claimed one.
+ */
+
+const natural = require('natural');
+const { tokenize } = require('../search-index');
+
+const SPEECH_VERBS = 'said|says|say|told|tells|added|adds|stated|states|declared|wrote|writes|tweeted|posted|' +
+  'insisted|argued|claimed|claims|warned|warns|explained|announced|asked|noted|remarked|replied|responded|' +
+  'recalled|continued|admitted|acknowledged|promised|vowed';
+
+// A speaker name: up to five capitalized words ("Senator Jane Doe")
+const NAME = "(?:[A-Z][\\w'’.-]*\\s+){0,4}[A-Z][\\w'’.-]*";
+const PRONOUN = '[Hh]e|[Ss]he|[Tt]hey|I|[Ww]e';
+
+// Attribution right after a closing quote or right before an opening one
+const SPEAKER_AFTER = [
+  new RegExp(`^\\s*[,.!?]?\\s*(?:${SPEECH_VERBS})\\s+(${NAME})`),
+  new RegExp(`^\\s*[,.!?]?\\s*(${NAME}|${PRONOUN})\\s+(?:${SPEECH_VERBS})\\b`),
+  new RegExp(`^\\s*[,.!?]?\\s*according to\\s+(${NAME})`)
+];
+const SPEAKER_BEFORE = [
+  new RegExp(`(${NAME}|${PRONOUN})\\s+(?:${SPEECH_VERBS})(?:\\s+[\\w\\s]{0,30}?)?\\s*[,:]?\\s*$`),
+  new RegExp(`according to\\s+(${NAME})\\s*[,:]?\\s*$`)
+];
+
+// Speakers credited anywhere in an evidence passage, quoted or not
+const ATTRIBUTIONS = [
+  new RegExp(`(${NAME})\\s+(?:${SPEECH_VERBS})\\b`, 'g'),
+  new RegExp(`\\b(?:${SPEECH_VERBS})\\s+(${NAME})`, 'g'),
+  new RegExp(`according to\\s+(${NAME})`, 'g')
+];
+
+const QUOTE_SPAN = /["“”]([^"“”]+)["“”]/g;
+const ELLIPSIS = /\s*(?:\.\s?\.\s?\.|…|\[[^\]]*\])\s*/;
+
+// Words of a name that do not identify the person
+const TITLES = new Set([
+  'senator', 'sen', 'representative', 'rep', 'president', 'vice', 'mayor', 'governor', 'gov', 'dr', 'prof',
+  'professor', 'minister', 'prime', 'secretary', 'chancellor', 'judge', 'justice', 'general', 'gen', 'ceo',
+  'chief', 'mr', 'mrs', 'ms', 'sir', 'dame', 'jr', 'sr', 'ii', 'iii'
+]);
+
+const NEGATIONS = /\b(?:not|no|never|nothing|none|nobody|neither|nor|cannot|\w+n't)\b/;
+
+// How good a per-source result is, best first: the wording found and credited to the speaker
+const RESULT_RANK = [
+  ['verbatim', 'speaker'], ['paraphrased', 'speaker'], ['verbatim', 'none'], ['paraphrased', 'none'],
+  ['misattributed', 'other'], ['not_found', 'none']
+];
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'").replace(/[^\p{L}\p{N}'%]/gu, '').replace(/^'+|'+$/g, '');
+}
+
+function joinWords(run) {
+  return run.map(w => w.word).join(' ').replace(/^["“”‘']+|["“”’',.;:]+$/g, '');
+}
+
+function words(text) {
+  return String(text || '').split(/\s+/).map(word => ({ word, norm: normalizeWord(word) })).filter(w => w.norm);
+}
+
+/**
+ * Lowercased surname that identifies a speaker ("Senator Jane Doe" -> "doe"),
+ * or null for pronouns and titles alone
+ */
+function speakerKey(name) {
+  const parts = String(name || '').split(/\s+/).map(normalizeWord).filter(part => part && !TITLES.has(part.replace(/\.$/, '')));
+  const key = parts[parts.length - 1];
+  return key && !new RegExp(`^(?:${PRONOUN})$`, 'i').test(key) ? key.replace(/'s$/, '') : null;
+}
+
+/**
+ * The direct quote in a sentence, or null: quoted spans of at least
+ * `minWords` words (shorter ones are scare quotes or titles) with a speech
+ * verb next to one of them. Returns { text, fragments, speaker }; the
+ * speaker is null when the sentence only has a pronoun.
+ */
+function findQuote(sentence, { minWords = 4 } = {}) {
+  const text = String(sentence || '');
+  const spans = [...text.matchAll(QUOTE_SPAN)]
+    .filter(match => words(match[1]).length >= minWords);
+  if (spans.length === 0) return null;
+
+  let attributed = false;
+  let speaker = null;
+  for (const match of spans) {
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    const found = SPEAKER_AFTER.map(pattern => after.match(pattern)).find(Boolean) ||
+      SPEAKER_BEFORE.map(pattern => before.match(pattern)).find(Boolean);
+    if (found) {
+      attributed = true;
+      speaker = speaker || (speakerKey(found[1]) ? found[1].trim().replace(/[.,]$/, '') : null);
+    }
+  }
+  if (!attributed) return null;
+
+  const quoted = spans.map(match => match[1].trim().replace(/[,.]$/, ''));
+  return {
+    text: quoted.join(' … '),
+    // Ellipses and [bracketed] insertions mark omitted words
+    fragments: quoted.flatMap(part => part.split(ELLIPSIS)).filter(part => words(part).length > 0),
+    speaker
+  };
+}
+
+/**
+ * Search query for a quote: the speaker and the start of the longest
+ * fragment as an exact phrase
+ */
+function quoteSearchQuery(quote, maxWords = 10) {
+  const longest = quote.fragments.reduce((a, b) => (words(b).length > words(a).length ? b : a));
+  const phrase = longest.split(/\s+/).slice(0, maxWords).join(' ').replace(/["“”]/g, '');
+  return [quote.speaker, `"${phrase}"`].filter(Boolean).join(' ');
+}
+
+function similarity(a, b) {
+  const left = tokenize(a);
+  const right = new Set(tokenize(b));
+  const shared = new Set(left.filter(term => right.has(term))).size;
+  const union = new Set([...left, ...right]).size;
+  return (natural.DiceCoefficient(a, b) + (union > 0 ? shared / union : 0)) / 2;
+}
+
+/**
+ * Best match for one fragment in the evidence words: verbatim if its words
+ * appear in sequence, else the most similar run of about the same length
+ * (a run that drops or adds a negation never counts)
+ */
+function matchFragment(fragment, evidenceWords) {
+  const target = words(fragment).map(w => w.norm);
+  const targetText = target.join(' ');
+  const negated = NEGATIONS.test(targetText);
+  let best = { verbatim: false, similarity: 0, text: null };
+
+  for (let length = Math.max(1, target.length - 3); length <= target.length + 3; length++) {
+    for (let start = 0; start + length <= evidenceWords.length; start++) {
+      const run = evidenceWords.slice(start, start + length);
+      const runText = run.map(w => w.norm).join(' ');
+      if (runText === targetText) {
+        return { verbatim: true, similarity: 1, text: joinWords(run) };
+      }
+      if (NEGATIONS.test(runText) !== negated) continue;
+      const score = similarity(targetText, runText);
+      if (score > best.similarity) {
+        best = { verbatim: false, similarity: score, text: joinWords(run) };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Speakers an evidence passage credits with something
+ */
+function findSpeakers(text) {
+  const names = ATTRIBUTIONS.flatMap(pattern => [...String(text || '').matchAll(pattern)].map(match => match[1].trim()));
+  return [...new Set(names.filter(speakerKey))];
+}
+
+/**
+ * Check one evidence passage for the quote. `settings` is the config's
+ * `quotes` section.
+ */
+function checkPassage(quote, passageText, settings) {
+  const evidenceWords = words(passageText);
+  const matches = quote.fragments.map(fragment => matchFragment(fragment, evidenceWords));
+  const score = matches.reduce((sum, match) => sum + match.similarity, 0) / matches.length;
+
+  let wording = 'not_found';
+  if (matches.every(match => match.verbatim)) wording = 'verbatim';
+  else if (matches.every(match => match.verbatim || match.similarity >= settings.paraphraseThreshold)) wording = 'paraphrased';
+  if (wording === 'not_found') {
+    return { status: 'not_found', similarity: Number(score.toFixed(3)), matched_text: null, attribution: 'none', attributed_to: null };
+  }
+
+  // Credited to the speaker when the passage names them; to someone else
+  // when it only names other speakers
+  const key = speakerKey(quote.speaker);
+  const mentionsSpeaker = key && new RegExp(`\\b${key}\\b`, 'i').test(passageText);
+  const others = key && !mentionsSpeaker ? findSpeakers(passageText).filter(name => speakerKey(name) !== key) : [];
+  const attribution = mentionsSpeaker ? 'speaker' : others.length > 0 ? 'other' : 'none';
+
+  return {
+    status: attribution === 'other' ? 'misattributed' : wording,
+    similarity: Number(score.toFixed(3)),
+    matched_text: matches.map(match => match.text).join(' … '),
+    attribution,
+    attributed_to: attribution === 'other' ? others[0] : null
+  };
+}
+
+function rankOf(result) {
+  return RESULT_RANK.findIndex(([status, attribution]) => result.status === status && result.attribution === attribution);
+}
+
+/**
+ * Check a quote against evidence passages (`{ text, source }`) and sum up:
+ * the best result across sources decides the status, and the per-source
+ * results that found the wording are kept.
+ */
+function checkQuote(quote, passages, settings) {
+  const results = passages.map(({ text, source }) => ({ ...checkPassage(quote, text, settings), source }));
+  const best = results.reduce((top, result) => (!top || rankOf(result) < rankOf(top) ? result : top), null);
+  const found = best && best.status !== 'not_found' ? best : null;
+
+  const counts = { verbatim: 0, paraphrased: 0, misattributed: 0, not_found: 0 };
+  results.forEach(result => {
+    counts[result.status]++;
+  });
+
+  const describeSource = source => (source ? { title: source.title, url: source.url, publisher: source.publisher } : null);
+  return {
+    quote: quote.text,
+    speaker: quote.speaker,
+    status: found ? found.status : 'not_found',
+    speaker_confirmed: found?.attribution === 'speaker',
+    attributed_to: found?.attributed_to || null,
+    similarity: found ? found.similarity : null,
+    matched_text: found ? found.matched_text : null,
+    source: found ? describeSource(found.source) : null,
+    confirmations: results.filter(result => result.status === 'verbatim' && result.attribution === 'speaker').length,
+    counts,
+    matches: results
+      .filter(result => result.status !== 'not_found')
+      .sort((a, b) => rankOf(a) - rankOf(b) || b.similarity - a.similarity)
+      .slice(0, 5)
+      .map(result => ({
+        status: result.status,
+        similarity: result.similarity,
+        matched_text: result.matched_text,
+        attributed_to: result.attributed_to,
+        source: describeSource(result.source)
+      }))
+  };
+}
+
+/**
+ * Verdict for a quote claim from its check: confirmed verbatim quotes are
+ * supported (strongly with two sources), paraphrases only weakly, a quote
+ * credited to someone else is likely false, and an unconfirmed one is
+ * unsettled
+ */
+function quoteVerdict(check) {
+  if (check.status === 'verbatim') {
+    if (!check.speaker_confirmed) return 'weakly_supported';
+    return check.confirmations >= 2 ? 'strongly_supported' : 'supported';
+  }
+  if (check.status === 'paraphrased') return check.speaker_confirmed ? 'weakly_supported' : 'insufficient_evidence';
+  if (check.status === 'misattributed') return 'likely_false';
+  return 'insufficient_evidence';
+}
+
+module.exports = {
+  findQuote,
+  quoteSearchQuery,
+  checkQuote,
+  quoteVerdict
+};
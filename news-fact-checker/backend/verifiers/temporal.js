@@ -0,0 +1,262 @@
+/**
+ * Temporal validity of evidence.
+ *
+ * Works out the period a claim is about ("in May 2024", "Q3 2023", "last
+ * year") and checks each piece of evidence against it: a passage that
+ * mentions an overlapping period, or a source published during the period
+ * (or within a grace period after it, when results get reported), is in the
+ * window. A source published before the period began cannot speak to it and
+ * is stale; one that only talks about other periods is out of the window.
+ *
+ * Periods are { start, end } in milliseconds (UTC), end exclusive.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_ALTERNATION = `(${MONTHS.join('|')}|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\\.?`;
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+const YEAR = '((?:19|20)\\d{2})';
+
+// Prepositions that make a bare four-digit number a year rather than a count
+const YEAR_CONTEXT = /\b(?:in|since|by|during|of|from|to|until|through|throughout|before|after|for|early|late|mid|end of|start of)[\s-]+$/i;
+
+// Setting holding the weight factor for each down-weighted status
+const STATUS_WEIGHTS = { out_of_window: 'outOfWindowWeight', stale: 'staleWeight' };
+
+// What a verdict becomes when every source it rests on is from the wrong period
+const CAPPED_VERDICTS = {
+  strongly_supported: 'weakly_supported',
+  supported: 'weakly_supported',
+  refuted: 'weakly_refuted',
+  likely_false: 'weakly_refuted'
+};
+
+function monthIndex(name) {
+  const lower = name.toLowerCase().replace(/\.$/, '');
+  return MONTHS.findIndex(month => month.startsWith(lower.slice(0, 3)));
+}
+
+function yearPeriod(year, endYear = year) {
+  return { start: Date.UTC(year, 0, 1), end: Date.UTC(endYear + 1, 0, 1) };
+}
+
+function monthPeriod(year, month) {
+  return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+}
+
+function dayPeriod(year, month, day) {
+  const start = Date.UTC(year, month, day);
+  return { start, end: start + DAY_MS };
+}
+
+/**
+ * Time expressions recognized in text, most specific first. Each returns a
+ * period for its match (or null to skip it); `context.now` resolves relative
+ * expressions.
+ */
+const PATTERNS = [
+  {
+    // March 3, 2021 / 3 March 2021
+    pattern: new RegExp(`\\b${MONTH_ALTERNATION}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+${YEAR}\\b|\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_ALTERNATION}\\s+${YEAR}\\b`, 'gi'),
+    toPeriod: m => m[1]
+      ? dayPeriod(Number(m[3]), monthIndex(m[1]), Number(m[2]))
+      : dayPeriod(Number(m[6]), monthIndex(m[5]), Number(m[4]))
+  },
+  {
+    // 2021-03-03
+    pattern: /\b((?:19|20)\d{2})-(\d{2})-(\d{2})\b/g,
+    toPeriod: m => dayPeriod(Number(m[1]), Number(m[2]) - 1, Number(m[3]))
+  },
+  {
+    // May 2024 / May of 2024
+    pattern: new RegExp(`\\b${MONTH_ALTERNATION}\\s+(?:of\\s+)?${YEAR}\\b`, 'gi'),
+    toPeriod: m => monthPeriod(Number(m[2]), monthIndex(m[1]))
+  },
+  {
+    // Q3 2024 / third quarter of 2024
+    pattern: new RegExp(`\\b(?:q([1-4])|(first|second|third|fourth)\\s+quarter)\\s+(?:of\\s+)?${YEAR}\\b`, 'gi'),
+    toPeriod: m => {
+      const quarter = m[1] ? Number(m[1]) : QUARTER_WORDS[m[2].toLowerCase()];
+      const year = Number(m[3]);
+      return { start: Date.UTC(year, (quarter - 1) * 3, 1), end: Date.UTC(year, quarter * 3, 1) };
+    }
+  },
+  {
+    // between 2010 and 2015 / from 2010 to 2015 / 2010-2015
+    pattern: new RegExp(`\\b(?:between\\s+${YEAR}\\s+and|from\\s+${YEAR}\\s+(?:to|through|until)|${YEAR}\\s*[-–]\\s*)\\s*${YEAR}\\b`, 'gi'),
+    toPeriod: m => {
+      const from = Number(m[1] || m[2] || m[3]);
+      const to = Number(m[4]);
+      return to >= from ? yearPeriod(from, to) : null;
+    }
+  },
+  {
+    // the 1990s
+    pattern: /\b((?:19|20)\d)0s\b/g,
+    toPeriod: m => yearPeriod(Number(m[1]) * 10, Number(m[1]) * 10 + 9)
+  },
+  {
+    // this year, last month, yesterday...
+    relative: true,
+    pattern: /\b(?:(this|last|next|past|previous)\s+(year|month|quarter)|(today|yesterday))\b/gi,
+    toPeriod: (m, { now }) => {
+      const year = now.getUTCFullYear();
+      const month = now.getUTCMonth();
+      if (m[3]) {
+        const day = dayPeriod(year, month, now.getUTCDate());
+        return m[3].toLowerCase() === 'yesterday' ? { start: day.start - DAY_MS, end: day.start } : day;
+      }
+      const offset = { this: 0, next: 1 }[m[1].toLowerCase()] ?? -1;
+      const unit = m[2].toLowerCase();
+      if (unit === 'year') return yearPeriod(year + offset);
+      if (unit === 'month') return monthPeriod(year, month + offset);
+      const quarterStart = Math.floor(month / 3) * 3 + offset * 3;
+      return { start: Date.UTC(year, quarterStart, 1), end: Date.UTC(year, quarterStart + 3, 1) };
+    }
+  },
+  {
+    // in 2019 / since 2020 / by 2030: a bare year needs a preposition or a date tag
+    pattern: new RegExp(`\\b${YEAR}\\b(?![.,]?\\d|\\s*%)`, 'g'),
+    toPeriod: (m, { text, years }) =>
+      years.includes(m[1]) || YEAR_CONTEXT.test(text.slice(Math.max(0, m.index - 12), m.index))
+        ? yearPeriod(Number(m[1]))
+        : null
+  }
+];
+
+/**
+ * Periods mentioned in text, without overlaps between expressions. `years`
+ * are four-digit years that count even without a preposition (e.g. tagged
+ * as dates by compromise). Relative expressions are resolved against `now`,
+ * or skipped when it is null.
+ */
+function findPeriods(text, { now = new Date(), years = [] } = {}) {
+  const source = String(text || '');
+  const found = [];
+  const covered = [];
+  const isCovered = (start, end) => covered.some(([from, to]) => start < to && end > from);
+
+  PATTERNS.forEach(({ pattern, toPeriod, relative }) => {
+    if (relative && !now) return;
+    for (const match of source.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (isCovered(start, end)) continue;
+      const period = toPeriod(match, { now, text: source, years });
+      if (!period || Number.isNaN(period.start) || period.end <= period.start) continue;
+      covered.push([start, end]);
+      found.push({ ...period, text: match[0], relative: !!relative });
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+function toIso(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * The period a claim is about, or null when it names none. `dateExpressions`
+ * are compromise's #Date matches for the claim; years among them count even
+ * without a preposition ("2024 figures"). Relative expressions ("this year")
+ * are resolved against `now` and only used when the claim names no absolute
+ * period, since next to one they are usually a comparison.
+ */
+function extractTimeFrame(text, dateExpressions = [], { now = new Date() } = {}) {
+  const years = dateExpressions.flatMap(expression => String(expression).match(/\b(?:19|20)\d{2}\b/g) || []);
+  const found = findPeriods(text, { now, years });
+  const absolute = found.filter(period => !period.relative);
+  const periods = absolute.length > 0 ? absolute : found;
+  if (periods.length === 0) return null;
+
+  return {
+    start: Math.min(...periods.map(period => period.start)),
+    end: Math.max(...periods.map(period => period.end)),
+    // Baselines ("above 2019 levels") aside, the claim is about its latest period
+    latest_start: Math.max(...periods.map(period => period.start)),
+    expressions: periods.map(period => period.text)
+  };
+}
+
+/**
+ * Check one piece of evidence against a claim's time frame. `settings` is
+ * the config's `temporal` section.
+ */
+function checkEvidencePeriod(timeFrame, source, passageText, settings) {
+  const publishedAt = Date.parse(source?.publishedAt || '');
+  const published = Number.isNaN(publishedAt) ? null : publishedAt;
+  // "last year" in a source means the year before it was published
+  const mentioned = findPeriods(passageText, { now: published === null ? null : new Date(published) });
+  const overlapping = mentioned.filter(period => period.start < timeFrame.end && period.end > timeFrame.start);
+
+  let status;
+  let basis;
+  if (overlapping.length > 0) {
+    status = 'in_window';
+    basis = 'mentions_period';
+  } else if (published !== null) {
+    basis = 'published_at';
+    if (published < timeFrame.latest_start) status = 'stale';
+    else if (published < timeFrame.end + settings.graceDays * DAY_MS) status = 'in_window';
+    else status = 'out_of_window';
+  } else if (mentioned.length > 0) {
+    status = 'out_of_window';
+    basis = 'mentions_other_period';
+  } else {
+    status = 'unknown';
+    basis = null;
+  }
+
+  return {
+    status,
+    basis,
+    published_at: published === null ? null : new Date(published).toISOString(),
+    mentioned: mentioned.map(period => period.text),
+    weight_factor: status === 'in_window' || status === 'unknown' ? 1 : settings[STATUS_WEIGHTS[status]]
+  };
+}
+
+/**
+ * Claim-level summary from the claim's evidence entries (each with
+ * `temporal`, `counted` and `stance`). The claim relies on stale evidence
+ * when every source that took a side (or every counted source, if none did)
+ * is stale or out of the window.
+ */
+function summarizeTemporalChecks(timeFrame, evidence) {
+  const counted = evidence.filter(entry => entry.counted && entry.temporal);
+  const decisive = counted.filter(entry => entry.stance !== 'neutral');
+  const basis = decisive.length > 0 ? decisive : counted;
+
+  const counts = { in_window: 0, out_of_window: 0, stale: 0, unknown: 0 };
+  counted.forEach(entry => {
+    counts[entry.temporal.status]++;
+  });
+
+  return {
+    time_frame: {
+      start: toIso(timeFrame.start),
+      end: toIso(timeFrame.end - DAY_MS),
+      expressions: timeFrame.expressions
+    },
+    counts,
+    stale_evidence: basis.length > 0 &&
+      basis.every(entry => entry.temporal.status === 'stale' || entry.temporal.status === 'out_of_window')
+  };
+}
+
+/**
+ * Weaken a verdict that rests only on evidence from the wrong period
+ */
+function capStaleVerdict(verdict) {
+  return CAPPED_VERDICTS[verdict] || verdict;
+}
+
+module.exports = {
+  findPeriods,
+  extractTimeFrame,
+  checkEvidencePeriod,
+  summarizeTemporalChecks,
+  capStaleVerdict
+};
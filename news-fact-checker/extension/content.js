@@ -9,6 +9,7 @@ let pageData = {
   claims: [],
   sources: [],
   consensus: null,
+  result: null,
   status: 'initializing'
 };
 
@@ -681,6 +682,51 @@ function highlightAndShowSources(element, text, claimData) {
     <div style="margin-bottom: 12px;">
       <div style="font-size: 12px; color: #666; margin-bottom: 4px;">Support: ${typeof supportScore === 'number' ? supportScore.toFixed(2) : supportScore} | Contradiction: ${typeof contraScore === 'number' ? contraScore.toFixed(2) : contraScore}</div>
     </div>
+    ${claimData.resolved_text && claimData.resolved_text !== claimData.text ? `
+      <div style="margin-bottom: 12px;">
+        <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;">Checked as:</div>
+        <div class="fact-check-resolved-text" style="font-size: 12px; color: #555; line-height: 1.4;"></div>
+      </div>
+    ` : ''}
+    ${claimData.subjectivity && claimData.subjectivity.cues.some(cue => cue.weight > 0) ? `
+      <div style="margin-bottom: 12px;">
+        <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;">Subjectivity: ${claimData.subjectivity.score.toFixed(2)}${claimData.subjectivity.flagged ? ' (opinion)' : ''}</div>
+        <div style="font-size: 12px; color: #555;">
+          ${claimData.subjectivity.cues.filter(cue => cue.weight > 0).map(cue => `“${cue.cue}” (${cue.type.replace('_', ' ')})`).join(', ')}
+        </div>
+      </div>
+    ` : ''}
+    ${claimData.evidence && claimData.evidence.length > 0 ? `
+      <div style="margin-bottom: 12px; padding: 10px; background: #fffbea; border-radius: 6px; border-left: 4px solid #ffc107;">
+        <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;">Verdict based on:</div>
+        <div class="fact-check-passage-text" style="font-size: 12px; color: #555; line-height: 1.4; font-style: italic;"></div>
+        <div class="fact-check-passage-source" style="font-size: 11px; color: #666; margin-top: 4px;"></div>
+      </div>
+    ` : ''}
+    ${claimData.quantity_check && claimData.quantity_check.results.length > 0 ? `
+      <div class="fact-check-quantities" style="margin-bottom: 12px;">
+        <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;">Numbers checked:</div>
+      </div>
+    ` : ''}
+    ${claimData.temporal_check ? `
+      <div style="margin-bottom: 12px;">
+        <div style="font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;">Time frame:</div>
+        <div style="font-size: 12px; color: #555;">
+          ${claimData.temporal_check.time_frame.expressions.join(', ')} (${claimData.temporal_check.time_frame.start} – ${claimData.temporal_check.time_frame.end})
+        </div>
+        ${claimData.temporal_check.stale_evidence ? `
+          <div style="font-size: 12px; color: #856404; margin-top: 4px;">
+            🕒 Only sources from other periods back this verdict${claimData.temporal_check.capped_from ? ` (weakened from ${formatVerdict(claimData.temporal_check.capped_from)})` : ''}
+          </div>
+        ` : ''}
+      </div>
+    ` : ''}
+    ${claimData.quote_check ? '<div class="fact-check-quote" style="margin-bottom: 12px;"></div>' : ''}
+    ${claimData.evidence && claimData.evidence.length > 0 ? `
+      <details class="fact-check-evidence" style="margin-bottom: 12px;">
+        <summary style="font-weight: 600; font-size: 12px; color: #333; cursor: pointer;">Evidence breakdown (${claimData.evidence.length})</summary>
+      </details>
+    ` : ''}
     ${relevantSources.length > 0 ? `
       <div style="margin-bottom: 8px;">
         <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px; color: #333;">Related Sources (${relevantSources.length}):</div>
@@ -711,6 +757,31 @@ function highlightAndShowSources(element, text, claimData) {
     `}
   `;
   
+  // Passages and source names come from third-party pages and feeds, so
+  // they are added as nodes with text rather than as markup
+  const resolvedText = sourcesPanel.querySelector('.fact-check-resolved-text');
+  if (resolvedText) {
+    resolvedText.textContent = claimData.resolved_text;
+  }
+  // The evidence breakdown is ordered by influence, so its first entry is
+  // what the verdict leaned on most
+  if (claimData.evidence && claimData.evidence.length > 0) {
+    const [lead] = claimData.evidence;
+    sourcesPanel.querySelector('.fact-check-passage-text').textContent = `“${lead.passage}”`;
+    sourcesPanel.querySelector('.fact-check-passage-source').append(createSourceLink(lead.source));
+  }
+  const quantities = sourcesPanel.querySelector('.fact-check-quantities');
+  if (quantities) {
+    quantities.append(...claimData.quantity_check.results.map(createQuantityResult));
+  }
+  if (claimData.quote_check) {
+    sourcesPanel.querySelector('.fact-check-quote').append(...createQuoteCheck(claimData.quote_check));
+  }
+  const evidenceBreakdown = sourcesPanel.querySelector('.fact-check-evidence');
+  if (evidenceBreakdown) {
+    evidenceBreakdown.append(...claimData.evidence.map(createEvidenceItem));
+  }
+  
   highlight.appendChild(sourcesPanel);
   
   // Scroll to the highlighted element
@@ -723,6 +794,112 @@ function highlightAndShowSources(element, text, claimData) {
   window.currentClaimHighlight = highlight;
 }
 
+/**
+ * Whether a URL from analysis results can be linked to: http(s) only, so a
+ * source can't smuggle in a javascript: link
+ */
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Link to an evidence source, or just its publisher when it has no usable URL
+ */
+function createSourceLink(source) {
+  if (!source?.url || !isWebUrl(source.url)) {
+    return document.createTextNode(source?.publisher || 'Unknown Publisher');
+  }
+  
+  const link = document.createElement('a');
+  link.href = source.url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.style.cssText = 'color: #007bff; text-decoration: none;';
+  link.textContent = source.publisher || source.title || 'Source';
+  return link;
+}
+
+/**
+ * One figure of a claim and what the closest source says about it
+ */
+function createQuantityResult(result) {
+  const element = document.createElement('div');
+  element.style.cssText = 'font-size: 12px; color: #555; margin-bottom: 2px;';
+  const quantity = document.createElement('strong');
+  quantity.textContent = result.quantity.text;
+  element.append(`${getQuantityStatusLabel(result.status)} `, quantity);
+  if (result.evidence_quantity) {
+    element.append(` — source says ${result.evidence_quantity.text}${result.source?.publisher ? ` (${result.source.publisher})` : ''}`);
+  }
+  return element;
+}
+
+/**
+ * Quote check of a claim: overall status, then where each source matched.
+ * Speakers and matched wording are copied from evidence, so they are text.
+ */
+function createQuoteCheck(quoteCheck) {
+  const heading = document.createElement('div');
+  heading.style.cssText = 'font-weight: 600; font-size: 12px; margin-bottom: 4px; color: #333;';
+  heading.textContent = `Quote check${quoteCheck.speaker ? ` (${quoteCheck.speaker})` : ''}:`;
+  
+  const status = document.createElement('div');
+  status.style.cssText = 'font-size: 12px; color: #555;';
+  status.textContent = getQuoteStatusLabel(quoteCheck);
+  
+  const matches = quoteCheck.matches.map(match => {
+    const element = document.createElement('div');
+    element.style.cssText = 'font-size: 12px; color: #555; margin-top: 2px;';
+    element.append(`${getQuoteStatusLabel(match)}: `, createSourceLink(match.source));
+    if (match.status !== 'verbatim' && match.matched_text) {
+      const matched = document.createElement('span');
+      matched.style.fontStyle = 'italic';
+      matched.textContent = `“${match.matched_text}”`;
+      element.append(' ', matched);
+    }
+    return element;
+  });
+  
+  return [heading, status, ...matches];
+}
+
+/**
+ * One entry of a claim's evidence breakdown
+ */
+function createEvidenceItem(item) {
+  const element = document.createElement('div');
+  element.style.cssText = 'margin-top: 6px; padding: 8px; background: #f8f9fa; border-radius: 6px; font-size: 12px; color: #555;';
+  
+  const heading = document.createElement('div');
+  heading.style.marginBottom = '2px';
+  const tier = document.createElement('span');
+  tier.style.color = '#888';
+  tier.textContent = `(${item.source.credibility_tier})`;
+  heading.append(`${getStanceLabel(item.stance)} `, createSourceLink(item.source), ' ', tier);
+  
+  const scores = document.createElement('div');
+  scores.style.cssText = 'font-size: 11px; color: #666; margin-bottom: 2px;';
+  scores.textContent = [
+    `Entail ${item.scores.entail.toFixed(2)}`,
+    `Contra ${item.scores.contra.toFixed(2)}`,
+    `Neutral ${item.scores.neutral.toFixed(2)}`,
+    `Weight ${item.weight} (${Math.round(item.weight_share * 100)}% of verdict)`,
+    item.match_type,
+    item.temporal && item.temporal.status !== 'in_window' && item.temporal.status !== 'unknown' ? getTemporalStatusLabel(item.temporal) : null
+  ].filter(Boolean).join(' • ');
+  
+  const passage = document.createElement('div');
+  passage.style.cssText = 'font-style: italic; line-height: 1.3;';
+  passage.textContent = `“${item.passage.slice(0, 200)}${item.passage.length > 200 ? '…' : ''}”`;
+  
+  element.append(heading, scores, passage);
+  return element;
+}
+
 /**
  * Clear any existing claim details
  */
@@ -838,11 +1015,10 @@ function getRelevantSourcesForClaim(claimData, allSources) {
     const titleMatches = claimWords.filter(word => titleText.includes(word)).length;
     score += titleMatches * 2; // Title matches are more important
     
-    // 8. Source quality bonus
-    const reputableSources = ['Reuters', 'AP', 'Bloomberg', 'BBC', 'CNN', 'The Guardian', 'NPR', 'The New York Times', 'The Washington Post'];
-    if (source.publisher && reputableSources.some(rs => source.publisher.includes(rs))) {
-      score += 1;
-    }
+    // 8. Source quality bonus from the backend's publisher registry
+    // (+1 for the top tier, negative for publishers rated unreliable)
+    const credibilityWeight = source.credibility?.weight ?? 1;
+    score += (credibilityWeight - 1) * 2;
     
     // 9. Recency bonus for news sources
     if (source.publishedAt) {
@@ -903,6 +1079,61 @@ function getVerdictColor(verdict) {
   }
 }
 
+/**
+ * Label for a quantity check status
+ */
+function getQuantityStatusLabel(status) {
+  const labels = {
+    'match': '✅ Matches',
+    'close': '☑️ Close to',
+    'mismatch': '❌ Differs from',
+    'period_mismatch': '🕒 Different period for',
+    'not_found': '❓ Not found:'
+  };
+  
+  return labels[status] || status;
+}
+
+/**
+ * Label for a quote check, or for one source's result in it
+ */
+function getQuoteStatusLabel(check) {
+  const labels = {
+    'verbatim': check.speaker_confirmed === false ? '💬 Found verbatim, speaker not confirmed' : '💬 Found verbatim',
+    'paraphrased': check.speaker_confirmed === false ? '💬 Only paraphrased, speaker not confirmed' : '💬 Only paraphrased',
+    'misattributed': `⚠️ Attributed to ${check.attributed_to}`,
+    'not_found': '❓ Quote not found in sources'
+  };
+  
+  return labels[check.status] || check.status;
+}
+
+/**
+ * Label for evidence from outside a claim's time frame
+ */
+function getTemporalStatusLabel(temporal) {
+  const published = temporal.published_at ? ` (published ${temporal.published_at.slice(0, 10)})` : '';
+  const labels = {
+    'stale': `🕒 Predates the claim's period${published}`,
+    'out_of_window': `🕒 About a different period${published}`
+  };
+  
+  return labels[temporal.status] || temporal.status;
+}
+
+/**
+ * Label for how one piece of evidence leans on a claim
+ */
+function getStanceLabel(stance) {
+  const labels = {
+    'supports': '👍 Supports',
+    'contradicts': '👎 Contradicts',
+    'neutral': '➖ Neutral'
+  };
+  
+  return labels[stance] || stance;
+}
+
 /**
  * Format verdict for display
  */
@@ -1073,13 +1304,50 @@ function addClaimResult(claimData) {
       <span class="claim-highlight-hint">📍</span>
     </div>
     <div class="claim-scores">
-      Support: ${claim.support} | Contradiction: ${claim.contradiction} | Verdict: ${claim.verdict}
+      Support: ${claim.support} | Contradiction: ${claim.contradiction} | Verdict: ${claim.verdict}${claim.quote_check ? ` | 💬 Quote: ${claim.quote_check.status.replace('_', ' ')}` : ''}${claim.subjectivity?.flagged ? ` | 🗣️ Subjective (${claim.subjectivity.score.toFixed(2)})` : ''}${claim.temporal_check?.stale_evidence ? ' | 🕒 Stale evidence' : ''}
     </div>
     <div class="claim-progress">
       Claim ${claimData.index + 1} of ${claimData.total}
     </div>
   `;
   
+  // Compound sentences list their atomic sub-claims; clicking one highlights
+  // the parent sentence with that sub-claim's evidence
+  if (claim.sub_claims && claim.sub_claims.length > 1) {
+    const subClaimsElement = document.createElement('div');
+    subClaimsElement.className = 'sub-claims';
+    
+    claim.sub_claims.forEach(subClaim => {
+      const subClaimElement = document.createElement('div');
+      subClaimElement.className = 'sub-claim-item';
+      subClaimElement.setAttribute('data-verdict', subClaim.consensus);
+      subClaimElement.title = 'Click to see the evidence for this part of the claim';
+      subClaimElement.innerHTML = `
+        <span class="claim-emoji">${getClaimEmoji(subClaim.consensus)}</span>
+        <span class="sub-claim-content"></span>
+        <span class="sub-claim-verdict">${formatVerdict(subClaim.consensus)}</span>
+      `;
+      // Sub-claims are slices of page sentences
+      subClaimElement.querySelector('.sub-claim-content').textContent = subClaim.text;
+      
+      subClaimElement.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!findAndHighlightClaim(claim.text, subClaim)) {
+          showClaimNotFoundMessage(claimElement);
+        }
+      });
+      
+      subClaimsElement.appendChild(subClaimElement);
+    });
+    
+    claimElement.querySelector('.claim-scores').after(subClaimsElement);
+  }
+  
+  if (claim.fact_check) {
+    claimElement.querySelector('.claim-scores').after(createFactCheckMatch(claim));
+  }
+  
   // Add click handler to highlight claim in article and show sources
   claimElement.addEventListener('click', (e) => {
     e.preventDefault();
@@ -1112,6 +1380,34 @@ function addClaimResult(claimData) {
   claimElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+/**
+ * An existing fact-check matched to a claim. Archive fields are imported
+ * data, so they are set as text rather than markup.
+ */
+function createFactCheckMatch(claim) {
+  const { publisher, rating, url, date_published: published } = claim.fact_check;
+  const element = document.createElement('div');
+  element.className = 'claim-fact-check';
+  
+  const label = document.createElement('span');
+  label.className = 'claim-fact-check-label';
+  label.textContent = claim.verdict_source === 'fact_check' ? 'Verdict from fact-check:' : 'Already fact-checked:';
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = [
+    publisher?.name || new URL(url).hostname,
+    rating.alternate_name ? `"${rating.alternate_name}"` : null,
+    published ? `(${published.slice(0, 10)})` : null
+  ].filter(Boolean).join(' ');
+  link.addEventListener('click', (e) => e.stopPropagation());
+  
+  element.append(label, ' ', link);
+  return element;
+}
+
 function updateSources(sources) {
   if (!factCheckOverlay || !sources || sources.length === 0) return;
   
@@ -1125,12 +1421,12 @@ function updateSources(sources) {
       <a href="${source.url}" target="_blank" class="source-link">
         ${source.title || source.url}
       </a>
-      ${source.publisher ? `<div class="source-publisher">${source.publisher}</div>` : ''}
+      ${source.publisher ? `<div class="source-publisher" title="${source.credibility?.label || ''}">${source.publisher}${source.credibility?.publisher_id ? ` · ${source.credibility.tier}` : ''}</div>` : ''}
     </div>
   `).join('');
 }
 
-function updateConsensus(consensus) {
+function updateConsensus(consensus, subjectivity) {
   if (!factCheckOverlay || !consensus) return;
   
   const section = factCheckOverlay.querySelector('.consensus-section');
@@ -1140,11 +1436,82 @@ function updateConsensus(consensus) {
       <div class="consensus-text">${consensus.summary || '—'}</div>
       <div class="consensus-disclaimer">${consensus.disclaimer || ''}</div>
       ${consensus.sources_analyzed ? `<div class="consensus-stats">Sources analyzed: ${consensus.sources_analyzed} | Reputable sources: ${consensus.reputable_sources || 0}</div>` : ''}
+      ${subjectivity && subjectivity.sentences > 0 ? `<div class="consensus-stats">Opinion content: ${Math.round(subjectivity.opinion_ratio * 100)}% of sentences (${subjectivity.opinion_sentences} of ${subjectivity.sentences})</div>` : ''}
     </div>
   `;
   section.style.display = 'block';
 }
 
+/**
+ * "Export ClaimReview" action under the consensus once an analysis is complete
+ */
+function addClaimReviewAction() {
+  if (!factCheckOverlay || !pageData.result || pageData.result.claims.length === 0) return;
+  
+  const section = factCheckOverlay.querySelector('.consensus-section');
+  const actions = document.createElement('div');
+  actions.className = 'fact-check-actions';
+  actions.innerHTML = `
+    <button class="fact-check-action" title="Download the results as schema.org ClaimReview JSON-LD">Export ClaimReview</button>
+    <span class="fact-check-action-status"></span>
+  `;
+  section.appendChild(actions);
+  
+  const button = actions.querySelector('.fact-check-action');
+  const status = actions.querySelector('.fact-check-action-status');
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    status.textContent = 'Preparing...';
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EXPORT_CLAIM_REVIEW',
+        payload: {
+          // Only what the export reads; passages would bloat the request
+          result: {
+            claims: pageData.result.claims.map(claim => ({
+              text: claim.text,
+              consensus: claim.consensus,
+              entail_score: claim.entail_score,
+              contra_score: claim.contra_score,
+              claim_type: claim.claim_type,
+              verdict_source: claim.verdict_source,
+              fact_check: claim.fact_check,
+              quote_check: claim.quote_check,
+              evidence: (claim.evidence || []).map(({ source, stance, counted }) => ({ source, stance, counted }))
+            }))
+          },
+          article: {
+            url: location.href,
+            title: document.title,
+            published_at: document.querySelector('meta[property="article:published_time"]')?.content || null
+          }
+        }
+      });
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      downloadFile(`claimreview-${location.hostname}.jsonld`, response.body, 'application/ld+json');
+      status.textContent = `Exported ${response.count} claim review(s)`;
+    } catch (error) {
+      console.error('ClaimReview export failed:', error);
+      status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function getClaimEmoji(verdict) {
   switch (verdict) {
     case 'strongly_supported': return '✅';
@@ -1187,7 +1554,9 @@ function handleStreamingUpdate(data) {
       
     case 'complete':
       pageData.consensus = data.data.consensus;
-      updateConsensus(data.data.consensus);
+      pageData.result = data.data;
+      updateConsensus(data.data.consensus, data.data.subjectivity);
+      addClaimReviewAction();
       updateStatus('Analysis complete!');
       isAnalyzing = false; // Reset analyzing state
       
@@ -1,3 +1,5 @@
+const API_BASE = 'http://localhost:3000';
+
 document.addEventListener('DOMContentLoaded', async () => {
   const toggle = document.getElementById('factCheckToggle');
   const statusText = document.getElementById('statusText');
@@ -7,6 +9,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   const pageUrl = document.getElementById('pageUrl');
   const analyzeBtn = document.getElementById('analyzeBtn');
   const settingsBtn = document.getElementById('settingsBtn');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const apiTokenInput = document.getElementById('apiTokenInput');
+  const saveTokenBtn = document.getElementById('saveTokenBtn');
+  const clearTokenBtn = document.getElementById('clearTokenBtn');
+  const tokenStatus = document.getElementById('tokenStatus');
   
   // Load current toggle state
   const { factCheckEnabled = true } = await chrome.storage.sync.get(['factCheckEnabled']);
@@ -102,11 +109,46 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
-  // Settings button (placeholder)
+  // Settings panel: the API token the service worker sends to the backend
+  const { apiToken = '' } = await chrome.storage.local.get(['apiToken']);
+  apiTokenInput.value = apiToken;
+
   settingsBtn.addEventListener('click', () => {
-    // For now, just show an alert. In the future, this could open options page
-    alert('Settings panel coming soon!');
+    settingsPanel.classList.toggle('open');
   });
+
+  saveTokenBtn.addEventListener('click', async () => {
+    const token = apiTokenInput.value.trim();
+    await chrome.storage.local.set({ apiToken: token });
+    await checkToken(token);
+  });
+
+  clearTokenBtn.addEventListener('click', async () => {
+    apiTokenInput.value = '';
+    await chrome.storage.local.remove('apiToken');
+    tokenStatus.textContent = 'Token removed.';
+  });
+  
+  async function checkToken(token) {
+    tokenStatus.textContent = 'Checking token...';
+    try {
+      const response = await fetch(`${API_BASE}/usage`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        const quota = body.daily_quota;
+        tokenStatus.textContent = body.anonymous
+          ? `Saved. The server doesn't require a token (${quota.remaining}/${quota.limit} analyses left today).`
+          : `Saved. Signed in as ${body.name} (${quota.remaining}/${quota.limit} analyses left today).`;
+      } else {
+        tokenStatus.textContent = `Saved, but the server rejected it: ${body.error || `status ${response.status}`}`;
+      }
+    } catch (error) {
+      tokenStatus.textContent = 'Saved. Could not reach the fact-check server to check it.';
+    }
+  }
   
   function updateToggleState(enabled) {
     if (enabled) {
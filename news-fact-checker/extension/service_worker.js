@@ -1,8 +1,20 @@
 const API_BASE = "http://localhost:3000";
+const JOBS_STORAGE_KEY = 'activeJobs';
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 2000;
+const API_TOKEN_STORAGE_KEY = 'apiToken';
+
+// One event stream per tab; starting a new one aborts the previous
+const activeStreams = new Map();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "PAGE_CONTENT") {
     handlePageContent(message.payload, sender.tab?.id, message.forceAnalysis);
+  } else if (message.type === 'EXPORT_CLAIM_REVIEW') {
+    exportClaimReview(message.payload)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Respond asynchronously
   }
 });
 
@@ -27,53 +39,17 @@ async function handlePageContent(pageData, tabId, forceAnalysis = false) {
       console.log('Force analysis - bypassing user settings');
     }
 
-    // Use fetch with streaming instead of EventSource (which doesn't work in service workers)
-    const response = await fetch('http://localhost:3000/analyze-stream', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(pageData)
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    // Reattach to a job still running for this page (e.g. after a reload)
+    // instead of starting the analysis over
+    let job = await findInFlightJob(tabId, pageData.url);
+    if (job) {
+      console.log(`Reconnecting to in-flight job ${job.jobId}`);
+      job.lastEventId = 0; // Fresh content script, replay everything
+    } else {
+      job = await createJob(tabId, pageData);
     }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) break;
-      
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n');
-      
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-            
-            // Forward the update to the content script
-            chrome.tabs.sendMessage(tabId, {
-              type: 'FACTCHECK_UPDATE',
-              data: data
-            }).catch(err => {
-              console.log('Failed to send update to content script:', err);
-            });
-            
-            // Break when analysis is complete
-            if (data.type === 'complete' || data.type === 'error') {
-              return;
-            }
-          } catch (error) {
-            console.error('Error parsing streaming data:', error);
-          }
-        }
-      }
-    }
+    await followJob(tabId, job);
 
   } catch (error) {
     console.error('Error in fact-checking process:', error);
@@ -93,6 +69,262 @@ async function handlePageContent(pageData, tabId, forceAnalysis = false) {
   }
 }
 
+/**
+ * fetch against the backend with the API token saved in the popup's settings
+ */
+async function apiFetch(path, options = {}) {
+  const { [API_TOKEN_STORAGE_KEY]: token } = await chrome.storage.local.get(API_TOKEN_STORAGE_KEY);
+  const headers = { ...options.headers };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return fetch(`${API_BASE}${path}`, { ...options, headers });
+}
+
+/**
+ * Error for a failed backend response, with a readable message for auth and
+ * quota failures. Those won't fix themselves, so they are marked permanent.
+ */
+async function responseError(response) {
+  const body = await response.json().catch(() => ({}));
+  let message;
+  if (response.status === 401) {
+    message = 'The fact-check service needs a valid API token. Set one under Settings in the extension popup.';
+  } else if (response.status === 403) {
+    message = body.error || 'The fact-check service does not accept requests from this extension.';
+  } else if (response.status === 429) {
+    message = body.error || 'Too many fact-check requests. Please try again later.';
+  } else if (response.status === 413) {
+    message = 'This page is too long for the fact-check service.';
+  } else {
+    message = `HTTP error! status: ${response.status}`;
+  }
+
+  const error = new Error(message);
+  error.permanent = [401, 403, 413, 429].includes(response.status);
+  return error;
+}
+
+/**
+ * Convert a finished analysis to ClaimReview JSON-LD for the overlay's export action
+ */
+async function exportClaimReview(payload) {
+  const response = await apiFetch('/claim-review', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const body = await response.text();
+  return { body, count: JSON.parse(body).length };
+}
+
+/**
+ * Jobs being followed, keyed by tab id. Kept in session storage so a
+ * restarted service worker can pick them back up.
+ */
+async function getActiveJobs() {
+  const { [JOBS_STORAGE_KEY]: jobs = {} } = await chrome.storage.session.get(JOBS_STORAGE_KEY);
+  return jobs;
+}
+
+async function saveActiveJob(tabId, job) {
+  const jobs = await getActiveJobs();
+  jobs[tabId] = job;
+  await chrome.storage.session.set({ [JOBS_STORAGE_KEY]: jobs });
+}
+
+async function clearActiveJob(tabId, jobId) {
+  const jobs = await getActiveJobs();
+  if (jobs[tabId] && (!jobId || jobs[tabId].jobId === jobId)) {
+    delete jobs[tabId];
+    await chrome.storage.session.set({ [JOBS_STORAGE_KEY]: jobs });
+  }
+}
+
+/**
+ * The tab's stored job if it is for the same page and still running
+ */
+async function findInFlightJob(tabId, url) {
+  const job = (await getActiveJobs())[tabId];
+  if (!job || job.url !== url) {
+    return null;
+  }
+
+  try {
+    const response = await apiFetch(`/jobs/${job.jobId}`);
+    if (!response.ok) {
+      return null;
+    }
+    const state = await response.json();
+    return state.status === 'queued' || state.status === 'running' ? job : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start a backend analysis job for the page
+ */
+async function createJob(tabId, pageData) {
+  const response = await apiFetch('/jobs', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(pageData)
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const { job_id: jobId } = await response.json();
+  const job = { jobId, url: pageData.url, lastEventId: 0 };
+  await saveActiveJob(tabId, job);
+  return job;
+}
+
+/**
+ * Forward a job's events to the tab, reconnecting with Last-Event-ID when the
+ * stream drops, until the job completes or fails
+ */
+async function followJob(tabId, job) {
+  activeStreams.get(tabId)?.abort();
+  const controller = new AbortController();
+  activeStreams.set(tabId, controller);
+
+  let attempts = 0;
+  try {
+    while (!controller.signal.aborted) {
+      const previousEventId = job.lastEventId;
+      let finished = false;
+
+      try {
+        finished = await streamJobEvents(tabId, job, controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted || error.permanent) throw error;
+        console.log(`Job ${job.jobId} stream dropped: ${error.message}`);
+      }
+
+      if (finished) {
+        await clearActiveJob(tabId, job.jobId);
+        return;
+      }
+
+      // Only give up after repeated reconnects that make no progress
+      attempts = job.lastEventId > previousEventId ? 1 : attempts + 1;
+      if (attempts > MAX_RECONNECT_ATTEMPTS) {
+        throw new Error('Lost connection to the fact-check service');
+      }
+      await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    await clearActiveJob(tabId, job.jobId);
+    throw error;
+  } finally {
+    if (activeStreams.get(tabId) === controller) {
+      activeStreams.delete(tabId);
+    }
+  }
+}
+
+/**
+ * Read one connection's worth of job events (fetch streaming, since
+ * EventSource doesn't work in service workers). Resolves true once a
+ * terminal event has been forwarded.
+ */
+async function streamJobEvents(tabId, job, signal) {
+  const headers = job.lastEventId ? { 'Last-Event-ID': String(job.lastEventId) } : {};
+  const response = await apiFetch(`/jobs/${job.jobId}/events`, { headers, signal });
+
+  if (response.status === 404) {
+    const error = new Error('Fact-check job expired on the server');
+    error.permanent = true;
+    throw error;
+  }
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    if (done) return false;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      let eventId = null;
+      let payload = null;
+
+      message.split('\n').forEach(line => {
+        if (line.startsWith('id: ')) eventId = parseInt(line.slice(4), 10);
+        else if (line.startsWith('data: ')) payload = line.slice(6);
+      });
+      if (!payload) continue;
+
+      try {
+        const data = JSON.parse(payload);
+
+        // Forward the update to the content script
+        chrome.tabs.sendMessage(tabId, {
+          type: 'FACTCHECK_UPDATE',
+          data: data
+        }).catch(err => {
+          console.log('Failed to send update to content script:', err);
+        });
+
+        if (eventId) {
+          job.lastEventId = eventId;
+          await saveActiveJob(tabId, job);
+        }
+
+        // Stop when analysis is complete
+        if (data.type === 'complete' || data.type === 'error') {
+          return true;
+        }
+      } catch (error) {
+        console.error('Error parsing streaming data:', error);
+      }
+    }
+  }
+}
+
+/**
+ * After a service worker restart, resume following jobs from their last event
+ */
+async function resumeActiveJobs() {
+  const jobs = await getActiveJobs();
+  Object.entries(jobs).forEach(([tabId, job]) => {
+    if (activeStreams.has(Number(tabId))) return;
+    console.log(`Resuming job ${job.jobId} for tab ${tabId} after event ${job.lastEventId}`);
+    followJob(Number(tabId), job).catch(error => {
+      console.error('Error resuming fact-check job:', error);
+    });
+  });
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  activeStreams.get(tabId)?.abort();
+  clearActiveJob(tabId);
+});
+
+resumeActiveJobs();
+
 // Initialize default settings
 chrome.runtime.onInstalled.addListener(async () => {
   await chrome.storage.sync.set({